@@ -6,6 +6,7 @@
 const config = require('../../config');
 const logger = require('../../utils/logger');
 const qboClient = require('../../services/quickbooks/client');
+const taxRates = require('../../services/tax-rates');
 const pdfGenerator = require('./pdf-generator');
 const { v4: uuidv4 } = require('uuid');
 
@@ -28,22 +29,26 @@ async function createDraftInvoice(jobName, rows) {
     // 4. Calculate materials from stock/truck
     const stockMaterials = calculateStockMaterials(rows);
     
-    // 5. Create the invoice lines
-    const invoiceLines = buildInvoiceLines(laborData, billableExpenses, stockMaterials);
+    // 5. Calculate GET passed on to the customer
+    const get = calculatePassThroughGet(laborData, billableExpenses, stockMaterials);
     
-    // 6. Create draft invoice in QBO
+    // 6. Create the invoice lines
+    const invoiceLines = buildInvoiceLines(laborData, billableExpenses, stockMaterials, get);
+    
+    // 7. Create draft invoice in QBO
     const invoice = await createQBOInvoice(customer, invoiceLines, jobName);
     
-    // 7. Create time activity entry
+    // 8. Create time activity entry
     const timeActivity = await createTimeActivity(customer, laborData);
     
-    // 8. Generate internal PDFs
+    // 9. Generate internal PDFs
     const summaries = await generateSummaries(jobName, rows, laborData, billableExpenses, stockMaterials);
 
     // Calculate totals
     const totalAmount = laborData.total + 
       billableExpenses.reduce((sum, e) => sum + e.amount, 0) +
-      stockMaterials.total;
+      stockMaterials.total +
+      (get ? get.amount : 0);
 
     return {
       invoiceId: invoice.Id,
@@ -54,6 +59,8 @@ async function createDraftInvoice(jobName, rows) {
       totalAmount,
       laborTotal: laborData.total,
       materialsTotal: billableExpenses.reduce((sum, e) => sum + e.amount, 0) + stockMaterials.total,
+      getTotal: get ? get.amount : 0,
+      getRate: get ? get.rate : null,
       totalHours: laborData.totalHours,
       phases: laborData.phases,
       rowCount: rows.length,
@@ -73,7 +80,7 @@ async function createDraftInvoice(jobName, rows) {
 async function findOrCreateCustomer(jobName) {
   try {
     // Search for existing customer by job name
-    const query = `SELECT * FROM Customer WHERE DisplayName LIKE '%${jobName.replace(/'/g, "\\'")}%'`;
+    const query = `SELECT * FROM Customer WHERE DisplayName LIKE '%${qboClient.escapeQueryValue(jobName)}%'`;
     const result = await qboClient.query(query);
     
     if (result.QueryResponse?.Customer?.length > 0) {
@@ -240,10 +247,28 @@ function calculateStockMaterials(rows) {
   };
 }
 
+/**
+ * Hawaii GET to pass on to the customer, at our county's pass-through rate
+ * GET is due on everything we bill, so it goes on labor, stock and billable
+ * expenses alike (expenses are billed at what we paid, their own GET included).
+ * Returns { county, rate, amount }, or null when pass-through is turned off.
+ */
+function calculatePassThroughGet(laborData, billableExpenses, stockMaterials) {
+  if (!config.billing.passThroughGet) {
+    return null;
+  }
+
+  const subtotal = laborData.total +
+    billableExpenses.reduce((sum, e) => sum + e.amount, 0) +
+    stockMaterials.total;
+
+  return taxRates.passThrough(subtotal);
+}
+
 /**
  * Build invoice line items
  */
-function buildInvoiceLines(laborData, billableExpenses, stockMaterials) {
+function buildInvoiceLines(laborData, billableExpenses, stockMaterials, get = null) {
   const lines = [];
   let lineNum = 1;
 
@@ -300,6 +325,19 @@ function buildInvoiceLines(laborData, billableExpenses, stockMaterials) {
     lineNum++;
   }
 
+  // GET pass-through (on everything above)
+  if (get && get.amount > 0) {
+    lines.push({
+      Id: lineNum.toString(),
+      LineNum: lineNum,
+      Description: `Hawaii General Excise Tax - ${taxRates.formatRate(get.rate)} pass-through (${get.county.name})`,
+      Amount: get.amount,
+      DetailType: 'SalesItemLineDetail',
+      SalesItemLineDetail: {}
+    });
+    lineNum++;
+  }
+
   return lines;
 }
 
@@ -149,6 +149,7 @@ async function sendInvoiceNotification(invoiceData) {
     totalAmount,
     laborTotal,
     materialsTotal,
+    getTotal,
     totalHours,
     phases,
     rowCount
@@ -159,7 +160,9 @@ async function sendInvoiceNotification(invoiceData) {
     `Invoice #: ${invoiceId}\n\n` +
     `💰 Total: $${totalAmount.toFixed(2)}\n` +
     `👷 Labor: $${laborTotal.toFixed(2)} (${totalHours} hrs)\n` +
-    `🔧 Materials: $${materialsTotal.toFixed(2)}\n\n` +
+    `🔧 Materials: $${materialsTotal.toFixed(2)}\n` +
+    (getTotal ? `🧾 GET: $${getTotal.toFixed(2)}\n` : '') +
+    `\n` +
     `Phase(s): ${phases.join(', ')}\n` +
     `Entries: ${rowCount}\n\n` +
     `Review in QuickBooks and reply APPROVE to send.\n` +
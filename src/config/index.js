@@ -23,7 +23,20 @@ const config = {
     redirectUri: process.env.GMAIL_REDIRECT_URI || 'http://localhost:3000/auth/gmail/callback',
     userEmail: process.env.GMAIL_USER_EMAIL,
     processedLabel: process.env.GMAIL_PROCESSED_LABEL || 'RLT-Processed',
+    errorLabel: process.env.GMAIL_ERROR_LABEL || 'RLT-Error',
+    reviewLabel: process.env.GMAIL_REVIEW_LABEL || 'RLT-NeedsReview',
     tokenPath: './tokens/gmail-token.json',
+    // Incremental sync: last processed historyId/internalDate, and how far back the first sync looks
+    checkpointPath: process.env.GMAIL_CHECKPOINT_PATH || './data/gmail-checkpoint.json',
+    initialSyncDays: parseInt(process.env.GMAIL_INITIAL_SYNC_DAYS, 10) || 7,
+    // Push notifications via Cloud Pub/Sub (users.watch); polling stays on as a fallback
+    push: {
+      enabled: process.env.GMAIL_PUSH_ENABLED === 'true',
+      topicName: process.env.GMAIL_PUBSUB_TOPIC,
+      verificationToken: process.env.GMAIL_PUSH_TOKEN,
+      statePath: process.env.GMAIL_WATCH_STATE_PATH || './data/gmail-watch.json',
+      fallbackCron: process.env.GMAIL_PUSH_FALLBACK_CRON || '0 * * * *'
+    },
     scopes: [
       'https://www.googleapis.com/auth/gmail.readonly',
       'https://www.googleapis.com/auth/gmail.modify',
@@ -58,10 +71,65 @@ const config = {
     defaultExpenseAccountId: process.env.DEFAULT_EXPENSE_ACCOUNT_ID,
     defaultCreditCardAccountId: process.env.DEFAULT_CREDIT_CARD_ACCOUNT_ID,
     enableOcr: process.env.ENABLE_OCR !== 'false',
+    enableHtmlRender: process.env.ENABLE_HTML_RENDER !== 'false',
+    receiptStorePath: process.env.RECEIPT_STORE_PATH || './data/receipts.json',
+    // Failed emails are retried with exponential backoff, then dead-lettered
+    emailAttemptsPath: process.env.EMAIL_ATTEMPTS_PATH || './data/email-attempts.json',
+    emailMaxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5,
+    emailRetryBaseMinutes: parseInt(process.env.EMAIL_RETRY_BASE_MINUTES, 10) || 5,
+    emailRetryMaxMinutes: parseInt(process.env.EMAIL_RETRY_MAX_MINUTES, 10) || 720,
+    // Card last 4 -> QBO credit card account, cardholder, Class/Department (see cards.example.json)
+    cardRegistryPath: process.env.CARD_REGISTRY_PATH || './data/cards.json',
     tempDir: './temp',
     downloadsDir: './downloads'
   },
 
+  // Manual review queue for receipts the bot shouldn't book on its own
+  review: {
+    enabled: process.env.REVIEW_QUEUE_ENABLED !== 'false',
+    // Parses below this confidence go to review ('low', 'medium' or 'high')
+    minConfidence: process.env.REVIEW_MIN_CONFIDENCE || 'medium',
+    // Total, date or card read with less confidence than this (0-1) goes to review,
+    // and a match on an uncertain total needs the card or vendor to back it up
+    minFieldConfidence: parseFloat(process.env.REVIEW_MIN_FIELD_CONFIDENCE) || 0.5,
+    // Also review receipts with no candidate transaction at all
+    reviewUnmatched: process.env.REVIEW_UNMATCHED === 'true'
+  },
+
+  // Tax on receipts and invoices. Hawaii has General Excise Tax (GET) instead of
+  // sales tax: 4% state plus the county surcharge. Sellers may pass it on at up
+  // to rate / (1 - rate), so a 4.5% county shows up as 4.5% or 4.712%.
+  tax: {
+    // Highest rate a receipt should charge: Hawaii GET passed on at 4.712% (Oahu)
+    maxRate: parseFloat(process.env.TAX_MAX_RATE) || 0.04712,
+    // County we work in (receipts that fit no other county, and invoice GET)
+    county: process.env.TAX_COUNTY || 'honolulu',
+    // GET rate by county, and the QBO tax code (TaxCode Id) purchases there are booked under
+    counties: {
+      honolulu: { name: 'Honolulu', rate: 0.045, qboTaxCodeId: process.env.QBO_TAX_CODE_HONOLULU },
+      hawaii: { name: 'Hawaii', rate: 0.045, qboTaxCodeId: process.env.QBO_TAX_CODE_HAWAII },
+      kauai: { name: 'Kauai', rate: 0.045, qboTaxCodeId: process.env.QBO_TAX_CODE_KAUAI },
+      maui: { name: 'Maui', rate: 0.045, qboTaxCodeId: process.env.QBO_TAX_CODE_MAUI },
+      kalawao: { name: 'Kalawao', rate: 0.04, qboTaxCodeId: process.env.QBO_TAX_CODE_KALAWAO }
+    },
+    // Line tax codes used when a county has no code of its own
+    qboTaxableCode: process.env.QBO_TAX_CODE_TAXABLE || 'TAX',
+    qboNonTaxableCode: process.env.QBO_TAX_CODE_NON_TAXABLE || 'NON'
+  },
+
+  // Vendors added as YAML/JSON definition files (see vendor.example.yaml)
+  vendors: {
+    definitionsDir: process.env.VENDOR_DEFINITIONS_DIR || './data/vendors'
+  },
+
+  // Card statement import (CSV/OFX/QFX) for reconciling receipts against charges
+  statements: {
+    storePath: process.env.STATEMENT_STORE_PATH || './data/statements.json',
+    // Statement files dropped here are imported on every pipeline run
+    inboxDir: process.env.STATEMENT_INBOX_DIR || './data/statements/inbox',
+    maxUploadSize: process.env.STATEMENT_MAX_UPLOAD_SIZE || '5mb'
+  },
+
   // =============================================
   // BOT 2 - INVOICE DRAFTER (New)
   // =============================================
@@ -128,6 +196,9 @@ const config = {
     
     // Stock materials markup
     stockMarkupPercent: parseFloat(process.env.STOCK_MARKUP_PERCENT) || 22,
+
+    // Pass GET on to the customer at the tax.county pass-through rate (4.712% on Oahu) - opt-in
+    passThroughGet: process.env.BILLING_PASS_THROUGH_GET === 'true',
     
     // Construction phases
     constructionPhases: ['DIRT Work', 'Rough In', 'Finish', 'Service Call'],
@@ -188,6 +259,12 @@ function validateBot1Config() {
   if (!config.gmail.clientSecret) {
     errors.push('GMAIL_CLIENT_SECRET is required for Bot 1');
   }
+  if (config.gmail.push.enabled && !config.gmail.push.topicName) {
+    errors.push('GMAIL_PUBSUB_TOPIC is required when GMAIL_PUSH_ENABLED=true');
+  }
+  if (config.gmail.push.enabled && !config.gmail.push.verificationToken) {
+    errors.push('GMAIL_PUSH_TOKEN is required when GMAIL_PUSH_ENABLED=true');
+  }
   if (!config.quickbooks.clientId) {
     errors.push('QBO_CLIENT_ID is required');
   }
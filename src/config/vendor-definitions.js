@@ -0,0 +1,261 @@
+/**
+ * Vendor Definition Files
+ * Vendors added without code: one YAML or JSON file per vendor in
+ * VENDOR_DEFINITIONS_DIR (see vendor.example.yaml). Each file is compiled into
+ * the same shape as the built-in entries in vendors.js, plus a `parser` spec
+ * the declarative parser interprets.
+ *
+ * The folder is re-read when a file is added, changed or removed, so a new
+ * supplier takes effect on the next pipeline run without a deploy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('./index');
+const logger = require('../utils/logger');
+
+const DEFINITION_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Names of parsers in src/parsers/vendors that aren't vendors
+const RESERVED_IDS = ['generic', 'declarative'];
+
+// How often the folder is checked for changes
+const RELOAD_INTERVAL_MS = 30 * 1000;
+
+// Fields a definition can extract: amounts are parsed as currency
+const AMOUNT_FIELDS = ['total', 'subtotal', 'tax', 'shipping', 'discount'];
+const TEXT_FIELDS = ['date', 'orderNumber', 'invoiceNumber', 'poNumber', 'cardLast4', 'paymentMethod', 'jobName'];
+const LINE_ITEM_FIELDS = ['sku', 'description', 'quantity', 'unitPrice', 'totalPrice'];
+
+let cache = { signature: null, checkedAt: 0, definitions: {}, errors: [] };
+
+/**
+ * Compiled definitions by vendor ID (re-read when the folder changes)
+ * Files whose ID clashes with a built-in vendor are skipped.
+ */
+function loadVendorDefinitions(builtInIds = []) {
+  if (Date.now() - cache.checkedAt < RELOAD_INTERVAL_MS) {
+    return cache.definitions;
+  }
+
+  const dir = config.vendors.definitionsDir;
+  const files = listDefinitionFiles(dir);
+  const signature = files.map(file => `${file.name}:${file.mtimeMs}`).join('|');
+
+  cache.checkedAt = Date.now();
+
+  if (signature === cache.signature) {
+    return cache.definitions;
+  }
+
+  const definitions = {};
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      const vendor = compileDefinition(readDefinitionFile(path.join(dir, file.name)), file.name);
+
+      if (RESERVED_IDS.includes(vendor.vendorId) || builtInIds.includes(vendor.vendorId) || definitions[vendor.vendorId]) {
+        throw new Error(`vendor ID "${vendor.vendorId}" is already defined`);
+      }
+
+      const { vendorId, ...entry } = vendor;
+      definitions[vendorId] = entry;
+    } catch (error) {
+      errors.push({ file: file.name, error: error.message });
+      logger.warn('Skipping vendor definition', { file: file.name, error: error.message });
+    }
+  }
+
+  if (files.length > 0) {
+    logger.info('Loaded vendor definitions', { vendors: Object.keys(definitions).length, errors: errors.length });
+  }
+
+  cache = { signature, checkedAt: cache.checkedAt, definitions, errors };
+  return definitions;
+}
+
+/**
+ * Files that failed to load on the last read, as [{ file, error }]
+ */
+function getDefinitionErrors() {
+  return cache.errors;
+}
+
+/**
+ * Forget the cached definitions (next load re-reads the folder)
+ */
+function clearDefinitionCache() {
+  cache = { signature: null, checkedAt: 0, definitions: {}, errors: [] };
+}
+
+function listDefinitionFiles(dir) {
+  let entries;
+
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to read vendor definitions folder', { dir, error: error.message });
+    }
+    return [];
+  }
+
+  const files = [];
+
+  for (const entry of entries) {
+    if (!entry.isFile() || !DEFINITION_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) continue;
+
+    // A file removed (or renamed) since the folder was read is skipped, not fatal
+    try {
+      files.push({ name: entry.name, mtimeMs: fs.statSync(path.join(dir, entry.name)).mtimeMs });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Skipping vendor definition', { file: entry.name, error: error.message });
+      }
+    }
+  }
+
+  return files.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function readDefinitionFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  return path.extname(filePath).toLowerCase() === '.json'
+    ? JSON.parse(content)
+    : yaml.load(content);
+}
+
+/**
+ * Validate a definition file and compile its patterns
+ * Throws with the reason when the file can't be used.
+ */
+function compileDefinition(raw, fileName) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('file is empty or not an object');
+  }
+
+  const vendorId = raw.id || path.basename(fileName, path.extname(fileName));
+
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(vendorId)) {
+    throw new Error(`vendor ID "${vendorId}" must be lowercase letters, digits and dashes`);
+  }
+  if (!raw.name) {
+    throw new Error('"name" is required');
+  }
+
+  const emailPatterns = toList(raw.emailPatterns).map(source => compilePattern(source, 'emailPatterns'));
+  if (emailPatterns.length === 0) {
+    throw new Error('"emailPatterns" needs at least one pattern');
+  }
+
+  const qbo = raw.qbo || {};
+
+  // displayName is the vendor's name in QuickBooks (as for the built-in vendors)
+  return {
+    vendorId,
+    name: raw.name,
+    displayName: raw.displayName || raw.name,
+    emailPatterns,
+    gmail: raw.gmail ? {
+      senders: toList(raw.gmail.senders),
+      subjects: toList(raw.gmail.subjects),
+      excludeSenders: toList(raw.gmail.excludeSenders),
+      excludeSubjects: toList(raw.gmail.excludeSubjects)
+    } : undefined,
+    receiptType: raw.receiptType || 'pdf',
+    qboVendorName: raw.displayName || raw.name,
+    merchantDescriptors: toList(raw.merchantDescriptors),
+    billing: qbo.houseAccount ? { houseAccount: true, termsDays: qbo.termsDays || 30 } : undefined,
+    category: qbo.category || 'Job Supplies',
+    parser: compileParser(raw.parser || {}),
+    definitionFile: fileName
+  };
+}
+
+/**
+ * parser:
+ *   dateFormats: ['MM/DD/YYYY']
+ *   fields: { total: [regex, ...], date: [...], ... }       # first capture group
+ *   lineItems: { pattern: regex, groups: { description: 1, ... } }
+ *   html:
+ *     fields: { total: '.css-selector', ... }
+ *     lineItems: { rows: 'table.items tr', columns: { description: 'td.desc', ... } }
+ */
+function compileParser(spec) {
+  const fields = {};
+
+  for (const [field, patterns] of Object.entries(spec.fields || {})) {
+    checkField(field, [...AMOUNT_FIELDS, ...TEXT_FIELDS], 'parser.fields');
+    fields[field] = toList(patterns).map(source => compilePattern(source, `parser.fields.${field}`));
+  }
+
+  let lineItems = null;
+  if (spec.lineItems) {
+    const groups = spec.lineItems.groups || {};
+    Object.keys(groups).forEach(field => checkField(field, LINE_ITEM_FIELDS, 'parser.lineItems.groups'));
+
+    if (!groups.description) {
+      throw new Error('parser.lineItems.groups needs a "description" group');
+    }
+
+    lineItems = {
+      pattern: compilePattern(spec.lineItems.pattern, 'parser.lineItems.pattern'),
+      groups
+    };
+  }
+
+  const html = spec.html || {};
+  Object.keys(html.fields || {}).forEach(field => checkField(field, [...AMOUNT_FIELDS, ...TEXT_FIELDS], 'parser.html.fields'));
+  Object.keys(html.lineItems?.columns || {}).forEach(field => checkField(field, LINE_ITEM_FIELDS, 'parser.html.lineItems.columns'));
+
+  if (html.lineItems && !html.lineItems.rows) {
+    throw new Error('parser.html.lineItems needs a "rows" selector');
+  }
+
+  return {
+    dateFormats: toList(spec.dateFormats),
+    fields,
+    lineItems,
+    html: {
+      fields: html.fields || {},
+      lineItems: html.lineItems || null
+    }
+  };
+}
+
+function checkField(field, allowed, where) {
+  if (!allowed.includes(field)) {
+    throw new Error(`${where}: unknown field "${field}" (expected ${allowed.join(', ')})`);
+  }
+}
+
+/**
+ * Case-insensitive RegExp from a pattern string
+ */
+function compilePattern(source, where) {
+  if (typeof source !== 'string' || !source) {
+    throw new Error(`${where}: pattern must be a non-empty string`);
+  }
+
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  AMOUNT_FIELDS,
+  loadVendorDefinitions,
+  getDefinitionErrors,
+  clearDefinitionCache,
+  compileDefinition
+};
@@ -1,8 +1,12 @@
 /**
  * Vendor Detection Configuration
  * Rules for identifying vendors from email content
+ * Vendors defined in files (see vendor-definitions.js) are merged in after these.
  */
 
+const { matchesMerchantName } = require('../utils/helpers');
+const { loadVendorDefinitions } = require('./vendor-definitions');
+
 const vendors = {
   'home-depot': {
     name: 'Home Depot',
@@ -12,8 +16,17 @@ const vendors = {
       /home\s*depot/i,
       /order@homedepot/i
     ],
+    // Gmail search rule: who sends receipts, what they're titled, and marketing to skip
+    gmail: {
+      senders: ['homedepot.com'],
+      subjects: ['receipt', 'order confirmation', 'your order', 'order #'],
+      excludeSenders: ['promo@homedepot.com'],
+      excludeSubjects: ['sale', 'deals', 'savings', 'survey', 'review your purchase']
+    },
     receiptType: 'pdf', // Usually PDF attachment
     qboVendorName: 'The Home Depot',
+    // How the vendor shows up on card statements / QBO bank-feed memos (used when matching)
+    merchantDescriptors: ['THE HOME DEPOT', 'HOMEDEPOT.COM'],
     category: 'Job Supplies',
     // Patterns to extract data from Home Depot receipts
     extractors: {
@@ -32,8 +45,15 @@ const vendors = {
       /lowe'?s/i,
       /receipt@lowes/i
     ],
+    gmail: {
+      senders: ['lowes.com'],
+      subjects: ['receipt', 'order confirmation', 'your order', 'order #'],
+      excludeSenders: ['mylowes@e.lowes.com'],
+      excludeSubjects: ['sale', 'deals', 'savings', 'survey', 'rate your']
+    },
     receiptType: 'html', // Usually HTML email body
     qboVendorName: "Lowe's",
+    merchantDescriptors: ["LOWE'S", 'LOWES.COM'],
     category: 'Job Supplies',
     extractors: {
       total: /(?:order\s*total|total)[:\s]*\$?([\d,]+\.?\d*)/i,
@@ -51,8 +71,15 @@ const vendors = {
       /auto-confirm@amazon/i,
       /ship-confirm@amazon/i
     ],
+    gmail: {
+      senders: ['auto-confirm@amazon.com', 'ship-confirm@amazon.com', 'order-update@amazon.com', 'digital-no-reply@amazon.com'],
+      subjects: ['your amazon.com order', 'ordered:', 'order confirmation', 'your order'],
+      excludeSenders: ['store-news@amazon.com', 'marketplace-messages@amazon.com'],
+      excludeSubjects: ['review', 'recommended', 'deal']
+    },
     receiptType: 'html',
     qboVendorName: 'Amazon.com',
+    merchantDescriptors: ['AMAZON.COM', 'AMZN MKTP', 'AMZN'],
     category: 'Job Supplies',
     extractors: {
       total: /(?:order\s*total|grand\s*total)[:\s]*\$?([\d,]+\.?\d*)/i,
@@ -70,13 +97,25 @@ const vendors = {
       /cedcareers/i,
       /consolidated\s*electrical/i
     ],
+    gmail: {
+      senders: ['ced.com', 'cedonline.com'],
+      subjects: ['invoice', 'receipt', 'order'],
+      excludeSenders: ['cedcareers'],
+      excludeSubjects: ['newsletter', 'webinar', 'careers']
+    },
     receiptType: 'pdf',
     qboVendorName: 'CED',
+    merchantDescriptors: ['CED', 'CONSOLIDATED ELEC'],
+    // House account: invoices on terms are booked as Bills (card purchases stay expenses)
+    billing: {
+      houseAccount: true,
+      termsDays: 30 // Used when the invoice doesn't state its terms
+    },
     category: 'Job Supplies',
     extractors: {
       total: /(?:total|amount\s*due)[:\s]*\$?([\d,]+\.?\d*)/i,
       date: /(?:invoice\s*date|date)[:\s]*(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/i,
-      invoiceNumber: /(?:invoice\s*#?)[:\s]*(\w+)/i
+      invoiceNumber: /(?:invoice\s*#?)[:\s]*([\w-]+)/i
     }
   },
 
@@ -87,8 +126,15 @@ const vendors = {
       /acehardware\.com/i,
       /ace\s*hardware/i
     ],
+    gmail: {
+      senders: ['acehardware.com'],
+      subjects: ['receipt', 'order confirmation', 'your order'],
+      excludeSenders: [],
+      excludeSubjects: ['ace rewards', 'sale', 'deals', 'savings']
+    },
     receiptType: 'html',
     qboVendorName: 'Ace Hardware',
+    merchantDescriptors: ['ACE HARDWARE', 'ACE HDWE'],
     category: 'Job Supplies',
     extractors: {
       total: /(?:total)[:\s]*\$?([\d,]+\.?\d*)/i,
@@ -104,13 +150,24 @@ const vendors = {
       /alphasupply/i,
       /@alphasupply\./i
     ],
+    gmail: {
+      senders: ['alphasupply.com'],
+      subjects: ['invoice', 'receipt', 'order'],
+      excludeSenders: [],
+      excludeSubjects: ['newsletter', 'promotion']
+    },
     receiptType: 'pdf',
     qboVendorName: 'Alpha Supply',
+    merchantDescriptors: ['ALPHA SUPPLY'],
+    billing: {
+      houseAccount: true,
+      termsDays: 30
+    },
     category: 'Job Supplies',
     extractors: {
       total: /(?:total|amount\s*due|invoice\s*total)[:\s]*\$?([\d,]+\.?\d*)/i,
       date: /(?:invoice\s*date|date)[:\s]*(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/i,
-      invoiceNumber: /(?:invoice\s*#?|inv\s*#?)[:\s]*(\w+)/i,
+      invoiceNumber: /(?:invoice\s*#?|inv\s*#?)[:\s]*([\w-]+)/i,
       orderNumber: /(?:order\s*#?|P\.?O\.?)[:\s]*(\w+)/i,
       cardLast4: /(?:card|visa|mastercard|amex)[^\d]*(\d{4})/i
     }
@@ -125,19 +182,87 @@ const vendors = {
       /rlt/i,
       /@readlighting\./i
     ],
+    gmail: {
+      senders: ['readlighting.com'],
+      subjects: ['invoice', 'receipt', 'order'],
+      excludeSenders: [],
+      excludeSubjects: ['newsletter', 'promotion']
+    },
     receiptType: 'pdf', // Adjust based on how receipts typically come
     qboVendorName: 'Read Lighting',
+    merchantDescriptors: ['READ LIGHTING'],
+    billing: {
+      houseAccount: true,
+      termsDays: 30
+    },
     category: 'Job Supplies',
     extractors: {
       total: /(?:total|amount\s*due|grand\s*total)[:\s]*\$?([\d,]+\.?\d*)/i,
       date: /(?:date|invoice\s*date)[:\s]*(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/i,
-      invoiceNumber: /(?:invoice\s*#?|inv\s*#?)[:\s]*(\w+)/i,
+      invoiceNumber: /(?:invoice\s*#?|inv\s*#?)[:\s]*([\w-]+)/i,
       orderNumber: /(?:order\s*#?|P\.?O\.?)[:\s]*(\w+)/i,
       cardLast4: /(?:card|visa|mastercard|amex)[^\d]*(\d{4})/i
     }
   }
 };
 
+/**
+ * Built-in vendors plus the ones defined in files
+ */
+function getAllVendors() {
+  return { ...vendors, ...loadVendorDefinitions(Object.keys(vendors)) };
+}
+
+/**
+ * Gmail rule for receipts from vendors we don't have a parser for
+ * (forwarded photos of paper receipts, one-off suppliers)
+ */
+const genericGmailRule = {
+  senders: [],
+  subjects: ['receipt', 'invoice'],
+  excludeSenders: [],
+  excludeSubjects: ['unsubscribe', 'newsletter', 'statement available']
+};
+
+/**
+ * Gmail search rules for every vendor plus the generic rule
+ * Returns [{ vendorId, name, senders, subjects, excludeSenders, excludeSubjects }]
+ */
+function getGmailRules() {
+  const rules = Object.entries(getAllVendors())
+    .filter(([, vendor]) => vendor.gmail)
+    .map(([vendorId, vendor]) => ({ vendorId, name: vendor.name, ...vendor.gmail }));
+
+  // Mail from known vendors is left to their own rules
+  const vendorSenders = rules.flatMap(rule => rule.senders);
+
+  rules.push({
+    vendorId: 'generic',
+    name: 'Other receipts',
+    ...genericGmailRule,
+    excludeSenders: [...genericGmailRule.excludeSenders, ...vendorSenders]
+  });
+
+  return rules;
+}
+
+/**
+ * Check an email against a Gmail rule locally
+ * (same logic as the search query, for messages found via history)
+ */
+function matchesGmailRule(email, rule) {
+  const from = (email.from || '').toLowerCase();
+  const subject = (email.subject || '').toLowerCase();
+  const includes = (text, values) => (values || []).some(value => text.includes(value.toLowerCase()));
+
+  if (rule.senders.length > 0 && !includes(from, rule.senders)) return false;
+  if (rule.subjects.length > 0 && !includes(subject, rule.subjects)) return false;
+  if (includes(from, rule.excludeSenders)) return false;
+  if (includes(subject, rule.excludeSubjects)) return false;
+
+  return true;
+}
+
 /**
  * Detect vendor from email sender/subject/body
  */
@@ -148,7 +273,7 @@ function detectVendor(email) {
     email.snippet || ''
   ].join(' ').toLowerCase();
 
-  for (const [vendorId, vendor] of Object.entries(vendors)) {
+  for (const [vendorId, vendor] of Object.entries(getAllVendors())) {
     for (const pattern of vendor.emailPatterns) {
       if (pattern.test(searchText)) {
         return { vendorId, ...vendor };
@@ -163,20 +288,38 @@ function detectVendor(email) {
  * Get vendor by ID
  */
 function getVendor(vendorId) {
-  return vendors[vendorId] || null;
+  return getAllVendors()[vendorId] || null;
+}
+
+/**
+ * Vendor whose merchant descriptors appear in a card descriptor / memo
+ * Returns the vendor ID or null
+ */
+function findVendorByDescriptor(text) {
+  if (!text) return null;
+
+  const match = Object.entries(getAllVendors()).find(([, vendor]) =>
+    (vendor.merchantDescriptors || []).some(descriptor => matchesMerchantName(text, descriptor)));
+
+  return match ? match[0] : null;
 }
 
 /**
  * Get all vendor names for QuickBooks matching
  */
 function getAllVendorNames() {
-  return Object.values(vendors).map(v => v.qboVendorName);
+  return Object.values(getAllVendors()).map(v => v.qboVendorName);
 }
 
 module.exports = {
   vendors,
+  genericGmailRule,
+  getAllVendors,
+  getGmailRules,
+  matchesGmailRule,
   detectVendor,
   getVendor,
+  findVendorByDescriptor,
   getAllVendorNames
 };
 
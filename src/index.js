@@ -27,6 +27,11 @@ const indexRoutes = require('./routes/index');
 const authRoutes = require('./routes/auth');
 const healthRoutes = require('./routes/health');
 const bot2Routes = require('./routes/bot2');
+const receiptRoutes = require('./routes/receipts');
+const reviewRoutes = require('./routes/review');
+const webhookRoutes = require('./routes/webhooks');
+const gmailRoutes = require('./routes/gmail');
+const statementRoutes = require('./routes/statements');
 
 // Create Express app
 const app = express();
@@ -46,6 +51,11 @@ app.use('/', indexRoutes);
 app.use('/auth', authRoutes);
 app.use('/health', healthRoutes);
 app.use('/bot2', bot2Routes);
+app.use('/api/receipts', receiptRoutes);
+app.use('/review', reviewRoutes);
+app.use('/webhooks', webhookRoutes);
+app.use('/api/gmail', gmailRoutes);
+app.use('/statements', statementRoutes);
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -3,7 +3,8 @@
  * Standardized receipt structure used throughout the application
  */
 
-const { generateReceiptId } = require('../utils/helpers');
+const taxRates = require('../services/tax-rates');
+const { generateReceiptId, checkAmounts } = require('../utils/helpers');
 
 /**
  * Create a new standardized receipt object
@@ -19,6 +20,7 @@ function createReceipt(data = {}) {
       emailId: data.emailId || null,
       emailSubject: data.emailSubject || null,
       attachmentName: data.attachmentName || null,
+      documentIndex: data.documentIndex || 0, // position among the receipts split from one email
       receivedAt: data.receivedAt || new Date().toISOString()
     },
 
@@ -36,22 +38,30 @@ function createReceipt(data = {}) {
       total: data.total || null,
       subtotal: data.subtotal || null,
       tax: data.tax || null,
+      taxRate: data.taxRate || null, // Rate printed with the tax (GET 4.712% -> 0.04712)
       shipping: data.shipping || null,
-      discount: data.discount || null
+      discount: data.discount || null,
+      terms: data.terms || null,     // Payment terms on account invoices, e.g. 'Net 30'
+      dueDate: data.dueDate || null,
+      isReturn: data.isReturn || false // Return/refund - amounts stay positive, booked as a credit
     },
 
     // Payment information
     payment: {
       method: data.paymentMethod || null,
       cardType: data.cardType || null,
-      cardLast4: data.cardLast4 || null
+      cardLast4: data.cardLast4 || null,
+      cardholder: data.cardholder || null,  // From the card registry
+      qboAccountId: data.qboCardAccountId || null // Credit card account the card posts to
     },
 
     // Order/Invoice details
     reference: {
       orderNumber: data.orderNumber || null,
       invoiceNumber: data.invoiceNumber || null,
-      poNumber: data.poNumber || null
+      poNumber: data.poNumber || null,
+      originalOrderNumber: data.originalOrderNumber || null, // Order a return was made against
+      originalReceiptId: data.originalReceiptId || null
     },
 
     // Job/Project assignment
@@ -66,18 +76,37 @@ function createReceipt(data = {}) {
 
     // QuickBooks sync status
     qboSync: {
-      status: 'pending', // 'pending', 'matched', 'synced', 'error'
+      status: 'pending', // 'pending', 'review', 'matched', 'synced', 'duplicate', 'dismissed', 'error'
       transactionId: null,
       expenseId: null,
       billId: null,
+      vendorCreditId: null,
+      billPaymentId: null, // Set once a bill is paid in full (see bill-payments)
+      billPayments: [],    // [{ billPaymentId, amount, date }] - installments seen so far
+      paidAt: null,
+      attachableIds: [],
+      duplicateOf: null, // { reason, receiptId, entityType, entityId } when skipped as a duplicate
+      matchScore: null,  // { amount, date, card, vendor, total } for the matched transaction
+      split: null,       // [{ transactionId, amount, date, cardLast4, cardholder, jobName }] when paid in parts
       syncedAt: null,
       error: null
     },
 
+    // Manual review state (set when the receipt is sent to the review queue)
+    review: {
+      reasons: [],
+      candidates: [], // Scored QBO transactions the reviewer can pick from
+      requestedAt: null,
+      resolvedAt: null,
+      resolution: null // 'matched', 'created', 'dismissed'
+    },
+
     // Category/Account assignment
     category: {
       name: data.categoryName || 'Job Supplies',
       qboAccountId: data.qboAccountId || null,
+      qboClassId: null,      // Default Class/Department from the card registry
+      qboDepartmentId: null,
       isBillable: data.isBillable !== false, // Default true
       isTaxable: data.isTaxable !== false    // Default true
     },
@@ -90,7 +119,12 @@ function createReceipt(data = {}) {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       processingNotes: [],
-      confidence: data.confidence || null
+      confidence: data.confidence || null,
+      parser: data.parser || null, // { name, source } of the parser that produced the data
+      // Per field: { value, confidence (0-1), source, method, snippet } - see parsers/provenance.js
+      provenance: data.provenance || null,
+      // { status, corrections, inconsistent, problems } - see parsers/reconcile.js
+      reconciliation: data.reconciliation || null
     }
   };
 }
@@ -174,12 +208,28 @@ function validateReceipt(receipt) {
     errors.push('Transaction date is required');
   }
 
+  for (const problem of checkAmounts({ ...receipt.transaction, lineItems: null })) {
+    errors.push(`Amounts don't add up: ${problem.message}`);
+  }
+
   return {
     isValid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * Fields (by parser name, e.g. 'total', 'cardLast4') whose parsed value the
+ * parser wasn't sure of: provenance confidence under the threshold
+ * Receipts parsed before provenance was recorded have no uncertain fields.
+ */
+function getUncertainFields(receipt, fields, threshold) {
+  const provenance = receipt.metadata.provenance;
+  if (!provenance) return [];
+
+  return fields.filter(field => provenance[field] && provenance[field].confidence < threshold);
+}
+
 /**
  * Convert receipt to QuickBooks expense payload
  */
@@ -205,7 +255,7 @@ function toQboExpensePayload(receipt) {
               value: receipt.category.qboAccountId
             },
             BillableStatus: receipt.category.isBillable ? 'Billable' : 'NotBillable',
-            TaxCodeRef: receipt.category.isTaxable ? { value: 'TAX' } : { value: 'NON' },
+            TaxCodeRef: taxRates.getLineTaxCode(receipt),
             CustomerRef: receipt.job.qboCustomerId ? {
               value: receipt.job.qboCustomerId
             } : undefined
@@ -235,6 +285,7 @@ module.exports = {
   updateSyncStatus,
   addProcessingNote,
   validateReceipt,
+  getUncertainFields,
   toQboExpensePayload
 };
 
@@ -5,7 +5,7 @@
 
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
-const { parseCurrency, parseDate } = require('../utils/helpers');
+const { parseCurrency, parseDate, extractTax } = require('../utils/helpers');
 
 class HtmlParser {
   /**
@@ -86,10 +86,10 @@ class HtmlParser {
       labeledAmounts.subtotal = parseCurrency(subtotalMatch[1]);
     }
 
-    // Tax
-    const taxMatch = text.match(/(?:sales\s*)?tax[:\s]*\$?([\d,]+\.?\d*)/i);
-    if (taxMatch) {
-      labeledAmounts.tax = parseCurrency(taxMatch[1]);
+    // Tax (sales tax or Hawaii GET)
+    const tax = extractTax(text);
+    if (tax) {
+      labeledAmounts.tax = tax.amount;
     }
 
     // Shipping
@@ -100,7 +100,8 @@ class HtmlParser {
 
     return {
       all: amounts,
-      labeled: labeledAmounts
+      labeled: labeledAmounts,
+      taxRate: tax ? tax.rate : null // rate printed with the tax, e.g. GET 4.712%
     };
   }
 
@@ -7,8 +7,13 @@ const pdfParser = require('./pdf');
 const htmlParser = require('./html');
 const imageParser = require('./image');
 const vendorParsers = require('./vendors');
+const fieldProvenance = require('./provenance');
+const amountReconciler = require('./reconcile');
 const logger = require('../utils/logger');
 
+// "Invoice #12345", "Invoice No. S1234567.001" - the value must contain a digit
+const INVOICE_NUMBER_PATTERN = /invoice\s*(?:#|number|no\.?)\s*:?\s*([A-Z0-9][A-Z0-9.\-]*\d[A-Z0-9.\-]*)/i;
+
 class ParserRouter {
   /**
    * Parse PDF content
@@ -23,22 +28,83 @@ class ParserRouter {
         return null;
       }
 
-      // Try vendor-specific parser first
-      if (vendor && vendorParsers[vendor.vendorId]) {
-        const result = vendorParsers[vendor.vendorId].parse(text, 'pdf');
+      return this.parseExtractedText(text, vendor, 'pdf');
+    } catch (error) {
+      logger.error('PDF parsing failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Parse a PDF that may hold several invoices (statements, batched invoices)
+   * Pages are grouped at invoice-number boundaries and each group parsed on its own.
+   * Returns an array of results, each with the page range it came from.
+   */
+  async parsePdfDocuments(pdfBuffer, vendor) {
+    try {
+      const pages = await pdfParser.extractTextByPage(pdfBuffer);
+      const documents = this.splitByInvoice(pages);
+
+      if (documents.length <= 1) {
+        const result = await this.parsePdf(pdfBuffer, vendor);
+        return result ? [result] : [];
+      }
+
+      logger.info('PDF contains multiple invoices', { invoices: documents.length, pages: pages.length });
+
+      const results = [];
+
+      for (const document of documents) {
+        const result = this.parseExtractedText(document.text, vendor, 'pdf');
+
         if (result) {
-          return result;
+          // The number the split was made on tells the invoices apart; a
+          // parser's own match can be cut short ("4417" of "4417-01")
+          if (document.invoiceNumber && result.invoiceNumber !== document.invoiceNumber) {
+            result.invoiceNumber = document.invoiceNumber;
+            result.provenance.invoiceNumber = fieldProvenance.describeField('invoiceNumber', document.invoiceNumber, document.text, 'pdf');
+          }
+          result.pages = { from: document.firstPage, to: document.lastPage };
+          results.push(result);
         }
       }
 
-      // Fall back to generic parsing
-      return vendorParsers.generic.parse(text, 'pdf', vendor);
+      return results;
     } catch (error) {
-      logger.error('PDF parsing failed', { error: error.message });
-      return null;
+      logger.error('Multi-invoice PDF parsing failed', { error: error.message });
+      return [];
     }
   }
 
+  /**
+   * Group page texts into documents, starting a new one whenever a page
+   * shows an invoice number different from the current document's
+   * Pages without an invoice number (continuations) stay with the previous page.
+   */
+  splitByInvoice(pages) {
+    const documents = [];
+    let current = null;
+
+    pages.forEach((text, index) => {
+      const match = text.match(INVOICE_NUMBER_PATTERN);
+      const invoiceNumber = match ? match[1].toUpperCase() : null;
+
+      if (!current || (invoiceNumber && current.invoiceNumber && invoiceNumber !== current.invoiceNumber)) {
+        current = { invoiceNumber, pageTexts: [], firstPage: index + 1, lastPage: index + 1 };
+        documents.push(current);
+      }
+
+      current.invoiceNumber = current.invoiceNumber || invoiceNumber;
+      current.pageTexts.push(text);
+      current.lastPage = index + 1;
+    });
+
+    return documents.map(({ pageTexts, ...document }) => ({
+      ...document,
+      text: pageTexts.join('\n')
+    }));
+  }
+
   /**
    * Parse HTML content
    */
@@ -48,15 +114,16 @@ class ParserRouter {
       const extracted = htmlParser.extract(htmlContent);
 
       // Try vendor-specific parser first
-      if (vendor && vendorParsers[vendor.vendorId]) {
-        const result = vendorParsers[vendor.vendorId].parseHtml(htmlContent, extracted);
+      const vendorParser = this.getVendorParser(vendor);
+      if (vendorParser) {
+        const result = vendorParser.parseHtml(htmlContent, extracted, vendor);
         if (result) {
-          return result;
+          return this.tagResult(result, vendor.vendorId, 'html', extracted.text);
         }
       }
 
       // Fall back to generic parsing
-      return vendorParsers.generic.parseHtml(htmlContent, extracted, vendor);
+      return this.tagResult(vendorParsers.generic.parseHtml(htmlContent, extracted, vendor), 'generic', 'html', extracted.text);
     } catch (error) {
       logger.error('HTML parsing failed', { error: error.message });
       return null;
@@ -68,16 +135,7 @@ class ParserRouter {
    */
   async parseText(textContent, vendor) {
     try {
-      // Try vendor-specific parser first
-      if (vendor && vendorParsers[vendor.vendorId]) {
-        const result = vendorParsers[vendor.vendorId].parse(textContent, 'text');
-        if (result) {
-          return result;
-        }
-      }
-
-      // Fall back to generic parsing
-      return vendorParsers.generic.parse(textContent, 'text', vendor);
+      return this.parseExtractedText(textContent, vendor, 'text');
     } catch (error) {
       logger.error('Text parsing failed', { error: error.message });
       return null;
@@ -97,21 +155,54 @@ class ParserRouter {
         return null;
       }
 
-      // Try vendor-specific parser first
-      if (vendor && vendorParsers[vendor.vendorId]) {
-        const result = vendorParsers[vendor.vendorId].parse(text, 'image');
-        if (result) {
-          return result;
-        }
-      }
-
-      // Fall back to generic parsing
-      return vendorParsers.generic.parse(text, 'image', vendor);
+      return this.parseExtractedText(text, vendor, 'image');
     } catch (error) {
       logger.error('Image parsing failed', { error: error.message });
       return null;
     }
   }
+
+  /**
+   * Run extracted text through the vendor parser, falling back to generic
+   */
+  parseExtractedText(text, vendor, sourceType) {
+    // Try vendor-specific parser first
+    const vendorParser = this.getVendorParser(vendor);
+    if (vendorParser) {
+      const result = vendorParser.parse(text, sourceType, vendor);
+      if (result) {
+        return this.tagResult(result, vendor.vendorId, sourceType, text);
+      }
+    }
+
+    // Fall back to generic parsing
+    return this.tagResult(vendorParsers.generic.parse(text, sourceType, vendor), 'generic', sourceType, text);
+  }
+
+  /**
+   * Parser for a detected vendor: its own class, or the declarative parser
+   * for vendors defined in files; null for unknown vendors
+   */
+  getVendorParser(vendor) {
+    if (!vendor) return null;
+    if (vendorParsers[vendor.vendorId]) {
+      return vendorParsers[vendor.vendorId];
+    }
+    return vendor.parser ? vendorParsers.declarative : null;
+  }
+
+  /**
+   * Record which parser produced a result, check its amounts add up, and
+   * where in the text each field came from
+   */
+  tagResult(result, parserName, sourceType, text) {
+    if (result) {
+      result.parser = { name: parserName, source: sourceType };
+      amountReconciler.reconcile(result, text);
+      fieldProvenance.describe(result, text, sourceType);
+    }
+    return result;
+  }
 }
 
 // Singleton instance
@@ -17,7 +17,7 @@ class PdfParser {
         max: 10
       };
 
-      const data = await pdfParse(pdfBuffer, options);
+      const data = await pdfParse(toPdfData(pdfBuffer), options);
 
       logger.info('PDF text extracted', {
         pages: data.numpages,
@@ -33,22 +33,37 @@ class PdfParser {
 
   /**
    * Extract text with page separation
+   * Lines are kept (a new line starts whenever the text baseline moves) so
+   * vendor parsers can work on a single page the same way as a whole document.
    */
-  async extractTextByPage(pdfBuffer) {
+  async extractTextByPage(pdfBuffer, maxPages = 50) {
     try {
       const pages = [];
 
       const options = {
-        max: 10,
+        max: maxPages,
         pagerender: async function(pageData) {
           const textContent = await pageData.getTextContent();
-          const text = textContent.items.map(item => item.str).join(' ');
+          let text = '';
+          let lastY = null;
+
+          for (const item of textContent.items) {
+            const y = item.transform[5];
+            if (lastY !== null && y !== lastY) {
+              text += '\n';
+            } else if (lastY !== null) {
+              text += ' ';
+            }
+            text += item.str;
+            lastY = y;
+          }
+
           pages.push(text);
           return text;
         }
       };
 
-      await pdfParse(pdfBuffer, options);
+      await pdfParse(toPdfData(pdfBuffer), options);
 
       return pages;
     } catch (error) {
@@ -58,6 +73,16 @@ class PdfParser {
   }
 }
 
+/**
+ * The pdf.js bundled with pdf-parse misreads Node Buffers (they fail with
+ * "bad XRef entry" or "Illegal character" while the same bytes parse fine),
+ * so it gets a plain Uint8Array copy - which also keeps the caller's buffer
+ * intact for the next pass over the same PDF.
+ */
+function toPdfData(pdfBuffer) {
+  return new Uint8Array(pdfBuffer);
+}
+
 // Singleton instance
 const pdfParser = new PdfParser();
 
@@ -0,0 +1,353 @@
+/**
+ * Field Provenance
+ * Where each parsed value came from and how far to trust it. For every field
+ * a parser returns (and every line item) we find the text it was read from
+ * and look at the label in front of it: "Tax: $8.35" backs the tax, while a
+ * total read off "Subtotal: $111.41" is next to the wrong label and scores low.
+ *
+ * result.provenance = {
+ *   total: { value: 119.76, confidence: 0.9, source: 'pdf', method: 'labeled', snippet: 'Order Total: $119.76' },
+ *   ...
+ *   lineItems: [{ value: { description, totalPrice }, confidence, source, method, snippet }]
+ * }
+ *
+ * source is the document the text came from: 'pdf', 'html', 'ocr' or 'text'
+ * ('review' with method 'corrected' once a reviewer has fixed the value).
+ */
+
+const { parseDate } = require('../utils/helpers');
+
+const SOURCES = { pdf: 'pdf', html: 'html', image: 'ocr', text: 'text' };
+
+// How the value was found -> confidence
+const METHOD_CONFIDENCE = {
+  labeled: 0.9,     // next to its own label (line items: with their amount on the line)
+  unlabeled: 0.7,   // in the text, nothing saying what it is
+  derived: 0.6,     // not in the text as written (worked out or reformatted by the parser)
+  fallback: 0.4,    // the parser's guess, e.g. the largest amount on the page
+  conflict: 0.3,    // next to another field's label
+  implausible: 0.2  // can't be right: an order number without digits, a date years away
+};
+
+// OCR misreads digits, so everything it produced is trusted a little less
+const OCR_FACTOR = 0.85;
+
+// Amounts that don't add up with the rest of the receipt (see reconcile.js)
+const INCONSISTENT_FACTOR = 0.5;
+
+// Labels looked for in front of a value; "subtotal" must come before "total"
+const LABELS = [
+  ['subtotal', 'sub\\s*-?\\s*total'],
+  ['total', 'total'],
+  ['tax', '(?:sales\\s*)?tax|general\\s*excise|g\\.?e\\.?t\\b'],
+  ['shipping', 'shipping|freight|delivery'],
+  ['discount', 'discount|savings|you\\s*saved'],
+  ['due', 'due(?:\\s*date)?'],
+  ['date', 'date|placed|ordered|issued'],
+  ['invoice', 'invoice'],
+  ['order', 'order|confirmation'],
+  ['po', 'p\\.?\\s?o\\.?\\s*#|purchase\\s*order'],
+  ['job', 'job|project|customer'],
+  ['card', 'visa|mastercard|amex|discover|card|ending\\s*in'],
+  ['terms', 'terms'],
+  // Amounts on a receipt that aren't part of the purchase
+  ['other', 'credit\\s*limit|available\\s*credit|previous\\s*balance|rewards?|points|gift\\s*card\\s*balance']
+];
+
+const LABEL_PATTERN = new RegExp(LABELS.map(([, pattern]) => `\\b(?:${pattern})`).join('|'), 'gi');
+
+// Labels that back each field
+const FIELD_LABELS = {
+  total: ['total'],
+  subtotal: ['subtotal'],
+  tax: ['tax'],
+  shipping: ['shipping'],
+  discount: ['discount'],
+  date: ['date'],
+  dueDate: ['due'],
+  orderNumber: ['order'],
+  invoiceNumber: ['invoice'],
+  poNumber: ['po', 'job'],
+  cardLast4: ['card'],
+  jobName: ['job', 'po'],
+  terms: ['terms']
+};
+
+const AMOUNT_FIELDS = ['total', 'subtotal', 'tax', 'shipping', 'discount'];
+const DATE_FIELDS = ['date', 'dueDate'];
+const REFERENCE_FIELDS = ['orderNumber', 'invoiceNumber', 'poNumber'];
+
+// How much text in front of a value (whitespace collapsed) is searched for its label
+const LABEL_WINDOW = 40;
+const MAX_SNIPPET_LENGTH = 80;
+
+// Dollar amounts anywhere in the text
+const AMOUNT_PATTERN = /(?<![\d.,])\$?\s?(\d{1,3}(?:,\d{3})+|\d+)\.(\d{2})(?!\d)/g;
+
+// Dates as receipts write them
+const DATE_PATTERN = /\d{1,2}[/-]\d{1,2}[/-]\d{2,4}|\d{4}-\d{2}-\d{2}|[A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s*\d{4}/g;
+
+// Receipts older than this or dated in the future are probably misread
+const MAX_AGE_DAYS = 730;
+const MAX_FUTURE_DAYS = 30;
+
+class FieldProvenance {
+  /**
+   * Record provenance for every field of a parsed result
+   * Fields the parser flagged in result.fallbackFields were guessed, and
+   * those in result.reconciliation.inconsistent don't add up.
+   */
+  describe(result, text, sourceType) {
+    const provenance = {};
+    const fallbackFields = result.fallbackFields || [];
+    const inconsistent = result.reconciliation?.inconsistent || [];
+
+    for (const field of Object.keys(FIELD_LABELS)) {
+      const value = result[field];
+      if (value === null || value === undefined || value === '') continue;
+
+      provenance[field] = this.describeField(field, value, text, sourceType, fallbackFields.includes(field));
+      if (inconsistent.includes(field)) {
+        this.lowerConfidence(provenance[field]);
+      }
+    }
+
+    provenance.lineItems = (result.lineItems || []).map(item => this.describeLineItem(item, text, sourceType));
+    if (inconsistent.includes('lineItems')) {
+      provenance.lineItems.forEach(entry => this.lowerConfidence(entry));
+    }
+
+    result.provenance = provenance;
+    return provenance;
+  }
+
+  /**
+   * { value, confidence, source, method, snippet } for one field
+   */
+  describeField(field, value, text, sourceType, isFallback = false) {
+    const occurrences = this.findOccurrences(field, value, text || '');
+    const labels = FIELD_LABELS[field];
+
+    // The occurrence whose label fits best
+    let best = null;
+    for (const occurrence of occurrences) {
+      const label = this.labelBefore(text, occurrence.index);
+      const method = !label ? 'unlabeled' : labels.includes(label) ? 'labeled' : this.isOtherField(field, label) ? 'conflict' : 'unlabeled';
+
+      if (!best || METHOD_CONFIDENCE[method] > METHOD_CONFIDENCE[best.method]) {
+        best = { method, index: occurrence.index, length: occurrence.length };
+      }
+    }
+
+    let method = best ? best.method : 'derived';
+
+    if (isFallback) {
+      method = 'fallback';
+    }
+    if (!this.isPlausible(field, value)) {
+      method = 'implausible';
+    }
+
+    return this.entry(value, method, sourceType, best ? this.snippet(text, best.index, best.length) : null);
+  }
+
+  /**
+   * Provenance for a line item: found by its description, trusted when the
+   * line also shows its amount
+   */
+  describeLineItem(item, text, sourceType) {
+    const value = { description: item.description, totalPrice: item.totalPrice ?? null };
+    const description = (item.description || '').trim();
+
+    if (!description || !text) {
+      return this.entry(value, 'derived', sourceType, null);
+    }
+
+    const pattern = new RegExp(escapeRegExp(description).replace(/\s+/g, '\\s+'), 'i');
+    const match = pattern.exec(text);
+
+    if (!match) {
+      return this.entry(value, 'derived', sourceType, null);
+    }
+
+    const line = this.lineAt(text, match.index);
+    const hasAmount = typeof item.totalPrice === 'number' && amountPattern(item.totalPrice).test(line.text);
+
+    let method = hasAmount ? 'labeled' : 'unlabeled';
+
+    // A summary line read as an item ("Sales Tax: $8.35")
+    if (/^\W*(?:sub\s*-?\s*total|total|(?:sales\s*)?tax|get|general\s*excise|shipping|discount|invoice\s*total|balance)\b/i.test(description)) {
+      method = 'conflict';
+    }
+
+    return this.entry(value, method, sourceType, this.snippet(text, match.index, match[0].length));
+  }
+
+  entry(value, method, sourceType, snippet) {
+    const source = SOURCES[sourceType] || sourceType || null;
+    const factor = source === 'ocr' ? OCR_FACTOR : 1;
+
+    return {
+      value,
+      confidence: Math.round(METHOD_CONFIDENCE[method] * factor * 100) / 100,
+      source,
+      method,
+      snippet
+    };
+  }
+
+  lowerConfidence(entry) {
+    entry.confidence = Math.round(entry.confidence * INCONSISTENT_FACTOR * 100) / 100;
+    return entry;
+  }
+
+  /**
+   * Every dollar amount in the text with the label in front of it,
+   * as [{ value, label }] (label: 'total', 'tax', ... or null)
+   */
+  findAmounts(text) {
+    return allMatches(AMOUNT_PATTERN, text || '').map(({ index, length }) => ({
+      value: parseFloat(text.slice(index, index + length).replace(/[$,\s]/g, '')),
+      label: this.labelBefore(text, index)
+    }));
+  }
+
+  /**
+   * Places the value appears in the text, as [{ index, length }]
+   */
+  findOccurrences(field, value, text) {
+    if (AMOUNT_FIELDS.includes(field)) {
+      return typeof value === 'number' ? allMatches(amountPattern(value), text) : [];
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+      return allMatches(DATE_PATTERN, text).filter(match => parseDate(text.slice(match.index, match.index + match.length)) === value);
+    }
+
+    if (field === 'cardLast4') {
+      return allMatches(new RegExp(`(?<!\\d)${escapeRegExp(String(value))}(?!\\d)`, 'g'), text);
+    }
+
+    return allMatches(new RegExp(escapeRegExp(String(value)).replace(/\s+/g, '\\s+'), 'gi'), text);
+  }
+
+  /**
+   * Kind of the nearest label in front of a position on the same line
+   */
+  labelBefore(text, index) {
+    // Column padding doesn't count towards the window
+    const line = this.lineAt(text, index);
+    const before = text.slice(line.start, index).replace(/\s+/g, ' ').slice(-LABEL_WINDOW);
+
+    let label = null;
+    let match;
+    LABEL_PATTERN.lastIndex = 0;
+
+    while ((match = LABEL_PATTERN.exec(before)) !== null) {
+      label = match[0];
+    }
+
+    if (!label) return null;
+
+    const [kind] = LABELS.find(([, pattern]) => new RegExp(`^(?:${pattern})$`, 'i').test(label));
+    return kind;
+  }
+
+  /**
+   * Whether a label belongs to a different field of the same kind
+   * (another amount for an amount, another date for a date)
+   */
+  isOtherField(field, label) {
+    const group = AMOUNT_FIELDS.includes(field) ? AMOUNT_FIELDS
+      : DATE_FIELDS.includes(field) ? DATE_FIELDS
+        : REFERENCE_FIELDS.includes(field) ? REFERENCE_FIELDS
+          : [];
+
+    return group.some(other => other !== field && FIELD_LABELS[other].includes(label));
+  }
+
+  /**
+   * Values no receipt would have
+   */
+  isPlausible(field, value) {
+    if (AMOUNT_FIELDS.includes(field)) {
+      return typeof value === 'number' && (field === 'discount' || value >= 0) && (field !== 'total' || value > 0);
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+      const days = (Date.parse(value) - Date.now()) / 86400000;
+      return !isNaN(days) && days <= MAX_FUTURE_DAYS + (field === 'dueDate' ? 120 : 0) && days >= -MAX_AGE_DAYS;
+    }
+
+    if (REFERENCE_FIELDS.includes(field)) {
+      return /\d/.test(String(value));
+    }
+
+    if (field === 'cardLast4') {
+      return /^\d{4}$/.test(String(value));
+    }
+
+    return true;
+  }
+
+  /**
+   * { start, text } of the line holding a position
+   */
+  lineAt(text, index) {
+    const start = text.lastIndexOf('\n', index - 1) + 1;
+    const end = text.indexOf('\n', index);
+
+    return { start, text: text.slice(start, end === -1 ? text.length : end) };
+  }
+
+  /**
+   * The source line around a match, cut down for long lines (HTML text is one line)
+   */
+  snippet(text, index, length) {
+    const line = this.lineAt(text, index);
+    const trimmed = line.text.trim();
+
+    if (trimmed.length <= MAX_SNIPPET_LENGTH) {
+      return trimmed;
+    }
+
+    const from = Math.max(line.start, index - 50);
+    const to = Math.min(line.start + line.text.length, index + length + 20);
+
+    return `${from > line.start ? '…' : ''}${text.slice(from, to).trim()}${to < line.start + line.text.length ? '…' : ''}`;
+  }
+}
+
+/**
+ * An amount as receipts print it: 1234.5 matches "1,234.50" and "1234.50"
+ * (and "1234" when there are no cents)
+ */
+function amountPattern(value) {
+  const [whole, cents] = Math.abs(value).toFixed(2).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',?');
+  const fraction = cents === '00' ? '(?:\\.00)?' : `\\.${cents}`;
+
+  return new RegExp(`(?<![\\d,.])${grouped}${fraction}(?!\\.?\\d)`, 'g');
+}
+
+function allMatches(pattern, text) {
+  const matches = [];
+  let match;
+
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(text)) !== null) {
+    matches.push({ index: match.index, length: match[0].length });
+    if (match[0].length === 0) pattern.lastIndex++;
+  }
+
+  return matches;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Singleton instance
+const fieldProvenance = new FieldProvenance();
+
+module.exports = fieldProvenance;
@@ -0,0 +1,207 @@
+/**
+ * Amount Reconciliation
+ * Runs after a parser and checks that the amounts it found add up: the line
+ * items to the subtotal, subtotal + tax + shipping - discount to the total,
+ * and a tax rate that makes sense here. When they don't, the other labeled
+ * amounts in the text are tried - a total read off the subtotal line is
+ * swapped for the real one. Whatever still doesn't add up is flagged, and
+ * its field confidence drops (see provenance.js).
+ *
+ * result.reconciliation = {
+ *   status: 'ok' | 'corrected' | 'unreconciled' | 'unchecked',   (the total check)
+ *   corrections: [{ field, from, to }],
+ *   inconsistent: ['tax', 'lineItems', ...],
+ *   problems: ['subtotal $111.41 + tax $8.35 is $119.76, not the $111.41 total', ...]
+ * }
+ */
+
+const config = require('../config');
+const fieldProvenance = require('./provenance');
+const { checkAmounts } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const EQUATION_FIELDS = ['total', 'subtotal', 'tax', 'shipping', 'discount'];
+
+// Most candidates tried per field
+const MAX_CANDIDATES = 6;
+
+// Rounding slack when the tax rate is checked
+const TAX_TOLERANCE = 0.01;
+
+// Cost of a candidate set: replacing a parsed amount, filling a missing one,
+// ignoring an amount the text labels as that field, and the softer signals
+const PENALTY = { changed: 10, filled: 1, ignoredLabel: 20, unlabeledTotal: 3, taxRate: 5, lineItems: 2 };
+
+const CONFIDENCE_DOWNGRADE = { high: 'medium', medium: 'low', low: 'low' };
+
+class AmountReconciler {
+  /**
+   * Check (and where possible fix) a parser result's amounts in place
+   */
+  reconcile(result, text) {
+    const original = pickAmounts(result);
+    const reconciliation = { status: 'unchecked', corrections: [], inconsistent: [], problems: [] };
+
+    const failures = checkAmounts({ ...original, lineItems: null });
+    let amounts = original;
+
+    if (failures.length === 0 && canCheckTotal(original)) {
+      reconciliation.status = 'ok';
+    } else {
+      const fixed = this.findConsistentAmounts(original, result.lineItems, fieldProvenance.findAmounts(text));
+
+      if (fixed) {
+        amounts = fixed;
+        reconciliation.status = 'corrected';
+
+        for (const field of EQUATION_FIELDS) {
+          if (fixed[field] !== original[field]) {
+            reconciliation.corrections.push({ field, from: original[field], to: fixed[field] });
+            result[field] = fixed[field];
+          }
+        }
+      } else if (failures.length > 0) {
+        reconciliation.status = 'unreconciled';
+        reconciliation.inconsistent.push(...EQUATION_FIELDS.filter(field => typeof original[field] === 'number'));
+        reconciliation.problems.push(failures[0].message);
+        result.confidence = CONFIDENCE_DOWNGRADE[result.confidence] || result.confidence;
+      }
+    }
+
+    const itemProblem = checkAmounts({ ...amounts, lineItems: result.lineItems })
+      .find(problem => problem.check === 'lineItems');
+
+    if (itemProblem) {
+      reconciliation.inconsistent.push('lineItems');
+      reconciliation.problems.push(itemProblem.message);
+    }
+
+    const taxProblem = this.checkTaxRate(amounts);
+
+    if (taxProblem) {
+      if (!reconciliation.inconsistent.includes('tax')) {
+        reconciliation.inconsistent.push('tax');
+      }
+      reconciliation.problems.push(taxProblem);
+    }
+
+    if (reconciliation.corrections.length > 0 || reconciliation.problems.length > 0) {
+      logger.info('Reconciled parsed amounts', {
+        status: reconciliation.status,
+        corrections: reconciliation.corrections.map(c => `${c.field} ${c.from} -> ${c.to}`),
+        problems: reconciliation.problems
+      });
+    }
+
+    result.reconciliation = reconciliation;
+    return reconciliation;
+  }
+
+  /**
+   * The cheapest set of amounts (parsed values and amounts found in the text)
+   * where subtotal + tax + shipping - discount comes to the total; null if none
+   */
+  findConsistentAmounts(current, lineItems, found) {
+    const labeled = field => found.filter(amount => amount.label === field).map(amount => amount.value);
+    const unlabeled = found.filter(amount => !amount.label).map(amount => amount.value);
+
+    const pools = {
+      total: candidates([current.total, ...labeled('total'), ...unlabeled]),
+      subtotal: candidates([current.subtotal, ...labeled('subtotal')]),
+      tax: candidates([current.tax, ...labeled('tax'), null]),
+      shipping: candidates([current.shipping, ...labeled('shipping'), null]),
+      discount: candidates([current.discount, ...labeled('discount'), null])
+    };
+
+    let best = null;
+
+    for (const total of pools.total) {
+      for (const subtotal of pools.subtotal) {
+        for (const tax of pools.tax) {
+          for (const shipping of pools.shipping) {
+            for (const discount of pools.discount) {
+              const amounts = { total, subtotal, tax, shipping, discount };
+
+              if (!(total > 0) || !(subtotal > 0) || checkAmounts({ ...amounts, lineItems: null }).length > 0) {
+                continue;
+              }
+
+              const cost = this.cost(amounts, current, lineItems, labeled);
+              if (!best || cost < best.cost) {
+                best = { amounts, cost };
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return best ? best.amounts : null;
+  }
+
+  cost(amounts, current, lineItems, labeled) {
+    let cost = 0;
+
+    for (const field of EQUATION_FIELDS) {
+      const value = amounts[field];
+      const labels = labeled(field);
+
+      if (typeof current[field] === 'number' && value !== current[field]) {
+        cost += PENALTY.changed;
+      } else if (current[field] === null && value !== null) {
+        cost += PENALTY.filled;
+      }
+
+      if (labels.length > 0 && !labels.includes(value)) {
+        cost += PENALTY.ignoredLabel;
+      }
+    }
+
+    if (amounts.total !== current.total && !labeled('total').includes(amounts.total)) {
+      cost += PENALTY.unlabeledTotal;
+    }
+    if (this.checkTaxRate(amounts)) {
+      cost += PENALTY.taxRate;
+    }
+    if (checkAmounts({ ...amounts, lineItems }).some(problem => problem.check === 'lineItems')) {
+      cost += PENALTY.lineItems;
+    }
+
+    return cost;
+  }
+
+  /**
+   * Problem description when the tax is more than our highest rate allows
+   */
+  checkTaxRate({ total, subtotal, tax }) {
+    if (!(tax > 0)) return null;
+
+    const base = typeof subtotal === 'number' ? subtotal : (typeof total === 'number' ? total - tax : null);
+    if (!(base > 0)) return null;
+
+    const maxRate = config.tax.maxRate;
+    if (tax <= base * maxRate + TAX_TOLERANCE) return null;
+
+    return `tax $${tax.toFixed(2)} is ${((tax / base) * 100).toFixed(2)}% of $${base.toFixed(2)}, above the ${(maxRate * 100).toFixed(3)}% rate`;
+  }
+}
+
+function pickAmounts(result) {
+  return Object.fromEntries(EQUATION_FIELDS.map(field => [field, typeof result[field] === 'number' ? result[field] : null]));
+}
+
+function canCheckTotal(amounts) {
+  return typeof amounts.total === 'number' && typeof amounts.subtotal === 'number';
+}
+
+/**
+ * Distinct values, the parsed value first
+ */
+function candidates(values) {
+  return [...new Set(values)].slice(0, MAX_CANDIDATES);
+}
+
+// Singleton instance
+const amountReconciler = new AmountReconciler();
+
+module.exports = amountReconciler;
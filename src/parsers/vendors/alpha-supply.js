@@ -3,7 +3,7 @@
  * Specialized parsing for Alpha Supply invoices and receipts
  */
 
-const { parseCurrency, parseDate } = require('../../utils/helpers');
+const { parseCurrency, parseDate, extractTax, extractTerms, applyReturnDetection } = require('../../utils/helpers');
 const logger = require('../../utils/logger');
 
 class AlphaSupplyParser {
@@ -16,6 +16,7 @@ class AlphaSupplyParser {
         total: null,
         subtotal: null,
         tax: null,
+        taxRate: null,
         date: null,
         orderNumber: null,
         invoiceNumber: null,
@@ -49,10 +50,11 @@ class AlphaSupplyParser {
         result.subtotal = parseCurrency(subtotalMatch[1]);
       }
 
-      // Tax
-      const taxMatch = text.match(/(?:sales\s*)?tax[:\s]*\$?([\d,]+\.?\d*)/i);
-      if (taxMatch) {
-        result.tax = parseCurrency(taxMatch[1]);
+      // Tax (sales tax or Hawaii GET)
+      const tax = extractTax(text);
+      if (tax) {
+        result.tax = tax.amount;
+        result.taxRate = tax.rate;
       }
 
       // Invoice date
@@ -71,7 +73,7 @@ class AlphaSupplyParser {
       }
 
       // Invoice Number
-      const invoiceMatch = text.match(/invoice\s*(?:#|number|no\.?)?[:\s]*(\w+)/i);
+      const invoiceMatch = text.match(/invoice\s*(?:#|number|no\.?)?[:\s]*([\w-]+)/i);
       if (invoiceMatch) {
         result.invoiceNumber = invoiceMatch[1];
       }
@@ -98,6 +100,12 @@ class AlphaSupplyParser {
       // Extract line items (electrical parts)
       result.lineItems = this.extractLineItems(text);
 
+      // Payment terms and due date (house account invoices)
+      Object.assign(result, extractTerms(text, result.date));
+
+      // Returns, refunds and credit memos
+      applyReturnDetection(result, text);
+
       // Calculate confidence
       if (result.total && result.date && (result.invoiceNumber || result.poNumber)) {
         result.confidence = 'high';
@@ -172,7 +180,7 @@ class AlphaSupplyParser {
           } else if (match.length === 3) {
             // Simple description + price
             const description = match[1].trim();
-            if (!/^(subtotal|total|tax|shipping|discount)/i.test(description)) {
+            if (!/^(subtotal|total|tax|get\b|general\s*excise|shipping|discount)/i.test(description)) {
               items.push({
                 description,
                 quantity: 1,
@@ -4,9 +4,12 @@
  */
 
 const cheerio = require('cheerio');
-const { parseCurrency, parseDate } = require('../../utils/helpers');
+const { parseCurrency, parseDate, extractTax, applyReturnDetection } = require('../../utils/helpers');
 const logger = require('../../utils/logger');
 
+// Amazon order number (format: XXX-XXXXXXX-XXXXXXX)
+const ORDER_NUMBER_PATTERN = /order\s*(?:#|number)?[:\s]*([\d\-]{15,})/i;
+
 class AmazonParser {
   /**
    * Parse Amazon receipt text
@@ -17,6 +20,7 @@ class AmazonParser {
         total: null,
         subtotal: null,
         tax: null,
+        taxRate: null,
         shipping: null,
         date: null,
         orderNumber: null,
@@ -47,10 +51,11 @@ class AmazonParser {
         result.subtotal = parseCurrency(subtotalMatch[1]);
       }
 
-      // Tax
-      const taxMatch = text.match(/(?:estimated\s*)?tax[:\s]*\$?([\d,]+\.?\d*)/i);
-      if (taxMatch) {
-        result.tax = parseCurrency(taxMatch[1]);
+      // Tax (sales tax or Hawaii GET)
+      const tax = extractTax(text);
+      if (tax) {
+        result.tax = tax.amount;
+        result.taxRate = tax.rate;
       }
 
       // Shipping
@@ -74,8 +79,8 @@ class AmazonParser {
         }
       }
 
-      // Amazon order number (format: XXX-XXXXXXX-XXXXXXX)
-      const orderMatch = text.match(/order\s*(?:#|number)?[:\s]*([\d\-]{15,})/i);
+      // Amazon order number
+      const orderMatch = text.match(ORDER_NUMBER_PATTERN);
       if (orderMatch) {
         result.orderNumber = orderMatch[1];
       }
@@ -89,6 +94,9 @@ class AmazonParser {
       // Extract line items
       result.lineItems = this.extractLineItems(text);
 
+      // Returns, refunds and credit memos
+      applyReturnDetection(result, text);
+
       // Calculate confidence
       if (result.total && result.date && result.orderNumber) {
         result.confidence = 'high';
@@ -124,6 +132,7 @@ class AmazonParser {
         total: null,
         subtotal: null,
         tax: null,
+        taxRate: null,
         shipping: null,
         date: null,
         orderNumber: null,
@@ -170,6 +179,16 @@ class AmazonParser {
         result.cardLast4 = extracted.orderInfo.cardLast4;
       }
 
+      if (!result.orderNumber) {
+        const orderMatch = extracted.text.match(ORDER_NUMBER_PATTERN);
+        if (orderMatch) {
+          result.orderNumber = orderMatch[1];
+        }
+      }
+
+      // Returns, refunds and credit memos
+      applyReturnDetection(result, extracted.text);
+
       if (result.total && result.date) {
         result.confidence = 'high';
         return result;
@@ -211,7 +230,7 @@ class AmazonParser {
         }
 
         // Skip summary lines
-        if (!/^(subtotal|total|tax|shipping|discount|order)/i.test(description)) {
+        if (!/^(subtotal|total|tax|get\b|general\s*excise|shipping|discount|order)/i.test(description)) {
           if (description.length > 5) {
             items.push({
               description: description.substring(0, 100),
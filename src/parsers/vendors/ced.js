@@ -3,7 +3,7 @@
  * Specialized parsing for CED invoices and receipts
  */
 
-const { parseCurrency, parseDate } = require('../../utils/helpers');
+const { parseCurrency, parseDate, extractTax, extractTerms, applyReturnDetection } = require('../../utils/helpers');
 const logger = require('../../utils/logger');
 
 class CedParser {
@@ -16,6 +16,7 @@ class CedParser {
         total: null,
         subtotal: null,
         tax: null,
+        taxRate: null,
         date: null,
         orderNumber: null,
         invoiceNumber: null,
@@ -48,10 +49,11 @@ class CedParser {
         result.subtotal = parseCurrency(subtotalMatch[1]);
       }
 
-      // Tax
-      const taxMatch = text.match(/(?:sales\s*)?tax[:\s]*\$?([\d,]+\.?\d*)/i);
-      if (taxMatch) {
-        result.tax = parseCurrency(taxMatch[1]);
+      // Tax (sales tax or Hawaii GET)
+      const tax = extractTax(text);
+      if (tax) {
+        result.tax = tax.amount;
+        result.taxRate = tax.rate;
       }
 
       // Invoice date
@@ -70,7 +72,7 @@ class CedParser {
       }
 
       // Invoice Number
-      const invoiceMatch = text.match(/invoice\s*(?:#|number|no\.?)?[:\s]*(\w+)/i);
+      const invoiceMatch = text.match(/invoice\s*(?:#|number|no\.?)?[:\s]*([\w-]+)/i);
       if (invoiceMatch) {
         result.invoiceNumber = invoiceMatch[1];
       }
@@ -97,6 +99,12 @@ class CedParser {
       // Extract line items (electrical parts)
       result.lineItems = this.extractLineItems(text);
 
+      // Payment terms and due date (house account invoices)
+      Object.assign(result, extractTerms(text, result.date));
+
+      // Returns, refunds and credit memos
+      applyReturnDetection(result, text);
+
       // Calculate confidence
       if (result.total && result.date && (result.invoiceNumber || result.poNumber)) {
         result.confidence = 'high';
@@ -148,10 +156,14 @@ class CedParser {
       /^\s*(.{10,50}?)\s+(\d+)\s+@?\s*\$?([\d,]+\.\d{2})/
     ];
 
+    // Lines already read as table rows
+    const matchedLines = new Set();
+
     for (const line of lines) {
       for (const pattern of patterns) {
         const match = line.match(pattern);
         if (match) {
+          matchedLines.add(line);
           if (match.length === 6) {
             // Full pattern
             items.push({
@@ -175,14 +187,14 @@ class CedParser {
       }
     }
 
-    // Also look for electrical-specific items
+    // Also look for electrical-specific items on lines that aren't table rows
     const electricalPatterns = [
       /(\d+)\s*(?:ft|feet|')\s+(.+?wire.+?)\s+\$?([\d,]+\.\d{2})/i,
       /(\d+)\s+(?:box|boxes)\s+(.+?)\s+\$?([\d,]+\.\d{2})/i,
       /(\d+)\s+(.+?breaker.+?)\s+\$?([\d,]+\.\d{2})/i
     ];
 
-    for (const line of lines) {
+    for (const line of lines.filter(line => !matchedLines.has(line))) {
       for (const pattern of electricalPatterns) {
         const match = line.match(pattern);
         if (match) {
@@ -0,0 +1,238 @@
+/**
+ * Declarative Vendor Parser
+ * Parses receipts for vendors defined in YAML/JSON files instead of code,
+ * following the patterns and selectors in the vendor's `parser` spec
+ * (see src/config/vendor-definitions.js and vendor.example.yaml)
+ */
+
+const cheerio = require('cheerio');
+const dayjs = require('dayjs');
+const { parseCurrency, parseDate, extractCardLast4, extractJobName, extractTerms, extractTax, applyReturnDetection } = require('../../utils/helpers');
+const { AMOUNT_FIELDS } = require('../../config/vendor-definitions');
+const logger = require('../../utils/logger');
+
+class DeclarativeParser {
+  /**
+   * Parse receipt text with a vendor definition
+   */
+  parse(text, sourceType, vendor) {
+    try {
+      if (!vendor?.parser) return null;
+
+      const result = this.extractText(text, vendor.parser);
+      result.lineItems = vendor.parser.lineItems ? this.extractLineItems(text, vendor.parser.lineItems) : [];
+
+      return this.finish(result, text, vendor);
+    } catch (error) {
+      logger.error('Declarative parsing failed', { vendor: vendor?.name, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Parse an HTML email: CSS selectors first, then the text patterns for
+   * anything the selectors didn't find
+   */
+  parseHtml(htmlContent, extracted, vendor) {
+    try {
+      const spec = vendor?.parser;
+      if (!spec) return null;
+
+      const $ = cheerio.load(htmlContent);
+      const result = this.extractText(extracted.text, spec);
+
+      for (const [field, selector] of Object.entries(spec.html.fields)) {
+        const value = this.toValue(field, $(selector).first().text(), spec);
+        if (value !== null) {
+          result[field] = value;
+        }
+      }
+
+      result.lineItems = spec.html.lineItems ? this.extractHtmlLineItems($, spec.html.lineItems) : [];
+
+      if (result.lineItems.length === 0 && spec.lineItems) {
+        result.lineItems = this.extractLineItems(extracted.text, spec.lineItems);
+      }
+
+      return this.finish(result, extracted.text, vendor);
+    } catch (error) {
+      logger.error('Declarative HTML parsing failed', { vendor: vendor?.name, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Fields from the text patterns (first pattern that matches wins), with the
+   * shared card, job and tax fallbacks
+   */
+  extractText(text, spec) {
+    const result = {
+      total: null,
+      subtotal: null,
+      tax: null,
+      taxRate: null,
+      shipping: null,
+      discount: null,
+      date: null,
+      orderNumber: null,
+      invoiceNumber: null,
+      poNumber: null,
+      cardLast4: null,
+      paymentMethod: null,
+      jobName: null,
+      lineItems: [],
+      confidence: 'medium'
+    };
+
+    for (const [field, patterns] of Object.entries(spec.fields)) {
+      for (const pattern of patterns) {
+        const match = text.match(pattern);
+        const value = match ? this.toValue(field, match[1] ?? match[0], spec) : null;
+
+        if (value !== null) {
+          result[field] = value;
+          break;
+        }
+      }
+    }
+
+    result.cardLast4 = result.cardLast4 || extractCardLast4(text);
+    result.jobName = result.jobName || extractJobName(text);
+
+    // Sales tax or Hawaii GET when the definition has no tax pattern (or it missed)
+    const tax = extractTax(text);
+    if (tax && (result.tax === null || result.tax === tax.amount)) {
+      result.tax = tax.amount;
+      result.taxRate = tax.rate;
+    }
+
+    return result;
+  }
+
+  /**
+   * Terms, returns and confidence; null when nothing useful was found
+   */
+  finish(result, text, vendor) {
+    if (!result.total && (!result.lineItems || result.lineItems.length === 0)) {
+      return null;
+    }
+
+    Object.assign(result, extractTerms(text, result.date));
+    applyReturnDetection(result, text);
+
+    if (result.total && result.date && (result.orderNumber || result.invoiceNumber || result.poNumber)) {
+      result.confidence = 'high';
+    } else if (result.total && result.date) {
+      result.confidence = 'medium';
+    } else {
+      result.confidence = 'low';
+    }
+
+    logger.info('Declarative parser extracted receipt', {
+      vendor: vendor.name,
+      definition: vendor.definitionFile,
+      total: result.total,
+      items: result.lineItems.length,
+      confidence: result.confidence
+    });
+
+    return result;
+  }
+
+  /**
+   * Convert matched text for a field: amounts to numbers, dates to
+   * YYYY-MM-DD (the definition's formats first), card numbers to the last 4
+   */
+  toValue(field, raw, spec) {
+    const text = (raw || '').trim();
+    if (!text) return null;
+
+    if (AMOUNT_FIELDS.includes(field)) {
+      return parseCurrency(text.replace(/^\((.*)\)$/, '$1'));
+    }
+
+    if (field === 'date') {
+      for (const format of spec.dateFormats) {
+        const parsed = dayjs(text, format, true);
+        if (parsed.isValid()) return parsed.format('YYYY-MM-DD');
+      }
+      return parseDate(text);
+    }
+
+    if (field === 'cardLast4') {
+      return (text.replace(/\D/g, '').match(/(\d{4})$/) || [])[1] || null;
+    }
+
+    return text;
+  }
+
+  /**
+   * One line item per text line matching the definition's pattern
+   */
+  extractLineItems(text, { pattern, groups }) {
+    const items = [];
+
+    for (const line of text.split('\n')) {
+      const match = line.match(pattern);
+      if (!match) continue;
+
+      const cells = {};
+      for (const [field, group] of Object.entries(groups)) {
+        cells[field] = match[group];
+      }
+
+      const item = this.toLineItem(cells);
+      if (item) items.push(item);
+    }
+
+    return items.slice(0, 50);
+  }
+
+  /**
+   * One line item per row the rows selector finds, columns by selector within the row
+   */
+  extractHtmlLineItems($, { rows, columns }) {
+    const items = [];
+
+    $(rows).each((i, row) => {
+      const cells = {};
+      for (const [field, selector] of Object.entries(columns || {})) {
+        cells[field] = $(row).find(selector).first().text();
+      }
+
+      const item = this.toLineItem(cells);
+      if (item) items.push(item);
+    });
+
+    return items.slice(0, 50);
+  }
+
+  toLineItem(cells) {
+    const description = (cells.description || '').replace(/\s+/g, ' ').trim();
+    if (!description) return null;
+
+    const quantity = cells.quantity ? parseFloat(String(cells.quantity).replace(/[^\d.]/g, '')) || 1 : 1;
+    const unitPrice = cells.unitPrice ? parseCurrency(cells.unitPrice.trim()) : null;
+    const totalPrice = cells.totalPrice ? parseCurrency(cells.totalPrice.trim()) : null;
+
+    if (unitPrice === null && totalPrice === null) return null;
+
+    const item = {
+      description,
+      quantity,
+      unitPrice: unitPrice ?? Math.round((totalPrice / quantity) * 100) / 100,
+      totalPrice: totalPrice ?? Math.round(unitPrice * quantity * 100) / 100
+    };
+
+    if (cells.sku && cells.sku.trim()) {
+      item.sku = cells.sku.trim();
+    }
+
+    return item;
+  }
+}
+
+// Singleton instance
+const declarativeParser = new DeclarativeParser();
+
+module.exports = declarativeParser;
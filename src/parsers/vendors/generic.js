@@ -3,9 +3,12 @@
  * Fallback parser when vendor-specific parser isn't available
  */
 
-const { parseCurrency, parseDate, extractCardLast4, extractJobName } = require('../../utils/helpers');
+const { parseCurrency, parseDate, extractCardLast4, extractJobName, extractTerms, extractTax, applyReturnDetection } = require('../../utils/helpers');
 const logger = require('../../utils/logger');
 
+// Lines whose amounts are never the total
+const NOT_TOTAL_LINE = /you\s*saved|savings|credit\s*limit|available\s*credit|previous\s*balance|rewards?|points/i;
+
 class GenericParser {
   /**
    * Parse text content (from PDF, plain text, or OCR)
@@ -16,6 +19,7 @@ class GenericParser {
         total: null,
         subtotal: null,
         tax: null,
+        taxRate: null,
         date: null,
         orderNumber: null,
         invoiceNumber: null,
@@ -23,6 +27,7 @@ class GenericParser {
         paymentMethod: null,
         jobName: null,
         lineItems: [],
+        fallbackFields: [], // fields guessed rather than read next to a label
         confidence: 'low'
       };
 
@@ -40,6 +45,14 @@ class GenericParser {
       // Fallback total extraction
       if (!result.total) {
         result.total = this.extractLargestAmount(text);
+        result.fallbackFields.push('total');
+      }
+
+      // Tax (sales tax or Hawaii GET)
+      const tax = extractTax(text);
+      if (tax) {
+        result.tax = tax.amount;
+        result.taxRate = tax.rate;
       }
 
       // Extract date
@@ -53,6 +66,7 @@ class GenericParser {
       // Fallback date extraction
       if (!result.date) {
         result.date = this.extractMostRecentDate(text);
+        result.fallbackFields.push('date');
       }
 
       // Extract order number
@@ -93,6 +107,12 @@ class GenericParser {
       // Extract line items (basic)
       result.lineItems = this.extractLineItems(text);
 
+      // Payment terms and due date (house account invoices)
+      Object.assign(result, extractTerms(text, result.date));
+
+      // Returns, refunds and credit memos
+      applyReturnDetection(result, text);
+
       // Calculate confidence
       result.confidence = this.calculateConfidence(result);
 
@@ -120,6 +140,7 @@ class GenericParser {
       total: null,
       subtotal: null,
       tax: null,
+      taxRate: null,
       date: null,
       orderNumber: null,
       invoiceNumber: null,
@@ -127,6 +148,7 @@ class GenericParser {
       paymentMethod: null,
       jobName: null,
       lineItems: [],
+      fallbackFields: [],
       confidence: 'low'
     };
 
@@ -135,6 +157,7 @@ class GenericParser {
       result.total = extracted.amounts.labeled.total;
     } else if (extracted.amounts.all.length > 0) {
       result.total = Math.max(...extracted.amounts.all);
+      result.fallbackFields.push('total');
     }
 
     if (extracted.amounts.labeled.subtotal) {
@@ -143,6 +166,7 @@ class GenericParser {
 
     if (extracted.amounts.labeled.tax) {
       result.tax = extracted.amounts.labeled.tax;
+      result.taxRate = extracted.amounts.taxRate;
     }
 
     // Use extracted dates
@@ -166,6 +190,12 @@ class GenericParser {
     // Try to extract line items from tables
     result.lineItems = this.extractLineItemsFromTables(extracted.tables);
 
+    // Payment terms and due date (house account invoices)
+    Object.assign(result, extractTerms(extracted.text, result.date));
+
+    // Returns, refunds and credit memos
+    applyReturnDetection(result, extracted.text);
+
     // Calculate confidence
     result.confidence = this.calculateConfidence(result);
 
@@ -191,16 +221,21 @@ class GenericParser {
 
   /**
    * Extract the largest dollar amount (likely the total)
+   * Savings, credit limits and balances are left out - they can be larger.
    */
   extractLargestAmount(text) {
     const pattern = /\$?([\d,]+\.\d{2})\b/g;
     const amounts = [];
 
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const amount = parseCurrency(match[1]);
-      if (amount !== null && amount > 0) {
-        amounts.push(amount);
+    for (const line of text.split('\n')) {
+      if (NOT_TOTAL_LINE.test(line)) continue;
+
+      let match;
+      while ((match = pattern.exec(line)) !== null) {
+        const amount = parseCurrency(match[1]);
+        if (amount !== null && amount > 0) {
+          amounts.push(amount);
+        }
       }
     }
 
@@ -284,12 +319,24 @@ class GenericParser {
         const price = parseCurrency(simpleMatch[2]);
 
         // Skip if it looks like a total or summary line
-        if (!/^(total|subtotal|tax|shipping|discount)/i.test(description)) {
-          items.push({
-            description,
-            quantity: 1,
-            totalPrice: price
-          });
+        if (!/^(total|subtotal|tax|get\b|general\s*excise|shipping|discount)/i.test(description)) {
+          // "2x4x8 KD DOUGLAS FIR     4 @ 5.49"
+          const quantityMatch = description.match(/^(.+?)\s+(\d+)\s*@\s*\$?([\d,]+\.\d{2})$/);
+
+          if (quantityMatch) {
+            items.push({
+              description: quantityMatch[1].trim(),
+              quantity: parseInt(quantityMatch[2], 10),
+              unitPrice: parseCurrency(quantityMatch[3]),
+              totalPrice: price
+            });
+          } else {
+            items.push({
+              description,
+              quantity: 1,
+              totalPrice: price
+            });
+          }
         }
       }
     }
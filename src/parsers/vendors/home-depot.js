@@ -3,7 +3,7 @@
  * Specialized parsing for Home Depot receipts (usually PDF)
  */
 
-const { parseCurrency, parseDate, extractCardLast4 } = require('../../utils/helpers');
+const { parseCurrency, parseDate, extractTax, extractCardLast4, applyReturnDetection } = require('../../utils/helpers');
 const logger = require('../../utils/logger');
 
 class HomeDepotParser {
@@ -16,6 +16,7 @@ class HomeDepotParser {
         total: null,
         subtotal: null,
         tax: null,
+        taxRate: null,
         date: null,
         orderNumber: null,
         invoiceNumber: null,
@@ -39,10 +40,11 @@ class HomeDepotParser {
         result.subtotal = parseCurrency(subtotalMatch[1]);
       }
 
-      // Tax
-      const taxMatch = text.match(/(?:sales\s*)?tax[:\s]*\$?([\d,]+\.?\d*)/i);
-      if (taxMatch) {
-        result.tax = parseCurrency(taxMatch[1]);
+      // Tax (sales tax or Hawaii GET)
+      const tax = extractTax(text);
+      if (tax) {
+        result.tax = tax.amount;
+        result.taxRate = tax.rate;
       }
 
       // Order Date - Home Depot format
@@ -60,8 +62,8 @@ class HomeDepotParser {
         }
       }
 
-      // Order Number
-      const orderMatch = text.match(/order\s*#?[:\s]*(\w[\w\-]*\w)/i);
+      // Order Number - must contain a digit, so "Order Date" isn't read as one
+      const orderMatch = text.match(/order\s*(?:#|number|no\.?)?[:\s]*([A-Z0-9\-]*\d[A-Z0-9\-]*)/i);
       if (orderMatch) {
         result.orderNumber = orderMatch[1];
       }
@@ -82,6 +84,9 @@ class HomeDepotParser {
       // Extract line items
       result.lineItems = this.extractLineItems(text);
 
+      // Returns, refunds and credit memos
+      applyReturnDetection(result, text);
+
       // Calculate confidence
       if (result.total && result.date && result.orderNumber) {
         result.confidence = 'high';
@@ -122,6 +127,9 @@ class HomeDepotParser {
     const items = [];
     const lines = text.split('\n');
 
+    // Store receipts: 12-digit UPC, description, optional "3 @ 4.98", extended price
+    const upcPattern = /^\s*(\d{12})\s+(.+?)\s+(?:(\d+)\s*@\s*\$?([\d,]+\.\d{2})\s+)?\$?([\d,]+\.\d{2})\s*$/;
+
     // Home Depot SKU pattern: typically 6-8 digit number
     const skuPattern = /^\s*(\d{6,8})\s+(.+?)\s+(\d+)\s+\$?([\d,]+\.\d{2})/;
 
@@ -129,8 +137,20 @@ class HomeDepotParser {
     const altPattern = /^\s*(.+?)\s+(\d+)\s+@\s*\$?([\d,]+\.\d{2})\s+\$?([\d,]+\.\d{2})/;
 
     for (const line of lines) {
-      // Try SKU pattern first
-      let match = line.match(skuPattern);
+      let match = line.match(upcPattern);
+      if (match) {
+        items.push({
+          sku: match[1],
+          description: match[2].trim(),
+          quantity: match[3] ? parseInt(match[3], 10) : 1,
+          unitPrice: match[4] ? parseCurrency(match[4]) : parseCurrency(match[5]),
+          totalPrice: parseCurrency(match[5])
+        });
+        continue;
+      }
+
+      // Then the SKU pattern
+      match = line.match(skuPattern);
       if (match) {
         items.push({
           sku: match[1],
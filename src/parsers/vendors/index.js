@@ -1,9 +1,11 @@
 /**
  * Vendor Parser Registry
  * Exports all vendor-specific parsers
+ * (declarative interprets vendors defined in YAML/JSON files)
  */
 
 const generic = require('./generic');
+const declarative = require('./declarative');
 const homeDepot = require('./home-depot');
 const lowes = require('./lowes');
 const amazon = require('./amazon');
@@ -13,6 +15,7 @@ const readLighting = require('./read-lighting');
 
 module.exports = {
   generic,
+  declarative,
   'home-depot': homeDepot,
   'lowes': lowes,
   'amazon': amazon,
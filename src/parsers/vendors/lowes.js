@@ -4,7 +4,7 @@
  */
 
 const cheerio = require('cheerio');
-const { parseCurrency, parseDate, extractCardLast4 } = require('../../utils/helpers');
+const { parseCurrency, parseDate, extractTax, extractCardLast4, applyReturnDetection } = require('../../utils/helpers');
 const logger = require('../../utils/logger');
 
 class LowesParser {
@@ -17,6 +17,7 @@ class LowesParser {
         total: null,
         subtotal: null,
         tax: null,
+        taxRate: null,
         date: null,
         orderNumber: null,
         invoiceNumber: null,
@@ -49,10 +50,11 @@ class LowesParser {
         result.subtotal = parseCurrency(subtotalMatch[1]);
       }
 
-      // Tax
-      const taxMatch = text.match(/(?:estimated\s*)?(?:sales\s*)?tax[:\s]*\$?([\d,]+\.?\d*)/i);
-      if (taxMatch) {
-        result.tax = parseCurrency(taxMatch[1]);
+      // Tax (sales tax or Hawaii GET)
+      const tax = extractTax(text);
+      if (tax) {
+        result.tax = tax.amount;
+        result.taxRate = tax.rate;
       }
 
       // Date patterns
@@ -104,6 +106,9 @@ class LowesParser {
       // Extract line items
       result.lineItems = this.extractLineItems(text);
 
+      // Returns, refunds and credit memos
+      applyReturnDetection(result, text);
+
       // Calculate confidence
       if (result.total && result.date && result.orderNumber) {
         result.confidence = 'high';
@@ -139,6 +144,7 @@ class LowesParser {
         total: null,
         subtotal: null,
         tax: null,
+        taxRate: null,
         date: null,
         orderNumber: null,
         cardLast4: null,
@@ -179,6 +185,9 @@ class LowesParser {
       // Extract line items from tables
       result.lineItems = this.extractLineItemsFromHtml($, extracted.tables);
 
+      // Returns, refunds and credit memos
+      applyReturnDetection(result, extracted.text);
+
       if (result.total && result.date) {
         result.confidence = 'high';
         return result;
@@ -208,7 +217,7 @@ class LowesParser {
         const description = match[2].trim();
 
         // Skip summary lines
-        if (/^(subtotal|total|tax|shipping|discount)/i.test(description)) {
+        if (/^(subtotal|total|tax|get\b|general\s*excise|shipping|discount)/i.test(description)) {
           continue;
         }
 
@@ -259,7 +268,7 @@ class LowesParser {
             }
           });
 
-          if (description && price && !/^(subtotal|total|tax)/i.test(description)) {
+          if (description && price && !/^(subtotal|total|tax|get\b|general\s*excise)/i.test(description)) {
             items.push({
               description,
               quantity,
@@ -3,7 +3,7 @@
  * Specialized parsing for Read Lighting invoices and receipts
  */
 
-const { parseCurrency, parseDate } = require('../../utils/helpers');
+const { parseCurrency, parseDate, extractTax, extractTerms, applyReturnDetection } = require('../../utils/helpers');
 const logger = require('../../utils/logger');
 
 class ReadLightingParser {
@@ -16,6 +16,7 @@ class ReadLightingParser {
         total: null,
         subtotal: null,
         tax: null,
+        taxRate: null,
         date: null,
         orderNumber: null,
         invoiceNumber: null,
@@ -48,10 +49,11 @@ class ReadLightingParser {
         result.subtotal = parseCurrency(subtotalMatch[1]);
       }
 
-      // Tax
-      const taxMatch = text.match(/(?:sales\s*)?tax[:\s]*\$?([\d,]+\.?\d*)/i);
-      if (taxMatch) {
-        result.tax = parseCurrency(taxMatch[1]);
+      // Tax (sales tax or Hawaii GET)
+      const tax = extractTax(text);
+      if (tax) {
+        result.tax = tax.amount;
+        result.taxRate = tax.rate;
       }
 
       // Date patterns
@@ -70,7 +72,7 @@ class ReadLightingParser {
       }
 
       // Invoice Number
-      const invoiceMatch = text.match(/invoice\s*(?:#|number|no\.?)?[:\s]*(\w+)/i);
+      const invoiceMatch = text.match(/invoice\s*(?:#|number|no\.?)?[:\s]*([\w-]+)/i);
       if (invoiceMatch) {
         result.invoiceNumber = invoiceMatch[1];
       }
@@ -97,6 +99,12 @@ class ReadLightingParser {
       // Extract line items
       result.lineItems = this.extractLineItems(text);
 
+      // Payment terms and due date (house account invoices)
+      Object.assign(result, extractTerms(text, result.date));
+
+      // Returns, refunds and credit memos
+      applyReturnDetection(result, text);
+
       // Calculate confidence
       if (result.total && result.date && (result.invoiceNumber || result.orderNumber)) {
         result.confidence = 'high';
@@ -172,7 +180,7 @@ class ReadLightingParser {
             // Simple description + price
             const description = match[1].trim();
             // Skip summary lines
-            if (!/^(subtotal|total|tax|shipping|discount)/i.test(description)) {
+            if (!/^(subtotal|total|tax|get\b|general\s*excise|shipping|discount)/i.test(description)) {
               items.push({
                 description,
                 quantity: 1,
@@ -0,0 +1,55 @@
+/**
+ * Gmail Rules API Routes
+ * Inspect the per-vendor Gmail search rules and preview what they match
+ */
+
+const express = require('express');
+const router = express.Router();
+const { client: gmailClient, fetcher: gmailFetcher } = require('../services/gmail');
+const { getGmailRules } = require('../config/vendors');
+const logger = require('../utils/logger');
+
+const MAX_PREVIEW_DAYS = 365;
+const MAX_PREVIEW_RESULTS = 100;
+
+/**
+ * List rules with the query fragment each one produces
+ * GET /api/gmail/rules
+ */
+router.get('/rules', (req, res) => {
+  res.json({
+    success: true,
+    query: gmailFetcher.buildSearchQuery(),
+    rules: getGmailRules().map(rule => ({
+      ...rule,
+      query: gmailFetcher.buildRuleQuery(rule)
+    }))
+  });
+});
+
+/**
+ * Preview which recent messages a vendor's rule matches
+ * GET /api/gmail/rules/:vendorId/preview?days=30&max=25
+ */
+router.get('/rules/:vendorId/preview', async (req, res) => {
+  const days = Math.min(parseInt(req.query.days, 10) || 30, MAX_PREVIEW_DAYS);
+  const maxResults = Math.min(parseInt(req.query.max, 10) || 25, MAX_PREVIEW_RESULTS);
+
+  if (!getGmailRules().some(rule => rule.vendorId === req.params.vendorId)) {
+    return res.status(404).json({ success: false, error: `No Gmail rule for vendor ${req.params.vendorId}` });
+  }
+
+  try {
+    if (!gmailClient.checkAuth() && !(await gmailClient.authenticate())) {
+      return res.status(503).json({ success: false, error: 'Gmail not authenticated. Please visit /auth/gmail' });
+    }
+
+    const preview = await gmailFetcher.previewRule(req.params.vendorId, { days, maxResults });
+    res.json({ success: true, days, ...preview });
+  } catch (error) {
+    logger.error('Gmail rule preview failed', { vendorId: req.params.vendorId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
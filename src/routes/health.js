@@ -4,9 +4,12 @@
 
 const express = require('express');
 const router = express.Router();
-const { client: gmailClient } = require('../services/gmail');
+const { client: gmailClient, attempts: attemptTracker, checkpoint: syncCheckpoint, watcher: gmailWatcher } = require('../services/gmail');
 const { client: qboClient } = require('../services/quickbooks');
 const scheduler = require('../services/scheduler');
+const receiptStore = require('../services/receipt-store');
+const { getAllVendors } = require('../config/vendors');
+const { getDefinitionErrors } = require('../config/vendor-definitions');
 
 /**
  * Health check endpoint
@@ -53,7 +56,9 @@ router.get('/detailed', async (req, res) => {
     services: {
       gmail: {
         connected: gmailClient.checkAuth(),
-        message: gmailClient.checkAuth() ? 'Connected' : 'Not authenticated'
+        message: gmailClient.checkAuth() ? 'Connected' : 'Not authenticated',
+        checkpoint: await syncCheckpoint.get().catch(() => null),
+        push: await gmailWatcher.getStatus().catch(() => null)
       },
       quickbooks: {
         connected: qboClient.checkAuth(),
@@ -66,6 +71,16 @@ router.get('/detailed', async (req, res) => {
         cron: status.cron,
         lastRun: status.lastRun,
         stats: status.stats
+      },
+      receiptStore: {
+        statusCounts: await receiptStore.getStatusCounts().catch(() => null)
+      },
+      deadLetters: await attemptTracker.getDeadLetters().catch(() => null),
+      vendorDefinitions: {
+        loaded: Object.entries(getAllVendors())
+          .filter(([, vendor]) => vendor.definitionFile)
+          .map(([vendorId, vendor]) => ({ vendorId, file: vendor.definitionFile })),
+        errors: getDefinitionErrors()
       }
     }
   };
@@ -65,7 +65,7 @@ router.get('/', (req, res) => {
         .btn-success { background: #48bb78; color: white; }
         .stats {
           display: grid;
-          grid-template-columns: repeat(4, 1fr);
+          grid-template-columns: repeat(5, 1fr);
           gap: 16px;
           margin-top: 20px;
         }
@@ -118,6 +118,10 @@ router.get('/', (req, res) => {
             <div class="stat-value">${status.stats.totalSynced}</div>
             <div class="stat-label">Synced</div>
           </div>
+          <div class="stat">
+            <div class="stat-value">${status.stats.totalReview}</div>
+            <div class="stat-label">Review</div>
+          </div>
           <div class="stat">
             <div class="stat-value">${status.stats.totalErrors}</div>
             <div class="stat-label">Errors</div>
@@ -136,6 +140,8 @@ router.get('/', (req, res) => {
       <div class="card">
         <h2>🎮 Controls</h2>
         <a href="/api/run" class="btn btn-success">Run Now</a>
+        <a href="/review" class="btn btn-primary">Review Queue</a>
+        <a href="/statements" class="btn btn-primary">Card Statements</a>
         <a href="/api/status" class="btn btn-secondary">API Status</a>
         <a href="/health" class="btn btn-secondary">Health Check</a>
       </div>
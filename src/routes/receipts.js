@@ -0,0 +1,234 @@
+/**
+ * Receipts API Routes
+ * List, search, inspect and replay processed receipts, and report card
+ * charges that never got one
+ */
+
+const express = require('express');
+const router = express.Router();
+const dayjs = require('dayjs');
+const receiptStore = require('../services/receipt-store');
+const replayService = require('../services/replay');
+const { missingReceipts } = require('../services/quickbooks');
+const logger = require('../utils/logger');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Build store filters from query string, collecting validation errors
+ */
+function parseFilters(query) {
+  const filters = {};
+  const errors = [];
+
+  for (const key of ['vendor', 'job', 'emailId']) {
+    if (query[key]) {
+      filters[key] = String(query[key]);
+    }
+  }
+
+  if (query.status) {
+    filters.status = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  for (const key of ['dateFrom', 'dateTo']) {
+    if (query[key]) {
+      const value = String(query[key]);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !dayjs(value).isValid()) {
+        errors.push(`${key} must be a date in YYYY-MM-DD format`);
+      } else {
+        filters[key] = value;
+      }
+    }
+  }
+
+  for (const key of ['minAmount', 'maxAmount']) {
+    if (query[key] !== undefined && query[key] !== '') {
+      const amount = parseFloat(query[key]);
+      if (isNaN(amount)) {
+        errors.push(`${key} must be a number`);
+      } else {
+        filters[key] = amount;
+      }
+    }
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Shape a stored record for API responses
+ */
+function toSummary(record) {
+  const { receipt } = record;
+
+  return {
+    id: receipt.id,
+    vendor: receipt.vendor,
+    transaction: receipt.transaction,
+    payment: receipt.payment,
+    reference: receipt.reference,
+    job: receipt.job,
+    category: receipt.category,
+    lineItems: receipt.lineItems,
+    parser: receipt.metadata.parser || null,
+    confidence: receipt.metadata.confidence,
+    provenance: receipt.metadata.provenance || null,
+    reconciliation: receipt.metadata.reconciliation || null,
+    source: receipt.source,
+    qbo: {
+      status: receipt.qboSync.status,
+      transactionId: receipt.qboSync.transactionId,
+      expenseId: receipt.qboSync.expenseId,
+      billId: receipt.qboSync.billId,
+      vendorCreditId: receipt.qboSync.vendorCreditId || null,
+      billPaymentId: receipt.qboSync.billPaymentId || null,
+      billPayments: receipt.qboSync.billPayments || [],
+      split: receipt.qboSync.split || null,
+      attachableIds: receipt.qboSync.attachableIds || [],
+      duplicateOf: receipt.qboSync.duplicateOf || null,
+      matchScore: receipt.qboSync.matchScore || null,
+      syncedAt: receipt.qboSync.syncedAt,
+      error: receipt.qboSync.error
+    },
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+/**
+ * List / search receipts
+ * GET /api/receipts?vendor=&job=&status=&emailId=&dateFrom=&dateTo=&minAmount=&maxAmount=&limit=&offset=
+ */
+router.get('/', async (req, res) => {
+  const { filters, errors } = parseFilters(req.query);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const records = await receiptStore.search(filters);
+
+    res.json({
+      success: true,
+      total: records.length,
+      limit,
+      offset,
+      receipts: records.slice(offset, offset + limit).map(toSummary)
+    });
+  } catch (error) {
+    logger.error('Receipt search failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Card charges in QuickBooks with no matched receipt and no attachment
+ * GET /api/receipts/missing?dateFrom=&dateTo=  (defaults to the last 30 days)
+ */
+router.get('/missing', async (req, res) => {
+  const { filters, errors } = parseFilters(req.query);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  try {
+    const report = await missingReceipts.build({ from: filters.dateFrom, to: filters.dateTo });
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error('Missing receipt report failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Text the missing receipt report to the crew
+ * POST /api/receipts/missing/sms  { dateFrom, dateTo, to }  (no "to" = group text)
+ */
+router.post('/missing/sms', async (req, res) => {
+  const { filters, errors } = parseFilters(req.body || {});
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, errors });
+  }
+
+  try {
+    const report = await missingReceipts.build({ from: filters.dateFrom, to: filters.dateTo });
+    const message = await missingReceipts.sendSms(report, req.body?.to || null);
+    res.json({ success: true, summary: report.summary, message });
+  } catch (error) {
+    logger.error('Missing receipt SMS failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get a single receipt with its status history and processing notes
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const record = await receiptStore.get(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Receipt not found' });
+    }
+
+    res.json({
+      success: true,
+      receipt: {
+        ...toSummary(record),
+        attachments: record.receipt.attachments,
+        processingNotes: record.receipt.metadata.processingNotes,
+        history: record.history
+      }
+    });
+  } catch (error) {
+    logger.error('Receipt lookup failed', { receiptId: req.params.id, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Reprocess a single Gmail message (e.g. after a parser fix)
+ * POST /api/receipts/replay/:messageId
+ */
+router.post('/replay/:messageId', async (req, res) => {
+  try {
+    const result = await replayService.replayMessage(req.params.messageId);
+    res.json({ success: true, result });
+  } catch (error) {
+    logger.error('Replay failed', { messageId: req.params.messageId, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Reprocess every message in a date range and/or with a label
+ * POST /api/receipts/replay  { after, before, label, maxResults }
+ */
+router.post('/replay', async (req, res) => {
+  const { after, before, label } = req.body || {};
+  const maxResults = parseInt(req.body?.maxResults, 10) || undefined;
+
+  try {
+    replayService.buildQuery({ after, before, label });
+  } catch (error) {
+    return res.status(400).json({ success: false, errors: [error.message] });
+  }
+
+  try {
+    const { query, results } = await replayService.replaySearch({ after, before, label, maxResults });
+    res.json({ success: true, query, total: results.length, results });
+  } catch (error) {
+    logger.error('Replay search failed', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
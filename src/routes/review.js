@@ -0,0 +1,367 @@
+/**
+ * Review Queue Routes
+ * Dashboard for correcting and approving receipts the bot couldn't book on its own
+ */
+
+const express = require('express');
+const router = express.Router();
+const reviewQueue = require('../services/review-queue');
+const receiptStore = require('../services/receipt-store');
+const config = require('../config');
+const { escapeHtml } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Page styles (matches the main dashboard)
+ */
+const styles = `
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      max-width: 1000px;
+      margin: 50px auto;
+      padding: 20px;
+      background: #f5f5f5;
+    }
+    .card {
+      background: white;
+      border-radius: 12px;
+      padding: 24px;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+    }
+    h1 { color: #2d3748; margin-top: 0; }
+    h2 { color: #4a5568; margin-top: 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px 10px; text-align: left; border-bottom: 1px solid #edf2f7; }
+    th { color: #718096; font-size: 13px; text-transform: uppercase; }
+    .reason { color: #c05621; font-size: 14px; }
+    .muted { color: #718096; font-size: 14px; }
+    .message { padding: 12px 16px; border-radius: 8px; margin-bottom: 20px; }
+    .message.ok { background: #c6f6d5; color: #276749; }
+    .message.error { background: #fed7d7; color: #c53030; }
+    .field { display: grid; grid-template-columns: 160px 1fr 60px; gap: 10px; margin-bottom: 10px; align-items: center; }
+    .snippet { grid-column: 2 / 4; margin-top: -6px; font-family: monospace; font-size: 12px; color: #718096; white-space: pre-wrap; }
+    .confidence { font-size: 12px; font-weight: 600; padding: 2px 6px; border-radius: 4px; text-align: center; }
+    .confidence.low { background: #fed7d7; color: #c53030; }
+    .confidence.medium { background: #fefcbf; color: #975a16; }
+    .confidence.high { background: #c6f6d5; color: #276749; }
+    input[type=text] { padding: 8px; border: 1px solid #cbd5e0; border-radius: 6px; font-size: 14px; }
+    .btn {
+      display: inline-block;
+      padding: 10px 20px;
+      border-radius: 8px;
+      text-decoration: none;
+      font-weight: 500;
+      border: none;
+      cursor: pointer;
+      font-size: 14px;
+    }
+    .btn-primary { background: #4299e1; color: white; }
+    .btn-secondary { background: #edf2f7; color: #4a5568; }
+    .btn-success { background: #48bb78; color: white; }
+    .btn-danger { background: #f56565; color: white; }
+    .score { font-weight: bold; }
+  </style>
+`;
+
+/**
+ * Flash message from a redirect
+ */
+function renderMessage(query) {
+  if (query.error) {
+    return `<div class="message error">${escapeHtml(query.error)}</div>`;
+  }
+  if (query.message) {
+    return `<div class="message ok">${escapeHtml(query.message)}</div>`;
+  }
+  return '';
+}
+
+/**
+ * Format an amount for display
+ */
+function money(amount) {
+  return typeof amount === 'number' ? `$${amount.toFixed(2)}` : '—';
+}
+
+/**
+ * "amount 100, date 30, vendor 40" - what a candidate's score is made of
+ */
+function scoreDetail(breakdown) {
+  if (!breakdown) return '';
+
+  const parts = Object.entries(breakdown)
+    .filter(([signal, points]) => signal !== 'total' && typeof points === 'number')
+    .map(([signal, points]) => `${signal} ${points}`);
+
+  if (breakdown.uncertain?.length > 0) {
+    parts.push(`uncertain ${breakdown.uncertain.join(', ')}`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * How sure the parser was of a field: "90%" badge, red under the review threshold
+ * The tooltip says how the value was found.
+ */
+function confidenceBadge(entry) {
+  if (!entry) return '<span></span>';
+
+  const level = entry.confidence < config.review.minFieldConfidence ? 'low'
+    : entry.confidence < 0.8 ? 'medium' : 'high';
+  const how = `${entry.method}${entry.source ? ` from ${entry.source}` : ''}`;
+
+  return `<span class="confidence ${level}" title="${escapeHtml(how)}">${Math.round(entry.confidence * 100)}%</span>`;
+}
+
+/**
+ * Review queue list
+ */
+router.get('/', async (req, res) => {
+  try {
+    const records = await reviewQueue.list();
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Review Queue | RLT Receipt Matcher</title>
+        ${styles}
+      </head>
+      <body>
+        <div class="card">
+          <h1>📝 Review Queue</h1>
+          <p class="muted">Receipts with low-confidence parses or uncertain QuickBooks matches. Nothing here has been booked yet.</p>
+          <a href="/" class="btn btn-secondary">← Dashboard</a>
+        </div>
+
+        ${renderMessage(req.query)}
+
+        <div class="card">
+          ${records.length === 0 ? '<p class="muted">Nothing waiting for review. 🎉</p>' : `
+            <table>
+              <thead>
+                <tr><th>Date</th><th>Vendor</th><th>Total</th><th>Job</th><th>Why</th><th></th></tr>
+              </thead>
+              <tbody>
+                ${records.map(({ receipt }) => `
+                  <tr>
+                    <td>${escapeHtml(receipt.transaction.date || '—')}</td>
+                    <td>${escapeHtml(receipt.vendor.qboVendorName || receipt.vendor.displayName || receipt.vendor.name || 'Unknown')}</td>
+                    <td>${money(receipt.transaction.total)}${receipt.transaction.isReturn ? ' <span class="muted">return</span>' : ''}</td>
+                    <td>${escapeHtml(receipt.job.name || '—')}</td>
+                    <td class="reason">${receipt.review.reasons.map(escapeHtml).join('<br>')}</td>
+                    <td><a href="/review/${encodeURIComponent(receipt.id)}" class="btn btn-primary">Review</a></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    logger.error('Review queue page failed', { error: error.message });
+    res.status(500).send(`Error loading review queue: ${escapeHtml(error.message)}`);
+  }
+});
+
+/**
+ * Single receipt review page
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const record = await receiptStore.get(req.params.id);
+
+    if (!record) {
+      return res.status(404).send('Receipt not found');
+    }
+
+    const { receipt } = record;
+    const id = encodeURIComponent(receipt.id);
+    const inReview = receipt.qboSync.status === 'review';
+    const provenance = receipt.metadata.provenance || {};
+
+    const fields = [
+      ['vendorName', 'Vendor', receipt.vendor.qboVendorName || receipt.vendor.displayName || receipt.vendor.name],
+      ['date', 'Date (YYYY-MM-DD)', receipt.transaction.date],
+      ['total', 'Total', receipt.transaction.total],
+      ['subtotal', 'Subtotal', receipt.transaction.subtotal],
+      ['tax', 'Tax', receipt.transaction.tax],
+      ['cardLast4', 'Card last 4', receipt.payment.cardLast4],
+      ['orderNumber', 'Order #', receipt.reference.orderNumber],
+      ['invoiceNumber', 'Invoice #', receipt.reference.invoiceNumber],
+      ['jobName', 'Job / project', receipt.job.name],
+      ['categoryName', 'Expense category', receipt.category.name]
+    ];
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Review ${escapeHtml(receipt.id)} | RLT Receipt Matcher</title>
+        ${styles}
+      </head>
+      <body>
+        <div class="card">
+          <h1>📝 ${escapeHtml(receipt.id)}</h1>
+          <p class="muted">
+            ${escapeHtml(receipt.source.emailSubject || '')}<br>
+            Status: <strong>${escapeHtml(receipt.qboSync.status)}</strong> •
+            Confidence: ${escapeHtml(receipt.metadata.confidence || 'unknown')} •
+            Parser: ${escapeHtml(receipt.metadata.parser ? `${receipt.metadata.parser.name} (${receipt.metadata.parser.source})` : 'unknown')}
+          </p>
+          ${receipt.review.reasons.map(r => `<div class="reason">⚠️ ${escapeHtml(r)}</div>`).join('')}
+          <p><a href="/review" class="btn btn-secondary">← Review queue</a></p>
+        </div>
+
+        ${renderMessage(req.query)}
+
+        <div class="card">
+          <h2>Parsed fields</h2>
+          <form action="/review/${id}/fields" method="POST">
+            ${fields.map(([name, label, value]) => `
+              <div class="field">
+                <label for="${name}">${label}</label>
+                <input type="text" id="${name}" name="${name}" value="${escapeHtml(value ?? '')}" ${inReview ? '' : 'disabled'}>
+                ${confidenceBadge(provenance[name])}
+                ${provenance[name]?.snippet ? `<div class="snippet">${escapeHtml(provenance[name].snippet)}</div>` : ''}
+              </div>
+            `).join('')}
+            ${inReview ? '<button type="submit" class="btn btn-primary">Save corrections</button>' : ''}
+          </form>
+        </div>
+
+        <div class="card">
+          <h2>Line items</h2>
+          ${receipt.lineItems.length === 0 ? '<p class="muted">No line items parsed.</p>' : `
+            <table>
+              <thead><tr><th>Description</th><th>Qty</th><th>Amount</th><th>Confidence</th></tr></thead>
+              <tbody>
+                ${receipt.lineItems.map((item, index) => `
+                  <tr>
+                    <td>
+                      ${escapeHtml(item.description)}
+                      ${provenance.lineItems?.[index]?.snippet ? `<div class="snippet">${escapeHtml(provenance.lineItems[index].snippet)}</div>` : ''}
+                    </td>
+                    <td>${escapeHtml(item.quantity)}</td>
+                    <td>${money(item.totalPrice)}</td>
+                    <td>${confidenceBadge(provenance.lineItems?.[index])}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+
+        <div class="card">
+          <h2>Candidate QuickBooks transactions</h2>
+          ${receipt.review.candidates.length === 0 ? '<p class="muted">No card transactions found near this date.</p>' : `
+            <table>
+              <thead><tr><th>Score</th><th>Date</th><th>Amount</th><th>Payee</th><th>Account</th><th>Memo</th><th></th></tr></thead>
+              <tbody>
+                ${receipt.review.candidates.map(c => `
+                  <tr>
+                    <td class="score" title="${escapeHtml(scoreDetail(c.breakdown))}">${c.score}</td>
+                    <td>${escapeHtml(c.date)}</td>
+                    <td>${money(c.amount)}</td>
+                    <td>${escapeHtml(c.payee || '—')}</td>
+                    <td>${escapeHtml(c.account || '—')}</td>
+                    <td class="muted">${escapeHtml(c.memo || '')}</td>
+                    <td>
+                      ${inReview ? `
+                        <form action="/review/${id}/match" method="POST">
+                          <input type="hidden" name="transactionId" value="${escapeHtml(c.id)}">
+                          <button type="submit" class="btn btn-success">Use #${escapeHtml(c.id)}</button>
+                        </form>
+                      ` : ''}
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+
+        ${inReview ? `
+          <div class="card">
+            <h2>Decision</h2>
+            <form action="/review/${id}/create" method="POST" style="display: inline;">
+              <button type="submit" class="btn btn-primary">${receipt.transaction.isReturn ? 'Create new credit' : 'Create new expense'}</button>
+            </form>
+            <form action="/review/${id}/dismiss" method="POST" style="display: inline; margin-left: 10px;">
+              <input type="text" name="reason" placeholder="Reason (optional)">
+              <button type="submit" class="btn btn-danger">Dismiss</button>
+            </form>
+          </div>
+        ` : ''}
+
+        <div class="card">
+          <h2>Processing notes</h2>
+          ${receipt.metadata.processingNotes.map(n => `
+            <div class="muted">${escapeHtml(n.timestamp)} — ${escapeHtml(n.message)}</div>
+          `).join('')}
+          <p class="muted">Attachments: ${receipt.attachments.map(a => escapeHtml(a.filename)).join(', ') || 'none'}</p>
+        </div>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    logger.error('Review page failed', { receiptId: req.params.id, error: error.message });
+    res.status(500).send(`Error loading receipt: ${escapeHtml(error.message)}`);
+  }
+});
+
+/**
+ * Run a review action and redirect back with the outcome
+ */
+function reviewAction(handler, successMessage) {
+  return async (req, res) => {
+    const id = encodeURIComponent(req.params.id);
+
+    try {
+      await handler(req);
+      res.redirect(`/review/${id}?message=${encodeURIComponent(successMessage)}`);
+    } catch (error) {
+      logger.error('Review action failed', { receiptId: req.params.id, error: error.message });
+      res.redirect(`/review/${id}?error=${encodeURIComponent(error.message)}`);
+    }
+  };
+}
+
+/**
+ * Save corrected fields
+ */
+router.post('/:id/fields', reviewAction(
+  req => reviewQueue.correctFields(req.params.id, req.body),
+  'Corrections saved'
+));
+
+/**
+ * Match to a chosen QBO transaction
+ */
+router.post('/:id/match', reviewAction(
+  req => reviewQueue.approveMatch(req.params.id, req.body.transactionId),
+  'Receipt matched in QuickBooks'
+));
+
+/**
+ * Create a new expense
+ */
+router.post('/:id/create', reviewAction(
+  req => reviewQueue.approveNew(req.params.id),
+  'New expense created in QuickBooks'
+));
+
+/**
+ * Dismiss without booking
+ */
+router.post('/:id/dismiss', reviewAction(
+  req => reviewQueue.dismiss(req.params.id, req.body.reason || null),
+  'Receipt dismissed'
+));
+
+module.exports = router;
@@ -0,0 +1,360 @@
+/**
+ * Card Statement Routes
+ * Upload card statements and view their reconciliation reports
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { store: statementStore, reconciler } = require('../services/statements');
+const { escapeHtml } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Page styles (matches the main dashboard)
+ */
+const styles = `
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      max-width: 1000px;
+      margin: 50px auto;
+      padding: 20px;
+      background: #f5f5f5;
+    }
+    .card {
+      background: white;
+      border-radius: 12px;
+      padding: 24px;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+    }
+    h1 { color: #2d3748; margin-top: 0; }
+    h2 { color: #4a5568; margin-top: 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px 10px; text-align: left; border-bottom: 1px solid #edf2f7; }
+    th { color: #718096; font-size: 13px; text-transform: uppercase; }
+    .muted { color: #718096; font-size: 14px; }
+    .missing { color: #c05621; }
+    .message { padding: 12px 16px; border-radius: 8px; margin-bottom: 20px; }
+    .message.ok { background: #c6f6d5; color: #276749; }
+    .message.error { background: #fed7d7; color: #c53030; }
+    .stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 16px; }
+    .stat { text-align: center; padding: 16px; background: #f7fafc; border-radius: 8px; }
+    .stat-value { font-size: 28px; font-weight: bold; color: #2d3748; }
+    .stat-label { color: #718096; font-size: 14px; }
+    .btn {
+      display: inline-block;
+      padding: 10px 20px;
+      border-radius: 8px;
+      text-decoration: none;
+      font-weight: 500;
+      border: none;
+      cursor: pointer;
+      font-size: 14px;
+    }
+    .btn-primary { background: #4299e1; color: white; }
+    .btn-secondary { background: #edf2f7; color: #4a5568; }
+  </style>
+`;
+
+/**
+ * Flash message from a redirect
+ */
+function renderMessage(query) {
+  if (query.error) {
+    return `<div class="message error">${escapeHtml(query.error)}</div>`;
+  }
+  if (query.message) {
+    return `<div class="message ok">${escapeHtml(query.message)}</div>`;
+  }
+  return '';
+}
+
+/**
+ * Format an amount for display
+ */
+function money(amount) {
+  return typeof amount === 'number' ? `$${amount.toFixed(2)}` : '—';
+}
+
+/**
+ * Statement list and upload form
+ */
+router.get('/', async (req, res) => {
+  try {
+    const statements = await statementStore.list();
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Card Statements | RLT Receipt Matcher</title>
+        ${styles}
+      </head>
+      <body>
+        <div class="card">
+          <h1>💳 Card Statements</h1>
+          <p class="muted">Import a card statement (CSV, OFX or QFX) to see which charges are missing a receipt and which receipts never hit the card.
+            Files dropped in <code>${escapeHtml(config.statements.inboxDir)}</code> are imported on the next pipeline run.</p>
+          <a href="/" class="btn btn-secondary">← Dashboard</a>
+        </div>
+
+        ${renderMessage(req.query)}
+
+        <div class="card">
+          <h2>Import a statement</h2>
+          <form id="upload">
+            <input type="file" id="file" accept=".csv,.ofx,.qfx">
+            <button type="submit" class="btn btn-primary">Import</button>
+          </form>
+        </div>
+
+        <div class="card">
+          ${statements.length === 0 ? '<p class="muted">No statements imported yet.</p>' : `
+            <table>
+              <thead>
+                <tr><th>Period</th><th>Card</th><th>File</th><th>Charges</th><th>Matched</th><th>No receipt</th><th>No charge</th><th></th></tr>
+              </thead>
+              <tbody>
+                ${statements.map(statement => `
+                  <tr>
+                    <td>${escapeHtml(statement.period.from)} – ${escapeHtml(statement.period.to)}</td>
+                    <td>${statement.account.last4 ? `…${escapeHtml(statement.account.last4)}` : '—'}</td>
+                    <td>${escapeHtml(statement.filename)}</td>
+                    <td>${statement.report.summary.charges}</td>
+                    <td>${statement.report.summary.matched}</td>
+                    <td class="missing">${statement.report.summary.chargesWithoutReceipt}</td>
+                    <td>${statement.report.summary.receiptsWithoutCharge}</td>
+                    <td><a href="/statements/${encodeURIComponent(statement.id)}" class="btn btn-primary">Report</a></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+
+        <script>
+          document.getElementById('upload').addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const file = document.getElementById('file').files[0];
+            if (!file) return;
+
+            const response = await fetch('/statements/upload?filename=' + encodeURIComponent(file.name), {
+              method: 'POST',
+              headers: { 'Content-Type': 'text/plain' },
+              body: await file.text()
+            });
+            const result = await response.json();
+
+            location.href = result.success
+              ? '/statements/' + encodeURIComponent(result.statement.id)
+              : '/statements?error=' + encodeURIComponent(result.error);
+          });
+        </script>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    logger.error('Statements page failed', { error: error.message });
+    res.status(500).send(`Error loading statements: ${escapeHtml(error.message)}`);
+  }
+});
+
+/**
+ * Import a statement file (raw file contents as the body)
+ * POST /statements/upload?filename=activity.csv
+ */
+router.post('/upload', express.text({ type: '*/*', limit: config.statements.maxUploadSize }), async (req, res) => {
+  const filename = String(req.query.filename || 'statement');
+
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ success: false, error: 'Statement file is empty' });
+  }
+
+  try {
+    const statement = await reconciler.importFile(req.body, filename);
+
+    res.json({
+      success: true,
+      statement: {
+        id: statement.id,
+        account: statement.account,
+        period: statement.period,
+        summary: statement.report.summary
+      }
+    });
+  } catch (error) {
+    logger.error('Statement upload failed', { filename, error: error.message });
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Reconciliation report as JSON
+ * GET /statements/:id/report
+ */
+router.get('/:id/report', async (req, res) => {
+  try {
+    const statement = await statementStore.get(req.params.id);
+
+    if (!statement) {
+      return res.status(404).json({ success: false, error: 'Statement not found' });
+    }
+
+    const { transactions, ...details } = statement;
+    res.json({ success: true, statement: details });
+  } catch (error) {
+    logger.error('Statement report failed', { statementId: req.params.id, error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Re-run the reconciliation against the current receipts
+ */
+router.post('/:id/reconcile', async (req, res) => {
+  const id = encodeURIComponent(req.params.id);
+
+  try {
+    await reconciler.reconcile(req.params.id);
+    res.redirect(`/statements/${id}?message=${encodeURIComponent('Reconciliation updated')}`);
+  } catch (error) {
+    logger.error('Statement reconciliation failed', { statementId: req.params.id, error: error.message });
+    res.redirect(`/statements/${id}?error=${encodeURIComponent(error.message)}`);
+  }
+});
+
+/**
+ * Reconciliation report for one statement period
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const statement = await statementStore.get(req.params.id);
+
+    if (!statement) {
+      return res.status(404).send('Statement not found');
+    }
+
+    const { report } = statement;
+    const id = encodeURIComponent(statement.id);
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Statement ${escapeHtml(statement.id)} | RLT Receipt Matcher</title>
+        ${styles}
+      </head>
+      <body>
+        <div class="card">
+          <h1>💳 ${escapeHtml(statement.period.from)} – ${escapeHtml(statement.period.to)}</h1>
+          <p class="muted">
+            ${statement.account.last4 ? `Card ending ${escapeHtml(statement.account.last4)} • ` : ''}${escapeHtml(statement.filename)} •
+            Reconciled ${escapeHtml(new Date(report.generatedAt).toLocaleString())}
+          </p>
+          <form action="/statements/${id}/reconcile" method="POST" style="display: inline;">
+            <button type="submit" class="btn btn-primary">Reconcile again</button>
+          </form>
+          <a href="/statements" class="btn btn-secondary">← Statements</a>
+          <a href="/statements/${id}/report" class="btn btn-secondary">JSON</a>
+        </div>
+
+        ${renderMessage(req.query)}
+
+        <div class="card">
+          <div class="stats">
+            <div class="stat"><div class="stat-value">${report.summary.charges}</div><div class="stat-label">Charges (${money(report.summary.chargeTotal)})</div></div>
+            <div class="stat"><div class="stat-value">${report.summary.matched}</div><div class="stat-label">Matched to receipts</div></div>
+            <div class="stat"><div class="stat-value missing">${report.summary.chargesWithoutReceipt}</div><div class="stat-label">No receipt (${money(report.summary.missingTotal)})</div></div>
+            <div class="stat"><div class="stat-value">${report.summary.receiptsWithoutCharge}</div><div class="stat-label">Receipts not on statement</div></div>
+          </div>
+        </div>
+
+        <div class="card">
+          <h2>Charges without a receipt</h2>
+          ${report.chargesWithoutReceipt.length === 0 ? '<p class="muted">Every charge has a receipt. 🎉</p>' : `
+            <table>
+              <thead><tr><th>Date</th><th>Description</th><th>Amount</th><th>Card</th></tr></thead>
+              <tbody>
+                ${report.chargesWithoutReceipt.map(txn => `
+                  <tr>
+                    <td>${escapeHtml(txn.date)}</td>
+                    <td>${escapeHtml(txn.description || '—')}</td>
+                    <td>${money(txn.amount)}</td>
+                    <td>${escapeHtml(txn.cardLast4 || statement.account.last4 || '—')}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+
+        ${(report.creditsWithoutReceipt || []).length === 0 ? '' : `
+          <div class="card">
+            <h2>Refunds without a return receipt</h2>
+            <table>
+              <thead><tr><th>Date</th><th>Description</th><th>Amount</th><th>Card</th></tr></thead>
+              <tbody>
+                ${report.creditsWithoutReceipt.map(txn => `
+                  <tr>
+                    <td>${escapeHtml(txn.date)}</td>
+                    <td>${escapeHtml(txn.description || '—')}</td>
+                    <td>${money(txn.amount)}</td>
+                    <td>${escapeHtml(txn.cardLast4 || statement.account.last4 || '—')}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        `}
+
+        <div class="card">
+          <h2>Receipts not on this statement</h2>
+          ${report.receiptsWithoutCharge.length === 0 ? '<p class="muted">Every receipt in the period matched a charge.</p>' : `
+            <table>
+              <thead><tr><th>Date</th><th>Vendor</th><th>Total</th><th>Status</th><th></th></tr></thead>
+              <tbody>
+                ${report.receiptsWithoutCharge.map(receipt => `
+                  <tr>
+                    <td>${escapeHtml(receipt.date)}</td>
+                    <td>${escapeHtml(receipt.vendor || 'Unknown')}</td>
+                    <td>${money(receipt.total)}${receipt.isReturn ? ' <span class="muted">return</span>' : ''}</td>
+                    <td>${escapeHtml(receipt.status)}${receipt.possibleMatches.length > 0 ? ` <span class="muted">(${receipt.possibleMatches.length} close charge(s))</span>` : ''}</td>
+                    <td><a href="/review/${encodeURIComponent(receipt.receiptId)}" class="btn btn-secondary">Open</a></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+
+        <div class="card">
+          <h2>Matched</h2>
+          ${report.matched.length === 0 ? '<p class="muted">No receipts matched.</p>' : `
+            <table>
+              <thead><tr><th>Date</th><th>Vendor</th><th>Total</th><th>Charges</th><th>Score</th></tr></thead>
+              <tbody>
+                ${report.matched.map(match => `
+                  <tr>
+                    <td>${escapeHtml(match.date)}</td>
+                    <td>${escapeHtml(match.vendor || 'Unknown')}</td>
+                    <td>${money(match.total)}</td>
+                    <td class="muted">${match.transactionIds.map(escapeHtml).join(' + ')}</td>
+                    <td>${match.score}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    logger.error('Statement report page failed', { statementId: req.params.id, error: error.message });
+    res.status(500).send(`Error loading statement: ${escapeHtml(error.message)}`);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+/**
+ * Webhook Routes
+ * Push notifications from external services
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const scheduler = require('../services/scheduler');
+const { watcher: gmailWatcher } = require('../services/gmail');
+const logger = require('../utils/logger');
+
+/**
+ * Gmail push notification (Cloud Pub/Sub push subscription)
+ * POST /webhooks/gmail?token=GMAIL_PUSH_TOKEN
+ */
+router.post('/gmail', (req, res) => {
+  const { enabled, verificationToken } = config.gmail.push;
+
+  if (!enabled) {
+    return res.status(404).json({ error: 'Gmail push is not enabled' });
+  }
+
+  if (!verificationToken || req.query.token !== verificationToken) {
+    logger.warn('Rejected Gmail push with invalid token', { ip: req.ip });
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+
+  const notification = gmailWatcher.parseNotification(req.body);
+
+  // Always acknowledge - Pub/Sub redelivers anything that isn't a 2xx
+  res.status(204).end();
+
+  if (!notification) {
+    logger.warn('Ignoring malformed Gmail push notification');
+    return;
+  }
+
+  // Process after acknowledging; the pipeline reads history from our own checkpoint
+  scheduler.triggerPush(notification).catch((error) => {
+    logger.error('Push-triggered pipeline failed', { error: error.message });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Missing Receipt Report
+ * Lists card charges in QuickBooks with no matched receipt and no attachment,
+ * and optionally texts the list to the crew
+ *
+ * Usage:
+ *   npm run report:missing -- [--from 2025-11-01] [--to 2025-11-30] [--sms] [--phone +18085551234]
+ */
+
+require('dotenv').config();
+
+const { missingReceipts } = require('../services/quickbooks');
+
+/**
+ * Read --flag values (--sms takes no value)
+ */
+function parseArgs(args) {
+  const options = { sms: false };
+  const flags = { '--from': 'from', '--to': 'to', '--phone': 'phone' };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--sms') {
+      options.sms = true;
+    } else if (flags[args[i]]) {
+      options[flags[args[i]]] = args[++i];
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+function printReport(report) {
+  console.log(`Period: ${report.period.from} to ${report.period.to}`);
+  console.log(`${report.summary.missing} of ${report.summary.charges} card charge(s) have no receipt ($${report.summary.missingTotal.toFixed(2)})\n`);
+
+  for (const card of report.cards) {
+    const holder = card.cardholder ? ` (${card.cardholder})` : '';
+    console.log(`${card.account}${holder}  ${card.count} charge(s), $${card.total.toFixed(2)}`);
+
+    for (const group of card.vendors) {
+      console.log(`  ${group.vendor}`);
+      for (const charge of group.charges) {
+        console.log(`    ${charge.date}  $${charge.amount.toFixed(2).padStart(9)}  #${charge.transactionId}`);
+      }
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('\n=== Missing Receipts ===\n');
+
+  const report = await missingReceipts.build({ from: options.from, to: options.to });
+  printReport(report);
+
+  if (options.sms || options.phone) {
+    await missingReceipts.sendSms(report, options.phone || null);
+    console.log(`\n✓ Texted to ${options.phone || 'the group'}`);
+  }
+
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Missing receipt report failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Replay Receipts
+ * Re-runs processed Gmail messages through the pipeline and updates QuickBooks
+ *
+ * Usage:
+ *   npm run replay -- <messageId> [messageId...]
+ *   npm run replay -- --after 2025-11-01 --before 2025-12-01 [--label "RLT-Processed"] [--max 50]
+ */
+
+require('dotenv').config();
+
+const replayService = require('../services/replay');
+
+/**
+ * Split command line into message IDs and --flag values
+ */
+function parseArgs(args) {
+  const messageIds = [];
+  const filters = {};
+  const flags = { '--after': 'after', '--before': 'before', '--label': 'label', '--max': 'maxResults' };
+
+  for (let i = 0; i < args.length; i++) {
+    const key = flags[args[i]];
+
+    if (key) {
+      filters[key] = args[++i];
+    } else if (args[i].startsWith('--')) {
+      throw new Error(`Unknown option: ${args[i]}`);
+    } else {
+      messageIds.push(args[i]);
+    }
+  }
+
+  if (filters.maxResults) {
+    filters.maxResults = parseInt(filters.maxResults, 10);
+  }
+
+  return { messageIds, filters };
+}
+
+function printResult(result) {
+  if (!result.receipts || result.receipts.length === 0) {
+    console.log(`${result.messageId}  ${result.status.padEnd(9)} ${result.error || ''}`.trim());
+    return;
+  }
+
+  for (const receipt of result.receipts) {
+    const target = receipt.transactionId ? `transaction #${receipt.transactionId}`
+      : receipt.expenseId ? `expense #${receipt.expenseId}`
+        : receipt.vendorCreditId ? `vendor credit #${receipt.vendorCreditId}`
+          : receipt.billId ? `bill #${receipt.billId}` : '';
+
+    console.log(`${result.messageId}  ${receipt.status.padEnd(9)} ${receipt.receiptId} ${target}`.trim());
+  }
+}
+
+async function main() {
+  const { messageIds, filters } = parseArgs(process.argv.slice(2));
+
+  if (messageIds.length === 0 && Object.keys(filters).length === 0) {
+    console.log('Usage:');
+    console.log('  npm run replay -- <messageId> [messageId...]');
+    console.log('  npm run replay -- --after YYYY-MM-DD --before YYYY-MM-DD [--label NAME] [--max N]');
+    process.exit(1);
+  }
+
+  console.log('\n=== Replaying Receipts ===\n');
+
+  const results = [];
+
+  if (messageIds.length > 0) {
+    for (const messageId of messageIds) {
+      try {
+        results.push(await replayService.replayMessage(messageId));
+      } catch (error) {
+        results.push({ messageId, status: 'error', error: error.message });
+      }
+    }
+  } else {
+    const search = await replayService.replaySearch(filters);
+    console.log(`Query: ${search.query}\n`);
+    results.push(...search.results);
+  }
+
+  results.forEach(printResult);
+
+  const failed = results.filter(r => r.status === 'error').length;
+  console.log(`\n✓ Replayed ${results.length - failed} of ${results.length} message(s)`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Replay failed:', error.message);
+  process.exit(1);
+});
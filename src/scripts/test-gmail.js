@@ -32,16 +32,16 @@ async function main() {
     console.error('Failed to get profile:', error.message);
   }
 
-  // Fetch recent receipt emails
-  console.log('\n--- Recent Receipt Emails ---\n');
+  // Receipt emails the next sync would pick up (the checkpoint isn't moved)
+  console.log('\n--- New Receipt Emails ---\n');
 
   try {
-    const emails = await fetcher.fetchUnreadReceipts(10);
+    const { emails } = await fetcher.fetchNewReceipts();
 
     if (emails.length === 0) {
-      console.log('No unread receipt emails found.');
+      console.log('No new receipt emails found.');
     } else {
-      for (const email of emails) {
+      for (const email of emails.slice(0, 10)) {
         console.log(`From: ${email.from}`);
         console.log(`Subject: ${email.subject}`);
         console.log(`Date: ${email.date}`);
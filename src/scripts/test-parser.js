@@ -1,139 +1,364 @@
 /**
- * Test Receipt Parser
- * Tests parsing of sample receipt content
+ * Parser Regression Tests
+ * Runs every receipt in the fixture corpus through the parsers and compares
+ * the extracted fields with the fixture's expected output, so a parser change
+ * can't quietly break another vendor.
+ *
+ * Fixtures live in fixtures/receipts/<vendor-id>/ ("generic" for unknown vendors):
+ *   <name>.eml                            whole email - through GmailProcessor
+ *                                         (vendor detection, attachments, body fallback)
+ *   <name>.pdf/.html/.txt/.png/.jpg       one document - through ParserRouter with the folder's vendor
+ *   <name>.expected.json                  { "receipts": [{ "total": 119.76, "lineItems": 3, ... }] }
+ * Expected files hold what the receipt actually says. Only the fields listed are
+ * compared; a top-level "distinct" names fields that must differ between the
+ * receipts of a multi-receipt fixture (["invoiceNumber"] keeps split invoices
+ * from looking like duplicates of each other). Any field that doesn't match
+ * fails the run - fix the parser rather than the expected value.
+ *
+ * Usage:
+ *   npm run test:parse
+ *   npm run test:parse -- --vendor home-depot
+ *   npm run test:parse -- --init      # draft expected files for new fixtures from the current output
  */
 
+// No Chromium for fixtures, and only warnings from the pipeline
+process.env.ENABLE_HTML_RENDER = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
 require('dotenv').config();
 
+const fs = require('fs').promises;
+const path = require('path');
 const parserRouter = require('../parsers');
-const { detectVendor } = require('../config/vendors');
-
-// Sample receipt texts for testing
-const sampleReceipts = {
-  homeDepot: `
-    THE HOME DEPOT
-    Store #1234
-    
-    Order Date: 11/23/2025
-    Order #: WM12345678
-    
-    1234567   ROMEX 14/2 WIRE 250FT   1   $89.97
-    2345678   OUTLET BOX               5   $12.45
-    3456789   WIRE NUTS ASSORTED       2   $8.99
-    
-    Subtotal:                         $111.41
-    Sales Tax:                          $8.35
-    ----------------------------------------
-    Order Total:                      $119.76
-    
-    Payment: VISA **** 1234
-  `,
-
-  lowes: `
-    LOWE'S
-    Order Confirmation
-    
-    Order #: 123456789
-    Order placed: November 23, 2025
-    
-    Items:
-    - 12/2 Romex Wire 250ft - $79.99
-    - Electrical Tape - $4.99
-    - Wire Strippers - $12.99
-    
-    Subtotal: $97.97
-    Tax: $7.35
-    Order Total: $105.32
-    
-    Card ending in 5678
-  `,
-
-  amazon: `
-    Amazon.com
-    Order Confirmation
-    
-    Order placed: November 23, 2025
-    Order #: 111-1234567-1234567
-    
-    Klein Tools Multimeter - $45.99
-    Qty: 1
-    
-    Order Total: $49.53
-    (includes $3.54 tax)
-    
-    Shipping to: John Smith
-    Card ending in 9012
-  `,
-
-  ced: `
-    CONSOLIDATED ELECTRICAL DISTRIBUTORS
-    
-    Invoice #: INV-12345
-    Invoice Date: 11/23/2025
-    Account #: 98765
-    P.O. #: PO-2025-001
-    
-    Part#     Description              Qty   Unit    Ext
-    ABC123    12/2 THHN Wire 500ft     2    $125.00  $250.00
-    DEF456    200A Main Breaker        1    $189.99  $189.99
-    
-    Subtotal:                                        $439.99
-    Sales Tax:                                        $33.00
-    ----------------------------------------------------------
-    Invoice Total:                                   $472.99
-  `
+const { fetcher: gmailFetcher, processor: gmailProcessor } = require('../services/gmail');
+const { getVendor } = require('../config/vendors');
+
+const FIXTURES_DIR = path.join(__dirname, '../../fixtures/receipts');
+
+const DOCUMENT_TYPES = {
+  '.pdf': 'pdf',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text',
+  '.png': 'image',
+  '.jpg': 'image',
+  '.jpeg': 'image'
 };
 
+// Fields compared (and written by --update), in report order
+const FIELDS = ['vendorId', 'parser', 'total', 'subtotal', 'tax', 'taxRate', 'shipping', 'date', 'orderNumber',
+  'invoiceNumber', 'poNumber', 'cardLast4', 'jobName', 'isReturn', 'terms', 'dueDate', 'lineItems'];
+const AMOUNT_FIELDS = ['total', 'subtotal', 'tax', 'shipping'];
+
+function parseArgs(args) {
+  const options = { vendor: null, init: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--init') {
+      options.init = true;
+    } else if (args[i] === '--vendor') {
+      options.vendor = args[++i];
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * [{ vendorId, name, file, type, expectedPath }] for every fixture document
+ */
+async function findFixtures(vendorFilter) {
+  const fixtures = [];
+  const vendorDirs = (await fs.readdir(FIXTURES_DIR, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory() && (!vendorFilter || entry.name === vendorFilter))
+    .map(entry => entry.name)
+    .sort();
+
+  for (const vendorId of vendorDirs) {
+    const dir = path.join(FIXTURES_DIR, vendorId);
+
+    for (const file of (await fs.readdir(dir)).sort()) {
+      const extension = path.extname(file).toLowerCase();
+      const type = extension === '.eml' ? 'email' : DOCUMENT_TYPES[extension];
+      if (!type) continue;
+
+      const name = path.basename(file, path.extname(file));
+      fixtures.push({
+        vendorId,
+        name,
+        file: path.join(dir, file),
+        type,
+        expectedPath: path.join(dir, `${name}.expected.json`)
+      });
+    }
+  }
+
+  return fixtures;
+}
+
+/**
+ * Run a fixture through the pipeline and flatten each receipt to FIELDS
+ */
+async function runFixture(fixture) {
+  const content = await fs.readFile(fixture.file);
+
+  if (fixture.type === 'email') {
+    const email = gmailFetcher.parseRawMessage(content, `fixture-${fixture.name}`);
+    const documents = await gmailProcessor.extractDocuments(email);
+    const receipts = [];
+
+    for (const [index, document] of documents.entries()) {
+      receipts.push(await gmailProcessor.buildReceipt(email, document, { index, count: documents.length }));
+    }
+
+    return receipts.map(receiptFields);
+  }
+
+  const vendor = getVendor(fixture.vendorId) ? { vendorId: fixture.vendorId, ...getVendor(fixture.vendorId) } : null;
+  let results;
+
+  switch (fixture.type) {
+    case 'pdf':
+      results = await parserRouter.parsePdfDocuments(content, vendor);
+      break;
+    case 'html':
+      results = [await parserRouter.parseHtml(content.toString('utf8'), vendor)];
+      break;
+    case 'image':
+      results = [await parserRouter.parseImage(content, vendor)];
+      break;
+    default:
+      results = [await parserRouter.parseText(content.toString('utf8'), vendor)];
+  }
+
+  return results.filter(Boolean).map(parsed => parsedFields(parsed, vendor));
+}
+
+function parsedFields(parsed, vendor) {
+  return {
+    vendorId: vendor?.vendorId || null,
+    parser: parsed.parser?.name || null,
+    total: parsed.total,
+    subtotal: parsed.subtotal,
+    tax: parsed.tax,
+    taxRate: parsed.taxRate ?? null,
+    shipping: parsed.shipping,
+    date: parsed.date,
+    orderNumber: parsed.orderNumber,
+    invoiceNumber: parsed.invoiceNumber,
+    poNumber: parsed.poNumber,
+    cardLast4: parsed.cardLast4,
+    jobName: parsed.jobName,
+    isReturn: !!parsed.isReturn,
+    terms: parsed.terms,
+    dueDate: parsed.dueDate,
+    lineItems: parsed.lineItems || []
+  };
+}
+
+function receiptFields(receipt) {
+  return {
+    vendorId: receipt.vendor.id,
+    parser: receipt.metadata.parser?.name || null,
+    total: receipt.transaction.total,
+    subtotal: receipt.transaction.subtotal,
+    tax: receipt.transaction.tax,
+    taxRate: receipt.transaction.taxRate,
+    shipping: receipt.transaction.shipping,
+    date: receipt.transaction.date,
+    orderNumber: receipt.reference.orderNumber,
+    invoiceNumber: receipt.reference.invoiceNumber,
+    poNumber: receipt.reference.poNumber,
+    cardLast4: receipt.payment.cardLast4,
+    jobName: receipt.job.name,
+    isReturn: receipt.transaction.isReturn,
+    terms: receipt.transaction.terms,
+    dueDate: receipt.transaction.dueDate,
+    lineItems: receipt.lineItems
+  };
+}
+
+/**
+ * Compare expected and actual receipts
+ * Returns the differences as [{ receipt, field, expected, actual }] and the
+ * number of fields checked.
+ */
+function compare(expectedReceipts, actualReceipts, distinct = []) {
+  const diffs = [];
+  let checked = 1; // the receipt count
+
+  if (expectedReceipts.length !== actualReceipts.length) {
+    diffs.push({ receipt: null, field: 'receipts', expected: expectedReceipts.length, actual: actualReceipts.length });
+  }
+
+  expectedReceipts.forEach((expected, index) => {
+    const actual = actualReceipts[index] || {};
+
+    for (const field of Object.keys(expected)) {
+      if (!FIELDS.includes(field)) continue;
+      checked++;
+
+      if (!fieldMatches(field, expected[field], actual[field])) {
+        diffs.push({ receipt: index + 1, field, expected: expected[field], actual: summarizeField(field, actual[field]) });
+      }
+    }
+  });
+
+  for (const field of distinct) {
+    checked++;
+
+    const values = actualReceipts.map(actual => summarizeField(field, actual[field]));
+    if (new Set(values.map(format)).size !== values.length) {
+      diffs.push({ receipt: null, field: `distinct ${field}`, expected: 'a different value per receipt', actual: values });
+    }
+  }
+
+  return { diffs, checked };
+}
+
+function fieldMatches(field, expected, actual) {
+  if (AMOUNT_FIELDS.includes(field)) {
+    if (expected === null || actual === null || actual === undefined) return expected === (actual ?? null);
+    return Math.abs(expected - actual) < 0.005;
+  }
+
+  if (field === 'lineItems') {
+    const items = actual || [];
+    if (typeof expected === 'number') return items.length === expected;
+
+    return expected.length === items.length && expected.every((item, i) =>
+      Object.entries(item).every(([key, value]) => (typeof value === 'number'
+        ? Math.abs(value - (items[i][key] ?? NaN)) < 0.005
+        : value === items[i][key])));
+  }
+
+  return expected === (actual ?? null);
+}
+
+function summarizeField(field, value) {
+  if (field === 'lineItems' && Array.isArray(value)) {
+    return value.map(item => ({ description: item.description, totalPrice: item.totalPrice }));
+  }
+  return value ?? null;
+}
+
+/**
+ * Expected-file form of a run's output (line items by description and amount)
+ * A draft: check it against the receipt before committing.
+ */
+function toExpected(actualReceipts) {
+  return {
+    receipts: actualReceipts.map(actual => {
+      const expected = {};
+
+      for (const field of FIELDS) {
+        const value = summarizeField(field, actual[field]);
+        if (value !== null && value !== false) {
+          expected[field] = value;
+        }
+      }
+
+      return expected;
+    })
+  };
+}
+
+async function readExpected(fixture) {
+  try {
+    const expected = JSON.parse(await fs.readFile(fixture.expectedPath, 'utf8'));
+    return Array.isArray(expected.receipts) ? { receipts: expected.receipts, distinct: expected.distinct || [] } : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`${path.relative(FIXTURES_DIR, fixture.expectedPath)}: ${error.message}`);
+  }
+}
+
+function format(value) {
+  return JSON.stringify(value);
+}
+
 async function main() {
-  console.log('\n=== Testing Receipt Parsers ===\n');
+  const options = parseArgs(process.argv.slice(2));
+  const fixtures = await findFixtures(options.vendor);
+
+  if (fixtures.length === 0) {
+    console.log(`No fixtures found in ${FIXTURES_DIR}${options.vendor ? ` for ${options.vendor}` : ''}`);
+    process.exit(1);
+  }
 
-  for (const [vendorKey, receiptText] of Object.entries(sampleReceipts)) {
-    console.log(`--- Testing ${vendorKey} ---\n`);
+  console.log('\n=== Parser Regression Tests ===\n');
 
-    // Detect vendor
-    const vendor = detectVendor({
-      from: `${vendorKey}@example.com`,
-      subject: 'Order Confirmation',
-      snippet: receiptText.substring(0, 100)
-    });
+  const byVendor = new Map();
+  let failed = 0;
 
-    console.log('Detected Vendor:', vendor?.name || 'Unknown');
+  for (const fixture of fixtures) {
+    const label = `${fixture.vendorId}/${path.basename(fixture.file)}`;
+    const stats = byVendor.get(fixture.vendorId) || { fixtures: 0, passed: 0, checked: 0, matched: 0 };
+    byVendor.set(fixture.vendorId, stats);
+    stats.fixtures++;
 
-    // Parse receipt
+    let actual;
     try {
-      const result = await parserRouter.parseText(receiptText, vendor);
-
-      if (result) {
-        console.log('Parsed Data:');
-        console.log('  Total:', result.total);
-        console.log('  Date:', result.date);
-        console.log('  Order #:', result.orderNumber || result.invoiceNumber);
-        console.log('  Card Last 4:', result.cardLast4);
-        console.log('  Line Items:', result.lineItems.length);
-        console.log('  Confidence:', result.confidence);
-
-        if (result.lineItems.length > 0) {
-          console.log('  First Item:', result.lineItems[0].description);
-        }
+      actual = await runFixture(fixture);
+    } catch (error) {
+      failed++;
+      console.log(`✗ ${label}  ${error.message}`);
+      continue;
+    }
+
+    const expected = await readExpected(fixture);
+
+    if (options.init) {
+      if (expected) {
+        console.log(`- ${label}  has an expected file`);
       } else {
-        console.log('  ✗ Failed to parse receipt');
+        await fs.writeFile(fixture.expectedPath, `${JSON.stringify(toExpected(actual), null, 2)}\n`);
+        console.log(`✎ ${label}  wrote ${actual.length} receipt(s) - check them against the receipt`);
       }
-    } catch (error) {
-      console.error('  Parse error:', error.message);
+      continue;
+    }
+
+    if (!expected) {
+      failed++;
+      console.log(`? ${label}  no expected file (run with --init to draft one)`);
+      continue;
     }
 
-    console.log('');
+    const { diffs, checked } = compare(expected.receipts, actual, expected.distinct);
+    stats.checked += checked;
+    stats.matched += checked - diffs.length;
+
+    if (diffs.length === 0) {
+      stats.passed++;
+      console.log(`✓ ${label}`);
+    } else {
+      failed++;
+      console.log(`✗ ${label}`);
+    }
+
+    for (const diff of diffs) {
+      const where = diff.receipt ? `receipt ${diff.receipt} ` : '';
+      console.log(`    ${where}${diff.field}: expected ${format(diff.expected)}, got ${format(diff.actual)}`);
+    }
+  }
+
+  if (options.init) {
+    process.exit(0);
   }
 
-  console.log('✓ Parser tests complete');
-  process.exit(0);
+  console.log('\nVendor            Fixtures   Fields');
+  for (const [vendorId, stats] of byVendor) {
+    const accuracy = stats.checked > 0 ? `${((stats.matched / stats.checked) * 100).toFixed(1)}%` : '—';
+    console.log(`${vendorId.padEnd(16)}  ${`${stats.passed}/${stats.fixtures}`.padStart(8)}   ${`${stats.matched}/${stats.checked}`.padStart(7)} (${accuracy})`);
+  }
+
+  console.log(`\n${failed === 0 ? '✓' : '✗'} ${fixtures.length - failed} of ${fixtures.length} fixture(s) passed`);
+  process.exit(failed > 0 ? 1 : 0);
 }
 
 main().catch((error) => {
-  console.error('Test failed:', error);
+  console.error('Parser tests failed:', error.message);
   process.exit(1);
 });
-
-
-
-
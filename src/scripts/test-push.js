@@ -0,0 +1,73 @@
+/**
+ * Test Gmail Push
+ * Stand-in for Cloud Pub/Sub when developing locally: posts a Gmail-style
+ * push notification to the running server's webhook
+ *
+ * Usage:
+ *   npm run test:push                 # uses the mailbox's current historyId
+ *   npm run test:push -- 1234567      # explicit historyId
+ */
+
+require('dotenv').config();
+
+const config = require('../config');
+const { client } = require('../services/gmail');
+
+async function main() {
+  console.log('\n=== Testing Gmail Push Webhook ===\n');
+
+  if (!config.gmail.push.enabled) {
+    console.error('✗ GMAIL_PUSH_ENABLED is not true - the server will ignore the notification');
+    process.exit(1);
+  }
+
+  let historyId = process.argv[2];
+  let emailAddress = config.gmail.userEmail;
+
+  if (!historyId) {
+    const authenticated = await client.authenticate();
+
+    if (!authenticated) {
+      console.error('✗ Gmail not authenticated. Run: npm run auth:gmail (or pass a historyId)');
+      process.exit(1);
+    }
+
+    const profile = await client.getProfile();
+    historyId = profile.historyId;
+    emailAddress = profile.emailAddress;
+  }
+
+  // Same envelope Pub/Sub sends to push endpoints
+  const body = {
+    message: {
+      data: Buffer.from(JSON.stringify({ emailAddress, historyId })).toString('base64'),
+      messageId: `local-${Date.now()}`,
+      publishTime: new Date().toISOString()
+    },
+    subscription: 'projects/local/subscriptions/test-push'
+  };
+
+  const url = `http://localhost:${config.port}/webhooks/gmail?token=${encodeURIComponent(config.gmail.push.verificationToken || '')}`;
+
+  console.log(`Posting historyId ${historyId} for ${emailAddress || 'unknown mailbox'}`);
+  console.log(`→ ${url.replace(/token=[^&]*/, 'token=***')}\n`);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (response.status === 204) {
+    console.log('✓ Notification accepted - check the server logs for the pipeline run');
+    process.exit(0);
+  }
+
+  console.error(`✗ Server responded ${response.status}: ${await response.text()}`);
+  process.exit(1);
+}
+
+main().catch((error) => {
+  console.error('Test failed:', error.message);
+  process.exit(1);
+});
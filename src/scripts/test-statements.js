@@ -0,0 +1,101 @@
+/**
+ * Statement Parser Tests
+ * Parses every card statement export in fixtures/statements/ and compares it
+ * with the fixture's expected output.
+ *
+ *   <name>.csv/.ofx/.qfx        a statement export, named the way the bank names it
+ *   <name>.expected.json        { "account": { "last4": "4242" },
+ *                                 "transactions": [{ "date": "2025-11-03", "amount": 84.12, "isCredit": false, ... }] }
+ * Only the fields listed are compared, and the transactions must match in number and order.
+ *
+ * Usage:
+ *   npm run test:statements
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const statementParser = require('../services/statements/parser');
+
+const FIXTURES_DIR = path.join(__dirname, '../../fixtures/statements');
+
+/**
+ * Differences between the expected and parsed statement, as strings
+ */
+function compare(expected, actual) {
+  const diffs = [];
+
+  for (const [field, value] of Object.entries(expected.account || {})) {
+    if (actual.account[field] !== value) {
+      diffs.push(`account ${field}: expected ${format(value)}, got ${format(actual.account[field])}`);
+    }
+  }
+
+  const expectedTransactions = expected.transactions || [];
+  if (expectedTransactions.length !== actual.transactions.length) {
+    diffs.push(`transactions: expected ${expectedTransactions.length}, got ${actual.transactions.length}`);
+  }
+
+  expectedTransactions.forEach((transaction, index) => {
+    const parsed = actual.transactions[index] || {};
+
+    for (const [field, value] of Object.entries(transaction)) {
+      const matches = typeof value === 'number'
+        ? Math.abs(value - (parsed[field] ?? NaN)) < 0.005
+        : value === (parsed[field] ?? null);
+
+      if (!matches) {
+        diffs.push(`transaction ${index + 1} ${field}: expected ${format(value)}, got ${format(parsed[field] ?? null)}`);
+      }
+    }
+  });
+
+  return diffs;
+}
+
+function format(value) {
+  return JSON.stringify(value);
+}
+
+async function main() {
+  const files = (await fs.readdir(FIXTURES_DIR))
+    .filter(file => statementParser.detectFormat(file))
+    .sort();
+
+  if (files.length === 0) {
+    console.log(`No statement fixtures found in ${FIXTURES_DIR}`);
+    process.exit(1);
+  }
+
+  console.log('\n=== Statement Parser Tests ===\n');
+
+  let failed = 0;
+
+  for (const file of files) {
+    const expectedPath = path.join(FIXTURES_DIR, `${path.basename(file, path.extname(file))}.expected.json`);
+    let diffs;
+
+    try {
+      const content = await fs.readFile(path.join(FIXTURES_DIR, file), 'utf8');
+      const expected = JSON.parse(await fs.readFile(expectedPath, 'utf8'));
+      diffs = compare(expected, statementParser.parse(content, file));
+    } catch (error) {
+      diffs = [error.message];
+    }
+
+    if (diffs.length === 0) {
+      console.log(`✓ ${file}`);
+    } else {
+      failed++;
+      console.log(`✗ ${file}`);
+      diffs.forEach(diff => console.log(`    ${diff}`));
+    }
+  }
+
+  console.log(`\n${failed === 0 ? '✓' : '✗'} ${files.length - failed} of ${files.length} statement(s) passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('Statement tests failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+/**
+ * Card Registry
+ * Maps the last 4 digits of a company card to the QuickBooks credit card
+ * account it posts to, who carries it, and default Class/Department tags
+ *
+ * Read from CARD_REGISTRY_PATH (see cards.example.json). While the file is
+ * missing or empty, card purchases fall back to the first credit card account.
+ * Like the vendor definitions, the file is re-read when its modified time
+ * changes, so a new card takes effect without a restart.
+ */
+
+const fs = require('fs').promises;
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// How often the file is checked for changes
+const RELOAD_INTERVAL_MS = 30 * 1000;
+
+class CardRegistry {
+  constructor() {
+    this.filePath = config.processing.cardRegistryPath;
+    this.cards = new Map(); // last4 -> { last4, cardholder, qboAccountId, qboAccountName, className, departmentName }
+    this.loaded = null;
+    this.checkedAt = 0;
+    this.mtimeMs = null; // of the file last read (null: missing)
+  }
+
+  /**
+   * Load the registry from disk, again whenever the file has changed
+   * (checked at most every RELOAD_INTERVAL_MS)
+   */
+  async load() {
+    if (this.loaded && Date.now() - this.checkedAt < RELOAD_INTERVAL_MS) {
+      return this.loaded;
+    }
+
+    this.checkedAt = Date.now();
+    const mtimeMs = await this.getModifiedTime();
+
+    if (!this.loaded || mtimeMs !== this.mtimeMs) {
+      this.mtimeMs = mtimeMs;
+      this.loaded = this.readFile().catch((error) => {
+        this.loaded = null;
+        throw error;
+      });
+    }
+
+    return this.loaded;
+  }
+
+  async getModifiedTime() {
+    try {
+      return (await fs.stat(this.filePath)).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async readFile() {
+    const cards = new Map();
+
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(data);
+
+      for (const [last4, entry] of Object.entries(parsed.cards || {})) {
+        if (!/^\d{4}$/.test(last4)) {
+          logger.warn('Skipping card registry entry - key must be the last 4 digits', { key: last4 });
+          continue;
+        }
+
+        if (!entry.qboAccountId && !entry.qboAccountName) {
+          logger.warn('Skipping card registry entry without a QuickBooks account', { last4 });
+          continue;
+        }
+
+        cards.set(last4, {
+          last4,
+          cardholder: entry.cardholder || null,
+          qboAccountId: entry.qboAccountId || null,
+          qboAccountName: entry.qboAccountName || null,
+          className: entry.className || null,
+          departmentName: entry.departmentName || null
+        });
+      }
+
+      logger.info('Loaded card registry', { cards: cards.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load card registry', { error: error.message });
+        throw error;
+      }
+    }
+
+    this.cards = cards;
+  }
+
+  /**
+   * Whether any cards are registered (unknown cards only go to review when so)
+   */
+  async isEnabled() {
+    await this.load();
+    return this.cards.size > 0;
+  }
+
+  /**
+   * Registered card for the last 4 digits, or null
+   */
+  async lookup(last4) {
+    await this.load();
+
+    if (!last4) return null;
+    return this.cards.get(String(last4).trim()) || null;
+  }
+
+  /**
+   * Registered card posting to a QBO account ({ value, name } AccountRef), or null
+   */
+  async findByAccount(accountRef) {
+    await this.load();
+    return this.findLoadedByAccount(accountRef);
+  }
+
+  /**
+   * findByAccount against the cards already loaded, for callers that can't
+   * wait on the file (transaction scoring) - load() first
+   */
+  findLoadedByAccount(accountRef) {
+    if (!accountRef) return null;
+
+    return Array.from(this.cards.values()).find(card =>
+      (card.qboAccountId && card.qboAccountId === String(accountRef.value)) ||
+      (card.qboAccountName && card.qboAccountName === accountRef.name)) || null;
+  }
+
+  /**
+   * All registered cards (for status pages)
+   */
+  async getAll() {
+    await this.load();
+    return Array.from(this.cards.values());
+  }
+}
+
+// Singleton instance
+const cardRegistry = new CardRegistry();
+
+module.exports = cardRegistry;
@@ -0,0 +1,162 @@
+/**
+ * Gmail Attempt Tracker
+ * Persists failed processing attempts per email for backoff and dead-lettering
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class AttemptTracker {
+  constructor() {
+    this.filePath = config.processing.emailAttemptsPath;
+    this.attempts = new Map(); // messageId -> { attempts, lastError, lastAttemptAt, nextAttemptAt, deadLettered }
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load attempts from disk (once - a failed load is retried on the next call)
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.readFile().catch((error) => {
+        this.loaded = null;
+        throw error;
+      });
+    }
+    return this.loaded;
+  }
+
+  async readFile() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(data);
+
+      for (const [messageId, entry] of Object.entries(parsed.attempts || {})) {
+        this.attempts.set(messageId, entry);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load email attempts', { error: error.message });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Write attempts to disk (queued, via temp file)
+   * A failed write rejects for the caller; the queue carries on with the next one.
+   */
+  async persist() {
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+      const data = JSON.stringify({
+        version: 1,
+        savedAt: new Date().toISOString(),
+        attempts: Object.fromEntries(this.attempts)
+      }, null, 2);
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, this.filePath);
+    });
+
+    this.writeQueue = write.catch((error) => {
+      logger.error('Failed to save email attempts', { error: error.message });
+    });
+
+    return write;
+  }
+
+  /**
+   * Whether an email is due for another attempt
+   */
+  async shouldProcess(messageId) {
+    await this.load();
+
+    const entry = this.attempts.get(messageId);
+    if (!entry) return true;
+    if (entry.deadLettered) return false;
+
+    return !entry.nextAttemptAt || new Date(entry.nextAttemptAt) <= new Date();
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one
+   * Returns the updated entry; deadLettered is set once attempts run out.
+   */
+  async recordFailure(messageId, errorMessage) {
+    await this.load();
+
+    const now = new Date();
+    const entry = this.attempts.get(messageId) || { attempts: 0 };
+
+    entry.attempts++;
+    entry.lastError = errorMessage;
+    entry.lastAttemptAt = now.toISOString();
+    entry.deadLettered = entry.attempts >= config.processing.emailMaxAttempts;
+    entry.nextAttemptAt = entry.deadLettered
+      ? null
+      : new Date(now.getTime() + this.getBackoffMinutes(entry.attempts) * 60 * 1000).toISOString();
+
+    this.attempts.set(messageId, entry);
+    await this.persist();
+
+    return entry;
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base... capped at the max
+   */
+  getBackoffMinutes(attempts) {
+    const { emailRetryBaseMinutes, emailRetryMaxMinutes } = config.processing;
+    return Math.min(emailRetryBaseMinutes * Math.pow(2, attempts - 1), emailRetryMaxMinutes);
+  }
+
+  /**
+   * Forget an email's failures (after it succeeds or is replayed)
+   */
+  async clear(messageId) {
+    await this.load();
+
+    if (this.attempts.delete(messageId)) {
+      await this.persist();
+    }
+  }
+
+  /**
+   * Emails whose backoff has elapsed and should be fetched again
+   */
+  async getDueRetries() {
+    await this.load();
+
+    const now = new Date();
+    return Array.from(this.attempts.entries())
+      .filter(([, entry]) => !entry.deadLettered && (!entry.nextAttemptAt || new Date(entry.nextAttemptAt) <= now))
+      .map(([messageId]) => messageId);
+  }
+
+  async get(messageId) {
+    await this.load();
+    return this.attempts.get(messageId) || null;
+  }
+
+  /**
+   * Emails that ran out of attempts
+   */
+  async getDeadLetters() {
+    await this.load();
+
+    return Array.from(this.attempts.entries())
+      .filter(([, entry]) => entry.deadLettered)
+      .map(([messageId, entry]) => ({ messageId, ...entry }));
+  }
+}
+
+// Singleton instance
+const attemptTracker = new AttemptTracker();
+
+module.exports = attemptTracker;
@@ -0,0 +1,80 @@
+/**
+ * Gmail Sync Checkpoint
+ * Remembers how far through the mailbox the pipeline has got
+ * (historyId for history.list, internalDate as a fallback for search)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class SyncCheckpoint {
+  constructor() {
+    this.filePath = config.gmail.checkpointPath;
+    this.checkpoint = { historyId: null, internalDate: null, updatedAt: null };
+    this.loaded = null;
+  }
+
+  /**
+   * Load the checkpoint from disk (once - a failed load is retried on the next call)
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.readFile().catch((error) => {
+        this.loaded = null;
+        throw error;
+      });
+    }
+    return this.loaded;
+  }
+
+  async readFile() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      this.checkpoint = { ...this.checkpoint, ...JSON.parse(data) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load Gmail checkpoint', { error: error.message });
+        throw error;
+      }
+    }
+  }
+
+  async get() {
+    await this.load();
+    return { ...this.checkpoint };
+  }
+
+  /**
+   * Advance the checkpoint (internalDate never moves backwards)
+   * Rejects when the file can't be written; the checkpoint then stays where it was.
+   */
+  async save({ historyId, internalDate }) {
+    await this.load();
+
+    const checkpoint = {
+      historyId: historyId || this.checkpoint.historyId,
+      internalDate: Math.max(internalDate || 0, this.checkpoint.internalDate || 0) || null,
+      updatedAt: new Date().toISOString()
+    };
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(checkpoint, null, 2));
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to save Gmail checkpoint', { error: error.message });
+      throw error;
+    }
+
+    this.checkpoint = checkpoint;
+    return this.checkpoint;
+  }
+}
+
+// Singleton instance
+const syncCheckpoint = new SyncCheckpoint();
+
+module.exports = syncCheckpoint;
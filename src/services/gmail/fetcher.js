@@ -1,24 +1,33 @@
 /**
  * Gmail Email Fetcher
- * Fetches unread receipt emails from Gmail
+ * Fetches receipt emails from Gmail
  */
 
 const gmailClient = require('./client');
+const syncCheckpoint = require('./checkpoint');
+const attemptTracker = require('./attempts');
 const config = require('../../config');
 const logger = require('../../utils/logger');
-const { detectVendor } = require('../../config/vendors');
+const { parseMimeMessage } = require('../../utils/mime');
+const { detectVendor, getGmailRules, matchesGmailRule } = require('../../config/vendors');
+
+// System labels for mail we never treat as an incoming receipt
+const SKIPPED_SYSTEM_LABELS = ['SENT', 'DRAFT', 'SPAM', 'TRASH'];
+
+// Messages fetched in parallel
+const FETCH_CONCURRENCY = 10;
 
 class GmailFetcher {
   constructor() {
-    this.processedLabelId = null;
+    this.labelIds = new Map(); // label name -> Gmail label ID
   }
 
   /**
-   * Ensure the processed label exists in Gmail
+   * Ensure a label exists in Gmail, returning its ID
    */
-  async ensureProcessedLabel() {
-    if (this.processedLabelId) {
-      return this.processedLabelId;
+  async ensureLabel(name) {
+    if (this.labelIds.has(name)) {
+      return this.labelIds.get(name);
     }
 
     const gmail = gmailClient.getApi();
@@ -27,110 +36,321 @@ class GmailFetcher {
       // Try to find existing label
       const labelsResponse = await gmail.users.labels.list({ userId: 'me' });
       const existingLabel = labelsResponse.data.labels.find(
-        label => label.name === config.gmail.processedLabel
+        label => label.name === name
       );
 
       if (existingLabel) {
-        this.processedLabelId = existingLabel.id;
-        return this.processedLabelId;
+        this.labelIds.set(name, existingLabel.id);
+        return existingLabel.id;
       }
 
       // Create new label
       const createResponse = await gmail.users.labels.create({
         userId: 'me',
         requestBody: {
-          name: config.gmail.processedLabel,
+          name,
           labelListVisibility: 'labelShow',
           messageListVisibility: 'show'
         }
       });
 
-      this.processedLabelId = createResponse.data.id;
-      logger.gmail('created label', { label: config.gmail.processedLabel });
+      this.labelIds.set(name, createResponse.data.id);
+      logger.gmail('created label', { label: name });
 
-      return this.processedLabelId;
+      return createResponse.data.id;
     } catch (error) {
-      logger.error('Failed to ensure processed label', { error: error.message });
+      logger.error('Failed to ensure label', { label: name, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Ensure the processed label exists in Gmail
+   */
+  async ensureProcessedLabel() {
+    return this.ensureLabel(config.gmail.processedLabel);
+  }
+
   /**
    * Build Gmail search query for receipt emails
+   * Options: after (epoch ms - only mail received since then)
    */
-  buildSearchQuery() {
-    // Search for unread emails that might be receipts
-    // Excludes already processed emails
-    const vendorKeywords = [
-      'home depot',
-      'lowes',
-      "lowe's",
-      'amazon',
-      'ced',
-      'menards',
-      'ace hardware',
-      'grainger',
-      'receipt',
-      'order confirmation',
-      'invoice',
-      'your order'
-    ];
-
-    const orQuery = vendorKeywords.map(k => `"${k}"`).join(' OR ');
-
-    return `is:unread -label:${config.gmail.processedLabel} (${orQuery})`;
+  buildSearchQuery(options = {}) {
+    // Search for emails matching any vendor's rule
+    // Excludes already processed, dead-lettered and in-review emails
+    const ruleQuery = getGmailRules()
+      .map(rule => `(${this.buildRuleQuery(rule)})`)
+      .join(' OR ');
+
+    const excludedLabels = [config.gmail.processedLabel, config.gmail.errorLabel, config.gmail.reviewLabel]
+      .map(label => `-label:${label}`)
+      .join(' ');
+
+    const terms = [excludedLabels, `(${ruleQuery})`];
+
+    if (options.after) {
+      terms.push(`after:${Math.floor(options.after / 1000)}`);
+    }
+
+    return terms.join(' ');
+  }
+
+  /**
+   * Gmail query fragment for one vendor rule from config/vendors.js
+   */
+  buildRuleQuery(rule) {
+    const quote = value => (/[\s():"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value);
+    const group = values => values.map(quote).join(' OR ');
+    const terms = [];
+
+    if (rule.senders.length > 0) terms.push(`from:(${group(rule.senders)})`);
+    if (rule.subjects.length > 0) terms.push(`subject:(${group(rule.subjects)})`);
+    if (rule.excludeSenders.length > 0) terms.push(`-from:(${group(rule.excludeSenders)})`);
+    if (rule.excludeSubjects.length > 0) terms.push(`-subject:(${group(rule.excludeSubjects)})`);
+
+    return terms.join(' ');
+  }
+
+  /**
+   * Preview which recent messages a vendor's rule matches (processed or not)
+   * Returns { vendorId, query, messages: [{ id, from, subject, date, vendor, labels }] }
+   */
+  async previewRule(vendorId, { days = 30, maxResults = 25 } = {}) {
+    const rule = getGmailRules().find(r => r.vendorId === vendorId);
+
+    if (!rule) {
+      throw new Error(`No Gmail rule for vendor ${vendorId}`);
+    }
+
+    const query = `${this.buildRuleQuery(rule)} newer_than:${days}d`;
+    const messageIds = await this.searchMessageIds(query, maxResults);
+    const { emails } = await this.fetchMessages(messageIds, 'metadata');
+
+    const labelNames = {};
+    for (const label of [config.gmail.processedLabel, config.gmail.errorLabel, config.gmail.reviewLabel]) {
+      labelNames[await this.ensureLabel(label)] = label;
+    }
+
+    return {
+      vendorId,
+      query,
+      messages: emails.map(email => ({
+        id: email.id,
+        from: email.from,
+        subject: email.subject,
+        date: email.date,
+        vendor: email.vendor ? email.vendor.vendorId : null,
+        labels: email.labelIds.filter(id => labelNames[id]).map(id => labelNames[id])
+      }))
+    };
   }
 
   /**
-   * Fetch unread receipt emails
+   * Fetch every receipt email added since the last checkpoint, read or unread
+   * Uses mailbox history when the checkpoint has a historyId, otherwise (first
+   * run, or history older than Gmail keeps) a paginated search by date.
+   * Emails whose retry backoff has elapsed are included again.
+   * Returns { emails, failedIds, checkpoint } - failedIds are messages that couldn't
+   * be fetched; record them for retry, then save the checkpoint.
    */
-  async fetchUnreadReceipts(maxResults = 50) {
+  async fetchNewReceipts() {
     if (!gmailClient.checkAuth()) {
       throw new Error('Gmail client not authenticated');
     }
 
+    const previous = await syncCheckpoint.get();
+
+    // Read the mailbox position before listing so nothing arriving mid-run is skipped
+    const profile = await gmailClient.getProfile();
+    let historyId = profile.historyId;
+    let messageIds = null;
+
+    if (previous.historyId) {
+      try {
+        const history = await this.fetchHistory(previous.historyId);
+        messageIds = history.messageIds;
+        historyId = history.historyId;
+      } catch (error) {
+        // Gmail only keeps about a week of history
+        if (error.code !== 404 && error.response?.status !== 404) {
+          throw error;
+        }
+        logger.warn('Gmail history checkpoint expired, searching by date instead');
+      }
+    }
+
+    if (!messageIds) {
+      const after = previous.internalDate ||
+        Date.now() - config.gmail.initialSyncDays * 24 * 60 * 60 * 1000;
+      messageIds = await this.searchMessageIds(this.buildSearchQuery({ after }), Infinity);
+    }
+
+    const retryIds = (await attemptTracker.getDueRetries()).filter(id => !messageIds.includes(id));
+
+    // Headers are enough to pick out the receipts; only those are fetched in full
+    const summaries = await this.fetchMessages([...messageIds, ...retryIds], 'metadata');
+    const candidateIds = [];
+    let internalDate = previous.internalDate;
+
+    for (const summary of summaries.emails) {
+      internalDate = Math.max(internalDate || 0, summary.internalDate || 0);
+
+      if (await this.isReceiptCandidate(summary)) {
+        candidateIds.push(summary.id);
+      } else if (retryIds.includes(summary.id)) {
+        // Labeled since, or not a receipt after all (a fetch that failed last time)
+        await attemptTracker.clear(summary.id);
+      }
+    }
+
+    const { emails, failedIds } = await this.fetchMessages(candidateIds);
+    failedIds.unshift(...summaries.failedIds);
+
+    logger.gmail('incremental sync', {
+      fromHistoryId: previous.historyId,
+      toHistoryId: historyId,
+      newMessages: messageIds.length,
+      retries: retryIds.length,
+      receipts: emails.length,
+      fetchFailures: failedIds.length
+    });
+
+    return { emails, failedIds, checkpoint: { historyId, internalDate } };
+  }
+
+  /**
+   * Save the checkpoint returned by fetchNewReceipts()
+   */
+  async saveCheckpoint(checkpoint) {
+    return syncCheckpoint.save(checkpoint);
+  }
+
+  /**
+   * Fetch many messages ('full' or 'metadata'), a few at a time
+   * Returns { emails, failedIds } - failedIds are the messages that couldn't be fetched.
+   */
+  async fetchMessages(messageIds, format = 'full') {
+    const emails = [];
+    const failedIds = [];
+
+    for (let i = 0; i < messageIds.length; i += FETCH_CONCURRENCY) {
+      const ids = messageIds.slice(i, i + FETCH_CONCURRENCY);
+      const batch = await Promise.all(ids.map(id => this.fetchMessage(id, format)));
+
+      batch.forEach((email, index) => {
+        if (email) {
+          emails.push(email);
+        } else {
+          failedIds.push(ids[index]);
+        }
+      });
+    }
+
+    return { emails, failedIds };
+  }
+
+  /**
+   * Whether a fetched message should go through the pipeline
+   * Applies the same rules as buildSearchQuery() to messages found another way
+   * (mailbox history, retries) - read or unread.
+   */
+  async isReceiptCandidate(email) {
+    const excludedLabelIds = await Promise.all(
+      [config.gmail.processedLabel, config.gmail.errorLabel, config.gmail.reviewLabel]
+        .map(label => this.ensureLabel(label))
+    );
+
+    if (email.labelIds.some(id => SKIPPED_SYSTEM_LABELS.includes(id))) return false;
+    if (email.labelIds.some(id => excludedLabelIds.includes(id))) return false;
+
+    return getGmailRules().some(rule => matchesGmailRule(email, rule));
+  }
+
+  /**
+   * List messages added to the mailbox since a history ID
+   * Returns { messageIds, historyId } where historyId is the mailbox's latest.
+   */
+  async fetchHistory(startHistoryId) {
     const gmail = gmailClient.getApi();
+    const messageIds = new Set();
+    let historyId = startHistoryId;
+    let pageToken;
 
     try {
-      // Search for receipt emails
-      const searchResponse = await gmail.users.messages.list({
-        userId: 'me',
-        q: this.buildSearchQuery(),
-        maxResults
-      });
+      do {
+        const response = await gmail.users.history.list({
+          userId: 'me',
+          startHistoryId,
+          historyTypes: ['messageAdded'],
+          pageToken
+        });
+
+        for (const record of response.data.history || []) {
+          for (const added of record.messagesAdded || []) {
+            messageIds.add(added.message.id);
+          }
+        }
 
-      const messages = searchResponse.data.messages || [];
+        historyId = response.data.historyId || historyId;
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
 
-      if (messages.length === 0) {
-        logger.gmail('no new receipts found', {});
-        return [];
-      }
+      return { messageIds: Array.from(messageIds), historyId };
+    } catch (error) {
+      logger.error('Failed to list mailbox history', { startHistoryId, error: error.message });
+      throw error;
+    }
+  }
 
-      logger.gmail('found potential receipts', { count: messages.length });
+  /**
+   * List message IDs matching a Gmail search query, following page tokens
+   */
+  async searchMessageIds(query, maxResults = 500) {
+    if (!gmailClient.checkAuth()) {
+      throw new Error('Gmail client not authenticated');
+    }
 
-      // Fetch full message details
-      const emails = await Promise.all(
-        messages.map(msg => this.fetchMessage(msg.id))
-      );
+    const gmail = gmailClient.getApi();
+    const ids = [];
+    let pageToken;
+
+    try {
+      do {
+        const response = await gmail.users.messages.list({
+          userId: 'me',
+          q: query,
+          maxResults: Math.min(maxResults - ids.length, 500),
+          pageToken
+        });
+
+        for (const message of response.data.messages || []) {
+          ids.push(message.id);
+        }
 
-      return emails.filter(email => email !== null);
+        pageToken = response.data.nextPageToken;
+      } while (pageToken && ids.length < maxResults);
+
+      logger.gmail('search complete', { query, count: ids.length });
+
+      return ids;
     } catch (error) {
-      logger.error('Failed to fetch unread receipts', { error: error.message });
+      logger.error('Failed to search messages', { query, error: error.message });
       throw error;
     }
   }
 
   /**
    * Fetch a single message with full details
+   * ('metadata' format fetches headers only - no body or attachments)
    */
-  async fetchMessage(messageId) {
+  async fetchMessage(messageId, format = 'full') {
     const gmail = gmailClient.getApi();
 
     try {
       const response = await gmail.users.messages.get({
         userId: 'me',
         id: messageId,
-        format: 'full'
+        format
       });
 
       const message = response.data;
@@ -144,6 +364,8 @@ class GmailFetcher {
         subject: headers.subject,
         date: headers.date,
         snippet: message.snippet,
+        labelIds: message.labelIds || [],
+        internalDate: parseInt(message.internalDate, 10) || null,
         body: {
           text: null,
           html: null
@@ -168,6 +390,47 @@ class GmailFetcher {
     }
   }
 
+  /**
+   * Build an email from a raw RFC 822 message (a saved .eml file), in the
+   * same shape as fetchMessage. Attachments carry their content in `data`
+   * instead of a Gmail attachment ID.
+   */
+  parseRawMessage(raw, messageId) {
+    const payload = parseMimeMessage(raw);
+    const headers = this.parseHeaders(payload.headers);
+
+    const email = {
+      id: messageId,
+      threadId: null,
+      from: headers.from,
+      to: headers.to,
+      subject: headers.subject,
+      date: headers.date,
+      snippet: '',
+      labelIds: [],
+      internalDate: Date.parse(headers.date) || null,
+      body: {
+        text: null,
+        html: null
+      },
+      attachments: [],
+      vendor: null
+    };
+
+    this.extractBody(payload, email);
+    this.extractAttachments(payload, email, messageId);
+
+    // Gmail's snippet is the start of the body text
+    email.snippet = (email.body.text || (email.body.html || '').replace(/<[^>]*>/g, ' '))
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 200);
+
+    email.vendor = detectVendor(email);
+
+    return email;
+  }
+
   /**
    * Parse email headers into object
    */
@@ -229,13 +492,15 @@ class GmailFetcher {
 
     if (payload.parts) {
       for (const part of payload.parts) {
-        if (part.filename && part.body.attachmentId) {
+        if (part.filename && (part.body.attachmentId || part.body.data)) {
           email.attachments.push({
-            id: part.body.attachmentId,
+            id: part.body.attachmentId || null,
             messageId: messageId,
             filename: part.filename,
             mimeType: part.mimeType,
-            size: part.body.size
+            size: part.body.size,
+            // Inline content (raw messages) - nothing to download
+            data: part.body.attachmentId ? undefined : part.body.data
           });
         }
 
@@ -269,36 +534,54 @@ class GmailFetcher {
   }
 
   /**
-   * Mark email as processed (add label)
+   * Mark email as processed (add label, clear review/error labels)
    */
   async markAsProcessed(messageId) {
-    const gmail = gmailClient.getApi();
     const labelId = await this.ensureProcessedLabel();
+    const reviewLabelId = await this.ensureLabel(config.gmail.reviewLabel);
+    const errorLabelId = await this.ensureLabel(config.gmail.errorLabel);
+
+    await this.modifyLabels(messageId, [labelId], ['UNREAD', reviewLabelId, errorLabelId]);
+    logger.gmail('marked as processed', { messageId });
+  }
+
+  /**
+   * Mark email as waiting in the review queue
+   */
+  async markAsNeedsReview(messageId) {
+    const labelId = await this.ensureLabel(config.gmail.reviewLabel);
+
+    await this.modifyLabels(messageId, [labelId], []);
+    logger.gmail('marked as needs review', { messageId });
+  }
+
+  /**
+   * Mark email as failed for good (dead letter) - it won't be retried
+   */
+  async markAsError(messageId, errorMessage) {
+    const labelId = await this.ensureLabel(config.gmail.errorLabel);
+
+    await this.modifyLabels(messageId, [labelId], []);
+    logger.gmail('marked as error', { messageId, error: errorMessage });
+  }
+
+  /**
+   * Add and remove labels on a message
+   */
+  async modifyLabels(messageId, addLabelIds, removeLabelIds) {
+    const gmail = gmailClient.getApi();
 
     try {
       await gmail.users.messages.modify({
         userId: 'me',
         id: messageId,
-        requestBody: {
-          addLabelIds: [labelId],
-          removeLabelIds: ['UNREAD']
-        }
+        requestBody: { addLabelIds, removeLabelIds }
       });
-
-      logger.gmail('marked as processed', { messageId });
     } catch (error) {
-      logger.error('Failed to mark message as processed', { messageId, error: error.message });
+      logger.error('Failed to update message labels', { messageId, error: error.message });
       throw error;
     }
   }
-
-  /**
-   * Mark email as having an error (for retry later)
-   */
-  async markAsError(messageId, errorMessage) {
-    // For now, just log it - could add an error label later
-    logger.gmail('processing error', { messageId, error: errorMessage });
-  }
 }
 
 // Singleton instance
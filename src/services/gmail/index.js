@@ -4,13 +4,19 @@
  */
 
 const client = require('./client');
+const attempts = require('./attempts');
+const checkpoint = require('./checkpoint');
 const fetcher = require('./fetcher');
 const processor = require('./processor');
+const watcher = require('./watcher');
 
 module.exports = {
   client,
+  attempts,
+  checkpoint,
   fetcher,
-  processor
+  processor,
+  watcher
 };
 
 
@@ -4,47 +4,32 @@
  */
 
 const gmailFetcher = require('./fetcher');
+const attemptTracker = require('./attempts');
 const parserRouter = require('../../parsers');
+const htmlParser = require('../../parsers/html');
+const htmlRenderer = require('../html-renderer');
+const receiptStore = require('../receipt-store');
 const { createReceipt, addAttachment, addProcessingNote } = require('../../models/receipt');
 const logger = require('../../utils/logger');
 
 class GmailProcessor {
   /**
-   * Process all unread receipt emails
+   * Process all receipt emails received since the last checkpoint
    */
   async processNewEmails() {
     try {
-      // Fetch unread receipt emails
-      const emails = await gmailFetcher.fetchUnreadReceipts();
+      const { emails, failedIds, checkpoint } = await gmailFetcher.fetchNewReceipts();
+      const result = await this.processEmails(emails);
 
-      if (emails.length === 0) {
-        return { processed: 0, receipts: [] };
+      // Messages Gmail didn't return come back through the retries
+      for (const emailId of failedIds) {
+        await this.handleFailure(emailId, 'Could not fetch email from Gmail');
       }
 
-      logger.info(`Processing ${emails.length} emails`);
+      // Failures are tracked for retry, so the checkpoint can move past them
+      await gmailFetcher.saveCheckpoint(checkpoint);
 
-      const results = [];
-
-      for (const email of emails) {
-        try {
-          const receipt = await this.processEmail(email);
-          if (receipt) {
-            results.push(receipt);
-          }
-        } catch (error) {
-          logger.error('Failed to process email', {
-            emailId: email.id,
-            subject: email.subject,
-            error: error.message
-          });
-          await gmailFetcher.markAsError(email.id, error.message);
-        }
-      }
-
-      return {
-        processed: emails.length,
-        receipts: results
-      };
+      return result;
     } catch (error) {
       logger.error('Email processing batch failed', { error: error.message });
       throw error;
@@ -52,20 +37,130 @@ class GmailProcessor {
   }
 
   /**
-   * Process a single email into a receipt
+   * Process a batch of fetched emails
    */
-  async processEmail(email) {
+  async processEmails(emails) {
+    if (emails.length === 0) {
+      return { processed: 0, receipts: [] };
+    }
+
+    logger.info(`Processing ${emails.length} emails`);
+
+    const results = [];
+
+    for (const email of emails) {
+      // Failed emails wait out their backoff
+      if (!(await attemptTracker.shouldProcess(email.id))) {
+        continue;
+      }
+
+      try {
+        const receipts = await this.processEmail(email);
+        if (receipts.length > 0) {
+          results.push(...receipts);
+        } else {
+          await this.handleFailure(email.id, 'Could not extract receipt data from email');
+        }
+      } catch (error) {
+        logger.error('Failed to process email', {
+          emailId: email.id,
+          subject: email.subject,
+          error: error.message
+        });
+        await this.handleFailure(email.id, error.message);
+      }
+    }
+
+    return {
+      processed: emails.length,
+      receipts: results
+    };
+  }
+
+  /**
+   * Process a single email into receipts
+   * Most emails hold one receipt, but supply house batches carry several
+   * invoices (separate PDFs or one multi-page PDF) - each becomes its own receipt.
+   * Options (used when replaying an email):
+   *   receiptIds - reuse existing receipt IDs (by document index) so stored records are updated
+   *   note       - history note for the receipt store
+   * Returns the saved receipts (empty if nothing could be parsed).
+   */
+  async processEmail(email, options = {}) {
     logger.gmail('processing email', {
       id: email.id,
       subject: email.subject,
       vendor: email.vendor?.name || 'Unknown'
     });
 
-    // Create base receipt
+    const documents = await this.extractDocuments(email);
+
+    if (documents.length === 0) {
+      logger.warn('Could not parse receipt from email', { emailId: email.id });
+      return [];
+    }
+
+    const receipts = [];
+
+    for (const [index, document] of documents.entries()) {
+      const receipt = await this.buildReceipt(email, document, {
+        id: options.receiptIds?.[index],
+        index,
+        count: documents.length
+      });
+
+      // The email is marked processed by completeEmail() once QuickBooks sync succeeds
+      await receiptStore.save(receipt, options.note || 'Parsed from email');
+
+      logger.receipt('parsed', receipt);
+
+      receipts.push(receipt);
+    }
+
+    return receipts;
+  }
+
+  /**
+   * Parse an email into documents ({ parsed, files, note }), one per receipt
+   * Nothing is saved - the parser fixtures run emails through here too.
+   */
+  async extractDocuments(email) {
+    // Try PDF attachments first (most accurate)
+    const { files, documents } = email.attachments.length > 0
+      ? await this.processAttachments(email)
+      : { files: [], documents: [] };
+
+    // Fall back to email body parsing
+    if (documents.length === 0) {
+      const document = await this.processEmailBody(email);
+      if (document) {
+        documents.push({ ...document, files });
+      }
+    }
+
+    // A lone receipt keeps every file; split receipts only get their own source file
+    if (documents.length === 1) {
+      documents[0].files = files;
+    } else if (documents.length > 1) {
+      logger.gmail('email split into receipts', { id: email.id, receipts: documents.length });
+    }
+
+    return documents;
+  }
+
+  /**
+   * Create a receipt from one parsed document of an email
+   */
+  async buildReceipt(email, document, { id, index, count }) {
+    const { parsed } = document;
+
     const receipt = createReceipt({
+      id,
       sourceType: 'email',
       emailId: email.id,
       emailSubject: email.subject,
+      attachmentName: count > 1 ? document.files[0]?.filename : null,
+      documentIndex: index,
       receivedAt: email.date,
       vendorId: email.vendor?.vendorId,
       vendorName: email.vendor?.name,
@@ -73,23 +168,15 @@ class GmailProcessor {
       categoryName: email.vendor?.category || 'Materials & Supplies'
     });
 
-    // Determine how to parse based on vendor and content
-    let parsed = null;
-
-    // Try PDF attachments first (most accurate)
-    if (email.attachments.length > 0) {
-      parsed = await this.processAttachments(email, receipt);
+    for (const file of document.files) {
+      addAttachment(receipt, file);
     }
 
-    // Fall back to email body parsing
-    if (!parsed) {
-      parsed = await this.processEmailBody(email, receipt);
-    }
+    addProcessingNote(receipt, document.note);
 
-    if (!parsed) {
-      addProcessingNote(receipt, 'Could not extract receipt data from email');
-      logger.warn('Could not parse receipt from email', { emailId: email.id });
-      return null;
+    if (count > 1) {
+      const pages = parsed.pages ? ` (pages ${parsed.pages.from}-${parsed.pages.to})` : '';
+      addProcessingNote(receipt, `Receipt ${index + 1} of ${count} in email${pages}`);
     }
 
     // Merge parsed data into receipt
@@ -97,7 +184,13 @@ class GmailProcessor {
       date: parsed.date,
       total: parsed.total,
       subtotal: parsed.subtotal,
-      tax: parsed.tax
+      tax: parsed.tax,
+      taxRate: parsed.taxRate || null,
+      shipping: parsed.shipping ?? null,
+      discount: parsed.discount ?? null,
+      terms: parsed.terms || null,
+      dueDate: parsed.dueDate || null,
+      isReturn: !!parsed.isReturn
     });
 
     Object.assign(receipt.payment, {
@@ -107,7 +200,9 @@ class GmailProcessor {
 
     Object.assign(receipt.reference, {
       orderNumber: parsed.orderNumber,
-      invoiceNumber: parsed.invoiceNumber
+      invoiceNumber: parsed.invoiceNumber,
+      poNumber: parsed.poNumber || null,
+      originalOrderNumber: parsed.originalOrderNumber || null
     });
 
     if (parsed.jobName) {
@@ -118,98 +213,225 @@ class GmailProcessor {
       receipt.lineItems = parsed.lineItems;
     }
 
-    // Mark email as processed
-    await gmailFetcher.markAsProcessed(email.id);
+    receipt.metadata.confidence = parsed.confidence || null;
+    receipt.metadata.parser = parsed.parser || null;
+    receipt.metadata.provenance = parsed.provenance || null;
+    receipt.metadata.reconciliation = parsed.reconciliation || null;
 
-    logger.receipt('parsed', receipt);
+    this.noteReconciliation(receipt, parsed.reconciliation);
+
+    // HTML-only receipts still need a copy in QuickBooks
+    if (receipt.attachments.length === 0) {
+      await this.attachRenderedBody(email, receipt);
+    }
 
     return receipt;
   }
 
+  /**
+   * Note amounts the reconciler corrected, and those that still don't add up
+   */
+  noteReconciliation(receipt, reconciliation) {
+    if (!reconciliation) return;
+
+    const money = amount => (typeof amount === 'number' ? `$${amount.toFixed(2)}` : 'none');
+
+    for (const { field, from, to } of reconciliation.corrections) {
+      addProcessingNote(receipt, `Reconciled ${field}: ${money(from)} -> ${money(to)}`);
+    }
+
+    for (const problem of reconciliation.problems) {
+      addProcessingNote(receipt, `Amounts don't add up: ${problem}`);
+    }
+  }
+
+  /**
+   * Label the source email once all of its receipts have been handled
+   * Any receipt in review gets the email the needs-review label; once
+   * everything is booked (or skipped as a duplicate/dismissed) it is marked
+   * processed. Emails with receipts still pending are left alone.
+   */
+  async completeEmail(emailId, receipts) {
+    if (!emailId) return;
+
+    const statuses = receipts.map(receipt => receipt.qboSync.status);
+    if (statuses.some(status => status === 'error' || status === 'pending')) {
+      return;
+    }
+
+    try {
+      if (statuses.includes('review')) {
+        await gmailFetcher.markAsNeedsReview(emailId);
+      } else {
+        await gmailFetcher.markAsProcessed(emailId);
+      }
+
+      await attemptTracker.clear(emailId);
+    } catch (error) {
+      // The receipts are already booked; duplicate detection covers a re-fetch
+      logger.error('Failed to label completed email', { emailId, error: error.message });
+    }
+  }
+
+  /**
+   * Record a failed attempt, dead-lettering the email when attempts run out
+   */
+  async handleFailure(emailId, errorMessage) {
+    const entry = await attemptTracker.recordFailure(emailId, errorMessage);
+
+    if (entry.deadLettered) {
+      logger.error('Email dead-lettered after repeated failures', {
+        emailId,
+        attempts: entry.attempts,
+        error: errorMessage
+      });
+
+      try {
+        await gmailFetcher.markAsError(emailId, errorMessage);
+      } catch (error) {
+        logger.error('Failed to label dead-lettered email', { emailId, error: error.message });
+      }
+    } else {
+      logger.warn('Email will be retried', {
+        emailId,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.nextAttemptAt
+      });
+    }
+
+    return entry;
+  }
+
   /**
    * Process email attachments
+   * Returns every PDF and image as a file to attach, plus the documents
+   * parsed from them. A PDF may yield several documents (one per invoice);
+   * images are only parsed with OCR when no PDF produced anything.
    */
-  async processAttachments(email, receipt) {
+  async processAttachments(email) {
+    const files = [];
+    const documents = [];
+    const images = [];
+
     for (const attachment of email.attachments) {
-      // Check for PDF receipts
-      if (attachment.mimeType === 'application/pdf' ||
-          attachment.filename.toLowerCase().endsWith('.pdf')) {
+      const isPdf = attachment.mimeType === 'application/pdf' ||
+        attachment.filename.toLowerCase().endsWith('.pdf');
 
-        try {
-          const data = await gmailFetcher.downloadAttachment(
-            attachment.messageId,
-            attachment.id
-          );
-
-          // Add attachment to receipt
-          addAttachment(receipt, {
-            type: 'pdf',
-            filename: attachment.filename,
-            mimeType: attachment.mimeType,
-            data: data.toString('base64'),
-            size: attachment.size
-          });
+      // Check for PDF receipts, and image receipts (Lowe's sometimes does this)
+      if (!isPdf && !attachment.mimeType.startsWith('image/')) {
+        continue;
+      }
 
-          // Parse PDF
-          const parsed = await parserRouter.parsePdf(data, email.vendor);
-          if (parsed) {
-            addProcessingNote(receipt, `Parsed from PDF: ${attachment.filename}`);
-            return parsed;
-          }
-        } catch (error) {
-          logger.error('Failed to process PDF attachment', {
-            filename: attachment.filename,
-            error: error.message
-          });
+      try {
+        const data = attachment.data
+          ? Buffer.from(attachment.data, 'base64')
+          : await gmailFetcher.downloadAttachment(attachment.messageId, attachment.id);
+
+        const file = {
+          type: isPdf ? 'pdf' : 'image',
+          filename: attachment.filename,
+          mimeType: isPdf ? 'application/pdf' : attachment.mimeType,
+          data: data.toString('base64'),
+          size: attachment.size
+        };
+
+        files.push(file);
+
+        if (!isPdf) {
+          images.push({ file, data });
+          continue;
         }
+
+        // Parse PDF (statements and batches may hold several invoices)
+        const results = await parserRouter.parsePdfDocuments(data, email.vendor);
+        for (const parsed of results) {
+          documents.push({ parsed, files: [file], note: `Parsed from PDF: ${attachment.filename}` });
+        }
+      } catch (error) {
+        logger.error(`Failed to process ${isPdf ? 'PDF' : 'image'} attachment`, {
+          filename: attachment.filename,
+          error: error.message
+        });
       }
+    }
 
-      // Check for image receipts (Lowe's sometimes does this)
-      if (attachment.mimeType.startsWith('image/')) {
+    // Parse image with OCR
+    if (documents.length === 0) {
+      for (const { file, data } of images) {
         try {
-          const data = await gmailFetcher.downloadAttachment(
-            attachment.messageId,
-            attachment.id
-          );
-
-          // Add attachment to receipt
-          addAttachment(receipt, {
-            type: 'image',
-            filename: attachment.filename,
-            mimeType: attachment.mimeType,
-            data: data.toString('base64'),
-            size: attachment.size
-          });
-
-          // Parse image with OCR
           const parsed = await parserRouter.parseImage(data, email.vendor);
           if (parsed) {
-            addProcessingNote(receipt, `Parsed from image: ${attachment.filename}`);
-            return parsed;
+            documents.push({ parsed, files: [file], note: `Parsed from image: ${file.filename}` });
+            break;
           }
         } catch (error) {
           logger.error('Failed to process image attachment', {
-            filename: attachment.filename,
+            filename: file.filename,
             error: error.message
           });
         }
       }
     }
 
-    return null;
+    return { files, documents };
+  }
+
+  /**
+   * Attach a rendered copy of the email body when there is no file attachment
+   * HTML bodies are rendered to PDF; if that fails we keep a plain text copy.
+   */
+  async attachRenderedBody(email, receipt) {
+    const baseName = `receipt-${email.id}`;
+
+    if (email.body.html) {
+      try {
+        const pdf = await htmlRenderer.renderPdf(email.body.html);
+
+        addAttachment(receipt, {
+          type: 'html',
+          filename: `${baseName}.pdf`,
+          mimeType: 'application/pdf',
+          data: pdf.toString('base64'),
+          size: pdf.length
+        });
+
+        addProcessingNote(receipt, 'Rendered HTML email body to PDF');
+        return;
+      } catch (error) {
+        logger.warn('Falling back to text copy of HTML receipt', {
+          emailId: email.id,
+          error: error.message
+        });
+      }
+    }
+
+    const text = email.body.text || (email.body.html ? htmlParser.toText(email.body.html) : null);
+    if (!text) return;
+
+    const data = Buffer.from(text, 'utf8');
+
+    addAttachment(receipt, {
+      type: 'html',
+      filename: `${baseName}.txt`,
+      mimeType: 'text/plain',
+      data: data.toString('base64'),
+      size: data.length
+    });
+
+    addProcessingNote(receipt, 'Saved text copy of email body');
   }
 
   /**
    * Process email body content
+   * Returns { parsed, note } or null
    */
-  async processEmailBody(email, receipt) {
+  async processEmailBody(email) {
     // Try HTML first (usually more structured)
     if (email.body.html) {
       try {
         const parsed = await parserRouter.parseHtml(email.body.html, email.vendor);
         if (parsed) {
-          addProcessingNote(receipt, 'Parsed from HTML email body');
-          return parsed;
+          return { parsed, note: 'Parsed from HTML email body' };
         }
       } catch (error) {
         logger.error('Failed to parse HTML body', { error: error.message });
@@ -221,8 +443,7 @@ class GmailProcessor {
       try {
         const parsed = await parserRouter.parseText(email.body.text, email.vendor);
         if (parsed) {
-          addProcessingNote(receipt, 'Parsed from plain text email body');
-          return parsed;
+          return { parsed, note: 'Parsed from plain text email body' };
         }
       } catch (error) {
         logger.error('Failed to parse text body', { error: error.message });
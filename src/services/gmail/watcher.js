@@ -0,0 +1,165 @@
+/**
+ * Gmail Push Watcher
+ * Keeps a users.watch subscription alive and decodes push notifications
+ * (new mail itself is read by the fetcher's incremental sync)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const gmailClient = require('./client');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Gmail watches expire after 7 days; renew once less than a day is left
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+class GmailWatcher {
+  constructor() {
+    this.filePath = config.gmail.push.statePath;
+    this.state = { expiration: null, topicName: null };
+    this.loaded = null;
+  }
+
+  /**
+   * Load watch state from disk (once - a failed load is retried on the next call)
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.readFile().catch((error) => {
+        this.loaded = null;
+        throw error;
+      });
+    }
+    return this.loaded;
+  }
+
+  async readFile() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      this.state = { ...this.state, ...JSON.parse(data) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load Gmail watch state', { error: error.message });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Write watch state to disk (via temp file); rejects when the write fails
+   */
+  async persist() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ ...this.state, savedAt: new Date().toISOString() }, null, 2));
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      logger.error('Failed to save Gmail watch state', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Start or renew the Gmail watch when push is enabled
+   */
+  async ensureWatch() {
+    if (!config.gmail.push.enabled) {
+      return null;
+    }
+
+    await this.load();
+
+    const { topicName } = config.gmail.push;
+    const expiresIn = this.state.expiration ? this.state.expiration - Date.now() : 0;
+
+    if (this.state.topicName === topicName && expiresIn > RENEW_BEFORE_MS) {
+      return this.state;
+    }
+
+    const gmail = gmailClient.getApi();
+    let response;
+
+    try {
+      response = await gmail.users.watch({
+        userId: 'me',
+        requestBody: {
+          topicName,
+          labelIds: ['INBOX'],
+          labelFilterBehavior: 'include'
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to start Gmail watch', { topicName, error: error.message });
+      throw error;
+    }
+
+    this.state.topicName = topicName;
+    this.state.expiration = parseInt(response.data.expiration, 10);
+
+    logger.gmail('watch started', {
+      topicName,
+      historyId: response.data.historyId,
+      expiration: new Date(this.state.expiration).toISOString()
+    });
+
+    // The watch is running either way; an unsaved state only means an early renewal
+    await this.persist();
+
+    return this.state;
+  }
+
+  /**
+   * Stop push notifications for the mailbox
+   */
+  async stopWatch() {
+    const gmail = gmailClient.getApi();
+
+    await gmail.users.stop({ userId: 'me' });
+
+    await this.load();
+    this.state.expiration = null;
+    this.state.topicName = null;
+    await this.persist();
+
+    logger.gmail('watch stopped', {});
+  }
+
+  /**
+   * Decode a Pub/Sub push request body
+   * Returns { emailAddress, historyId } or null if the body isn't a Gmail notification
+   */
+  parseNotification(body) {
+    const data = body?.message?.data;
+    if (!data) return null;
+
+    try {
+      const notification = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+      if (!notification.historyId) return null;
+
+      return {
+        emailAddress: notification.emailAddress || null,
+        historyId: String(notification.historyId)
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Current watch state (for status pages)
+   */
+  async getStatus() {
+    await this.load();
+
+    return {
+      enabled: config.gmail.push.enabled,
+      expiration: this.state.expiration ? new Date(this.state.expiration).toISOString() : null
+    };
+  }
+}
+
+// Singleton instance
+const gmailWatcher = new GmailWatcher();
+
+module.exports = gmailWatcher;
@@ -0,0 +1,55 @@
+/**
+ * HTML Receipt Renderer
+ * Renders HTML email receipts to PDF so they can be attached in QuickBooks
+ */
+
+const puppeteer = require('puppeteer');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class HtmlRenderer {
+  /**
+   * Render HTML content to a PDF buffer
+   */
+  async renderPdf(htmlContent) {
+    if (!config.processing.enableHtmlRender) {
+      throw new Error('HTML rendering is disabled in configuration');
+    }
+
+    let browser = null;
+
+    try {
+      browser = await puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      });
+
+      const page = await browser.newPage();
+
+      // Don't wait on slow tracking pixels - the receipt text is what matters
+      await page.setContent(htmlContent, { waitUntil: 'load', timeout: 15000 });
+
+      const pdf = await page.pdf({
+        format: 'Letter',
+        printBackground: true,
+        margin: { top: '0.5in', bottom: '0.5in', left: '0.5in', right: '0.5in' }
+      });
+
+      logger.info('Rendered HTML receipt to PDF', { size: pdf.length });
+
+      return Buffer.from(pdf);
+    } catch (error) {
+      logger.error('HTML receipt rendering failed', { error: error.message });
+      throw error;
+    } finally {
+      if (browser) {
+        await browser.close().catch(() => {});
+      }
+    }
+  }
+}
+
+// Singleton instance
+const htmlRenderer = new HtmlRenderer();
+
+module.exports = htmlRenderer;
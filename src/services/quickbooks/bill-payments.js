@@ -0,0 +1,114 @@
+/**
+ * QuickBooks Bill Payment Matcher
+ * Links bills created from house account invoices to the BillPayment(s)
+ * that paid them once the vendor statement is paid (in one go or in installments)
+ */
+
+const qboClient = require('./client');
+const receiptStore = require('../receipt-store');
+const { addProcessingNote } = require('../../models/receipt');
+const logger = require('../../utils/logger');
+
+class BillPaymentMatcher {
+  /**
+   * Find payments for every open bill we booked
+   * A bill counts as paid once its payments cover the receipt total;
+   * partial payments are recorded as they turn up.
+   * Returns the receipts that were paid in full
+   */
+  async matchPaidBills() {
+    const records = await receiptStore.search({ status: 'synced' });
+    const open = records
+      .map(record => record.receipt)
+      .filter(receipt => receipt.qboSync.billId && !receipt.qboSync.billPaymentId);
+
+    if (open.length === 0) {
+      return [];
+    }
+
+    // Payments can't predate the oldest open bill
+    const since = open
+      .map(receipt => receipt.transaction.date)
+      .filter(Boolean)
+      .sort()[0];
+
+    const paymentsByBill = await this.getPaymentsByBill(since);
+    const matched = [];
+
+    for (const receipt of open) {
+      const payments = paymentsByBill.get(String(receipt.qboSync.billId)) || [];
+      const known = new Set((receipt.qboSync.billPayments || []).map(p => p.billPaymentId));
+      const added = payments.filter(p => !known.has(p.billPaymentId));
+
+      if (added.length === 0) continue;
+
+      receipt.qboSync.billPayments = [...(receipt.qboSync.billPayments || []), ...added];
+
+      const paid = receipt.qboSync.billPayments.reduce((total, p) => total + p.amount, 0);
+      const last = receipt.qboSync.billPayments
+        .reduce((latest, p) => (p.date > latest.date ? p : latest));
+
+      if (paid < receipt.transaction.total - 0.01) {
+        addProcessingNote(receipt, `Bill #${receipt.qboSync.billId} partly paid: $${paid.toFixed(2)} of $${receipt.transaction.total.toFixed(2)} (bill payment ${added.map(p => `#${p.billPaymentId}`).join(', ')})`);
+        await receiptStore.save(receipt, 'Partial bill payment');
+        continue;
+      }
+
+      receipt.qboSync.billPaymentId = last.billPaymentId;
+      receipt.qboSync.paidAt = last.date;
+
+      const paidBy = receipt.qboSync.billPayments.length > 1
+        ? `${receipt.qboSync.billPayments.length} bill payments, the last #${last.billPaymentId}`
+        : `bill payment #${last.billPaymentId}`;
+      addProcessingNote(receipt, `Bill #${receipt.qboSync.billId} paid by ${paidBy} on ${last.date}`);
+
+      await receiptStore.save(receipt, 'Matched to bill payment');
+      matched.push(receipt);
+
+      logger.qbo('matched bill payment', {
+        receiptId: receipt.id,
+        billId: receipt.qboSync.billId,
+        billPaymentIds: receipt.qboSync.billPayments.map(p => p.billPaymentId)
+      });
+    }
+
+    return matched;
+  }
+
+  /**
+   * Map bill ID -> [{ billPaymentId, amount, date }] for payments made since a date
+   * (one payment often covers every bill on a statement, and one bill
+   * can be paid off over several payments)
+   */
+  async getPaymentsByBill(since) {
+    const where = since ? ` WHERE TxnDate >= '${since}'` : '';
+    const response = await qboClient.query(`SELECT * FROM BillPayment${where}`);
+    const paymentsByBill = new Map();
+
+    for (const payment of response.QueryResponse?.BillPayment || []) {
+      for (const line of payment.Line || []) {
+        for (const linked of line.LinkedTxn || []) {
+          if (linked.TxnType !== 'Bill') continue;
+
+          const billId = String(linked.TxnId);
+          if (!paymentsByBill.has(billId)) {
+            paymentsByBill.set(billId, []);
+          }
+
+          paymentsByBill.get(billId).push({
+            billPaymentId: payment.Id,
+            amount: line.Amount ?? payment.TotalAmt,
+            date: payment.TxnDate
+          });
+        }
+      }
+    }
+
+    return paymentsByBill;
+  }
+}
+
+// Singleton instance
+const billPaymentMatcher = new BillPaymentMatcher();
+
+module.exports = billPaymentMatcher;
@@ -9,6 +9,11 @@ const path = require('path');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 
+// QBO query and batch limits
+const QUERY_PAGE_SIZE = 1000;
+const QUERY_MAX_PAGES = 100;
+const BATCH_LIMIT = 30;
+
 class QuickBooksClient {
   constructor() {
     this.oauthClient = null;
@@ -170,26 +175,60 @@ class QuickBooksClient {
   }
 
   /**
-   * Make authenticated API request
+   * Make sure we have a valid access token before calling the API
    */
-  async makeApiCall(method, endpoint, body = null) {
+  async ensureValidToken() {
     if (!this.isAuthenticated) {
       throw new Error('QuickBooks client not authenticated');
     }
 
-    // Ensure token is valid
     if (!this.oauthClient.isAccessTokenValid()) {
       const refreshed = await this.refreshTokens();
       if (!refreshed) {
         throw new Error('Failed to refresh QuickBooks token');
       }
     }
+  }
 
-    const baseUrl = config.quickbooks.environment === 'sandbox'
+  /**
+   * Get the company API base URL for the configured environment
+   */
+  getBaseUrl() {
+    const host = config.quickbooks.environment === 'sandbox'
       ? 'https://sandbox-quickbooks.api.intuit.com'
       : 'https://quickbooks.api.intuit.com';
 
-    const url = `${baseUrl}/v3/company/${this.companyId}${endpoint}`;
+    return `${host}/v3/company/${this.companyId}`;
+  }
+
+  /**
+   * Normalize an intuit-oauth response into a plain JSON object
+   */
+  parseResponse(response) {
+    // Handle response - getJson() only works for token responses
+    // For API calls, response.body contains the JSON or response.json
+    if (response && typeof response.getJson === 'function') {
+      return response.getJson();
+    } else if (response && response.body) {
+      // Response body might be string or object
+      if (typeof response.body === 'string') {
+        return JSON.parse(response.body);
+      }
+      return response.body;
+    } else if (response && response.json) {
+      return response.json;
+    }
+
+    return response;
+  }
+
+  /**
+   * Make authenticated API request
+   */
+  async makeApiCall(method, endpoint, body = null, options = {}) {
+    await this.ensureValidToken();
+
+    const url = `${this.getBaseUrl()}${endpoint}`;
 
     try {
       let response;
@@ -204,27 +243,14 @@ class QuickBooksClient {
           url,
           method,
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...options.headers
           },
-          body: JSON.stringify(body)
+          body: body === null ? undefined : JSON.stringify(body)
         });
       }
 
-      // Handle response - getJson() only works for token responses
-      // For API calls, response.body contains the JSON or response.json
-      if (response && typeof response.getJson === 'function') {
-        return response.getJson();
-      } else if (response && response.body) {
-        // Response body might be string or object
-        if (typeof response.body === 'string') {
-          return JSON.parse(response.body);
-        }
-        return response.body;
-      } else if (response && response.json) {
-        return response.json;
-      }
-      
-      return response;
+      return this.parseResponse(response);
     } catch (error) {
       logger.error('QuickBooks API call failed', {
         endpoint,
@@ -234,6 +260,267 @@ class QuickBooksClient {
     }
   }
 
+  /**
+   * Run a query, following STARTPOSITION/MAXRESULTS pages until exhausted
+   * Returns the usual { QueryResponse: { Entity: [...] } } shape with every
+   * page merged. Queries that already page themselves, and COUNT queries,
+   * are sent as-is.
+   */
+  async query(queryString, options = {}) {
+    const { paginate = true, pageSize = QUERY_PAGE_SIZE, maxPages = QUERY_MAX_PAGES } = options;
+    const baseQuery = queryString.trim();
+
+    const isCount = /^select\s+count\s*\(/i.test(baseQuery);
+    const hasPaging = /\b(?:startposition|maxresults)\b/i.test(baseQuery);
+
+    if (!paginate || isCount || hasPaging) {
+      return this.makeApiCall('GET', `/query?query=${encodeURIComponent(baseQuery)}`);
+    }
+
+    const entityName = this.getQueryEntity(baseQuery);
+    const results = [];
+    let startPosition = 1;
+    let lastResponse = {};
+
+    for (let page = 0; page < maxPages; page++) {
+      const pagedQuery = `${baseQuery} STARTPOSITION ${startPosition} MAXRESULTS ${pageSize}`;
+      lastResponse = await this.makeApiCall('GET', `/query?query=${encodeURIComponent(pagedQuery)}`);
+
+      const rows = lastResponse.QueryResponse?.[entityName] || [];
+      results.push(...rows);
+
+      if (rows.length < pageSize) {
+        break;
+      }
+
+      startPosition += pageSize;
+
+      if (page === maxPages - 1) {
+        logger.warn('QuickBooks query hit page limit', { entityName, maxPages, rows: results.length });
+      }
+    }
+
+    const queryResponse = { ...lastResponse.QueryResponse };
+    delete queryResponse[entityName];
+
+    if (results.length > 0) {
+      queryResponse[entityName] = results;
+      queryResponse.startPosition = 1;
+      queryResponse.maxResults = results.length;
+    }
+
+    return {
+      ...lastResponse,
+      QueryResponse: queryResponse
+    };
+  }
+
+  /**
+   * Create an entity (e.g. 'Invoice', 'Purchase') and return it
+   */
+  async create(entityName, data) {
+    const response = await this.makeApiCall('POST', `/${this.getEntityPath(entityName)}`, data);
+    return response[entityName];
+  }
+
+  /**
+   * Read an entity by ID
+   */
+  async read(entityName, id) {
+    const response = await this.makeApiCall('GET', `/${this.getEntityPath(entityName)}/${encodeURIComponent(id)}`);
+    return response[entityName];
+  }
+
+  /**
+   * Update an entity
+   * Sparse by default so only the supplied fields change. The SyncToken is
+   * looked up when the caller doesn't have one.
+   */
+  async update(entityName, data, options = {}) {
+    const { sparse = true } = options;
+
+    if (!data.Id) {
+      throw new Error(`Cannot update ${entityName} without an Id`);
+    }
+
+    let syncToken = data.SyncToken;
+    if (syncToken === undefined) {
+      const current = await this.read(entityName, data.Id);
+      syncToken = current.SyncToken;
+    }
+
+    const payload = {
+      ...data,
+      SyncToken: syncToken,
+      ...(sparse ? { sparse: true } : {})
+    };
+
+    const response = await this.makeApiCall('POST', `/${this.getEntityPath(entityName)}`, payload);
+    return response[entityName];
+  }
+
+  /**
+   * Delete a transaction entity
+   * Accepts the entity itself or just its ID
+   */
+  async delete(entityName, entityOrId) {
+    const ref = await this.getEntityRef(entityName, entityOrId);
+    const response = await this.makeApiCall('POST', `/${this.getEntityPath(entityName)}?operation=delete`, ref);
+    return response[entityName];
+  }
+
+  /**
+   * Void a transaction entity (Invoice, SalesReceipt, BillPayment, Payment)
+   */
+  async void(entityName, entityOrId) {
+    const ref = await this.getEntityRef(entityName, entityOrId);
+    const entityPath = this.getEntityPath(entityName);
+
+    // Payments are voided through a sparse update instead of operation=void
+    const endpoint = entityName === 'Payment'
+      ? `/${entityPath}?operation=update&include=void`
+      : `/${entityPath}?operation=void`;
+
+    const body = entityName === 'Payment' ? { ...ref, sparse: true } : ref;
+
+    const response = await this.makeApiCall('POST', endpoint, body);
+    return response[entityName];
+  }
+
+  /**
+   * Run batch operations
+   * Each item is a raw BatchItemRequest entry, e.g.
+   * { operation: 'create', Invoice: {...} } or { Query: 'SELECT ...' }.
+   * Requests are chunked to the API limit of 30 items per call.
+   */
+  async batch(items) {
+    const responses = [];
+
+    for (let i = 0; i < items.length; i += BATCH_LIMIT) {
+      const chunk = items.slice(i, i + BATCH_LIMIT).map((item, index) => ({
+        bId: String(i + index + 1),
+        ...item
+      }));
+
+      const response = await this.makeApiCall('POST', '/batch', { BatchItemRequest: chunk });
+      responses.push(...(response.BatchItemResponse || []));
+    }
+
+    return responses;
+  }
+
+  /**
+   * Email a sales form (Invoice, Estimate, SalesReceipt...) through QuickBooks
+   */
+  async sendEmail(entityName, id, emailAddress = null) {
+    const query = emailAddress ? `?sendTo=${encodeURIComponent(emailAddress)}` : '';
+
+    const response = await this.makeApiCall(
+      'POST',
+      `/${this.getEntityPath(entityName)}/${encodeURIComponent(id)}/send${query}`,
+      null,
+      { headers: { 'Content-Type': 'application/octet-stream' } }
+    );
+
+    logger.qbo('sent email', { entityName, id, to: emailAddress });
+    return response[entityName];
+  }
+
+  /**
+   * Get the { Id, SyncToken } pair needed for delete/void
+   */
+  async getEntityRef(entityName, entityOrId) {
+    if (entityOrId && typeof entityOrId === 'object' && entityOrId.SyncToken !== undefined) {
+      return { Id: entityOrId.Id, SyncToken: entityOrId.SyncToken };
+    }
+
+    const id = typeof entityOrId === 'object' ? entityOrId.Id : entityOrId;
+    const current = await this.read(entityName, id);
+
+    return { Id: current.Id, SyncToken: current.SyncToken };
+  }
+
+  /**
+   * API path segment for an entity name
+   */
+  getEntityPath(entityName) {
+    return entityName.toLowerCase();
+  }
+
+  /**
+   * Entity name from the FROM clause of a query
+   */
+  getQueryEntity(queryString) {
+    const match = queryString.match(/\bfrom\s+(\w+)/i);
+    if (!match) {
+      throw new Error(`Could not determine entity for query: ${queryString}`);
+    }
+    return match[1];
+  }
+
+  /**
+   * Escape a value for use inside a quoted query string
+   */
+  escapeQueryValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  }
+
+  /**
+   * Upload a file and create an Attachable for it
+   * The /upload endpoint takes multipart form data: one JSON part with the
+   * Attachable metadata and one part with the file content.
+   */
+  async uploadAttachable(attachable, fileBuffer) {
+    await this.ensureValidToken();
+
+    const url = `${this.getBaseUrl()}/upload`;
+    const boundary = `RLTBoundary${Date.now().toString(16)}${Math.random().toString(16).slice(2)}`;
+    const fileName = (attachable.FileName || 'receipt').replace(/["\r\n]/g, '');
+
+    const body = Buffer.concat([
+      Buffer.from(
+        `--${boundary}\r\n` +
+        'Content-Disposition: form-data; name="file_metadata_01"; filename="attachment.json"\r\n' +
+        'Content-Type: application/json\r\n\r\n' +
+        `${JSON.stringify(attachable)}\r\n`
+      ),
+      Buffer.from(
+        `--${boundary}\r\n` +
+        `Content-Disposition: form-data; name="file_content_01"; filename="${fileName}"\r\n` +
+        `Content-Type: ${attachable.ContentType}\r\n\r\n`
+      ),
+      fileBuffer,
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+
+    try {
+      const response = await this.oauthClient.makeApiCall({
+        url,
+        method: 'POST',
+        headers: {
+          'Content-Type': `multipart/form-data; boundary=${boundary}`
+        },
+        body
+      });
+
+      const result = this.parseResponse(response);
+      const uploaded = result.AttachableResponse?.[0];
+
+      if (!uploaded || uploaded.Fault) {
+        const fault = uploaded?.Fault?.Error?.[0];
+        throw new Error(fault ? `${fault.Message}: ${fault.Detail}` : 'Empty upload response');
+      }
+
+      return uploaded.Attachable;
+    } catch (error) {
+      logger.error('QuickBooks upload failed', {
+        fileName,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Check if client is authenticated
    */
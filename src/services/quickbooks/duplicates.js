@@ -0,0 +1,184 @@
+/**
+ * QuickBooks Duplicate Detector
+ * Stops the same receipt from being booked twice
+ */
+
+const dayjs = require('dayjs');
+const qboClient = require('./client');
+const receiptStore = require('../receipt-store');
+const logger = require('../../utils/logger');
+
+// Stored receipts in these states already have (or are waiting for) a QBO transaction
+const ACTIVE_STATUSES = ['review', 'matched', 'synced'];
+
+// Transactions the uploader marks with the receipt ID
+const MARKED_ENTITIES = ['Purchase', 'Bill', 'VendorCredit'];
+
+// How far either side of the receipt date to look for marked transactions
+const MARKER_WINDOW_DAYS = 7;
+
+class DuplicateDetector {
+  /**
+   * Find an earlier booking of this receipt
+   * Returns { reason, receiptId, entityType, entityId, review } or null -
+   * review is set when the match is only likely and a person should decide
+   */
+  async findDuplicate(receipt) {
+    const stored = await this.findStoredDuplicate(receipt);
+    if (stored) {
+      return stored;
+    }
+
+    return this.findMarkedTransaction(receipt);
+  }
+
+  /**
+   * Check the receipt store by Gmail message (and document within it), vendor + order number,
+   * vendor + invoice number + total and vendor + date + total
+   * Two documents of one email never duplicate each other.
+   */
+  async findStoredDuplicate(receipt) {
+    const records = await receiptStore.search({ status: ACTIVE_STATUSES });
+    // A return shares its order number (and often its total) with the original purchase
+    const others = records
+      .map(r => r.receipt)
+      .filter(r => r.id !== receipt.id && !!r.transaction.isReturn === !!receipt.transaction.isReturn);
+
+    // [reason, matches, whether a person should confirm it]
+    const checks = [
+      ['same Gmail message', r => receipt.source.emailId && r.source.emailId === receipt.source.emailId &&
+        (r.source.documentIndex || 0) === (receipt.source.documentIndex || 0), false],
+      ['same vendor and order number', r => this.sameVendor(r, receipt) &&
+        this.sameReference(r.reference.orderNumber, receipt.reference.orderNumber), false],
+      // Invoice numbers get misread (cut short, or a label picked up), so the total has to agree too
+      ['same vendor, invoice number and total', r => this.sameVendor(r, receipt) &&
+        this.sameReference(r.reference.invoiceNumber, receipt.reference.invoiceNumber) &&
+        this.sameAmount(r.transaction.total, receipt.transaction.total), false],
+      // Two real purchases from one vendor on the same day can cost the same
+      ['same vendor, date and total', r => this.sameVendor(r, receipt) &&
+        receipt.transaction.date && r.transaction.date === receipt.transaction.date &&
+        this.sameAmount(r.transaction.total, receipt.transaction.total), true]
+    ];
+
+    for (const [reason, matches, review] of checks) {
+      const original = others.find(r => matches(r) && !this.otherDocumentOfEmail(r, receipt));
+
+      if (original) {
+        const target = this.getBookedEntity(original);
+
+        return {
+          reason,
+          receiptId: original.id,
+          entityType: target ? target.entityType : null,
+          entityId: target ? target.entityId : null,
+          review
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Look in QuickBooks for transactions carrying this receipt's marker
+   * Catches bookings the store never heard about (crash mid-sync, lost store file).
+   */
+  async findMarkedTransaction(receipt) {
+    if (!receipt.transaction.date) {
+      return null;
+    }
+
+    // Earlier attempts at the same document of this email may have used other receipt IDs
+    const related = receipt.source.emailId
+      ? (await receiptStore.findByEmailId(receipt.source.emailId))
+        .filter(r => (r.receipt.source.documentIndex || 0) === (receipt.source.documentIndex || 0))
+      : [];
+    const receiptIds = [receipt.id, ...related.map(r => r.receipt.id)];
+
+    const startDate = dayjs(receipt.transaction.date).subtract(MARKER_WINDOW_DAYS, 'day').format('YYYY-MM-DD');
+    const endDate = dayjs(receipt.transaction.date).add(MARKER_WINDOW_DAYS, 'day').format('YYYY-MM-DD');
+
+    for (const entityType of MARKED_ENTITIES) {
+      try {
+        const response = await qboClient.query(
+          `SELECT * FROM ${entityType} WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}'`
+        );
+
+        for (const txn of response.QueryResponse?.[entityType] || []) {
+          const receiptId = this.findMarkedReceiptId(txn.PrivateNote, receiptIds);
+
+          if (receiptId) {
+            return {
+              reason: 'marked in QuickBooks',
+              receiptId,
+              entityType,
+              entityId: txn.Id,
+              matched: txn.PrivateNote.includes(`Matched by RLT Receipt Matcher - ${receiptId}`),
+              review: false
+            };
+          }
+        }
+      } catch (error) {
+        // Don't block syncing on a failed lookup - the store checks still ran
+        logger.error('Duplicate marker lookup failed', { entityType, error: error.message });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Which of the receipt IDs, if any, a PrivateNote was marked with
+   */
+  findMarkedReceiptId(privateNote, receiptIds) {
+    if (!privateNote) return null;
+
+    return receiptIds.find(id =>
+      privateNote.includes(`Imported by RLT Receipt Matcher - ${id}`) ||
+      privateNote.includes(`Matched by RLT Receipt Matcher - ${id}`)
+    ) || null;
+  }
+
+  /**
+   * The QBO transaction a stored receipt was booked to
+   */
+  getBookedEntity(receipt) {
+    const { qboSync } = receipt;
+
+    if (qboSync.transactionId) return { entityType: 'Purchase', entityId: qboSync.transactionId };
+    if (qboSync.expenseId) return { entityType: 'Purchase', entityId: qboSync.expenseId };
+    if (qboSync.billId) return { entityType: 'Bill', entityId: qboSync.billId };
+    if (qboSync.vendorCreditId) return { entityType: 'VendorCredit', entityId: qboSync.vendorCreditId };
+
+    return null;
+  }
+
+  /**
+   * Whether two receipts were split from the same Gmail message as different documents
+   */
+  otherDocumentOfEmail(a, b) {
+    return Boolean(a.source.emailId) && a.source.emailId === b.source.emailId &&
+      (a.source.documentIndex || 0) !== (b.source.documentIndex || 0);
+  }
+
+  sameVendor(a, b) {
+    const vendorA = a.vendor.id || a.vendor.name;
+    const vendorB = b.vendor.id || b.vendor.name;
+    return Boolean(vendorA) && vendorA === vendorB;
+  }
+
+  sameReference(a, b) {
+    if (!a || !b) return false;
+    const normalize = value => String(value).replace(/[\s-]/g, '').toUpperCase();
+    return normalize(a) === normalize(b);
+  }
+
+  sameAmount(a, b) {
+    return typeof a === 'number' && typeof b === 'number' && Math.abs(a - b) < 0.01;
+  }
+}
+
+// Singleton instance
+const duplicateDetector = new DuplicateDetector();
+
+module.exports = duplicateDetector;
@@ -5,12 +5,18 @@
 
 const client = require('./client');
 const matcher = require('./matcher');
+const duplicates = require('./duplicates');
 const uploader = require('./uploader');
+const billPayments = require('./bill-payments');
+const missingReceipts = require('./missing-receipts');
 
 module.exports = {
   client,
   matcher,
-  uploader
+  duplicates,
+  uploader,
+  billPayments,
+  missingReceipts
 };
 
 
@@ -4,98 +4,546 @@
  */
 
 const qboClient = require('./client');
+const cardRegistry = require('../card-registry');
+const config = require('../../config');
+const { getVendor, findVendorByDescriptor } = require('../../config/vendors');
+const { getUncertainFields } = require('../../models/receipt');
+const { merchantWords, matchesMerchantName } = require('../../utils/helpers');
 const logger = require('../../utils/logger');
 const dayjs = require('dayjs');
 
+// Minimum score to treat a transaction as the receipt's match
+const MATCH_THRESHOLD = 80;
+
+// Scores at or above this (but under MATCH_THRESHOLD) need a human to decide
+const NEAR_MATCH_THRESHOLD = 50;
+
+// How many days either side of the receipt date to look for card transactions
+const MATCH_WINDOW_DAYS = 3;
+
+// Points for the payee/memo naming the receipt's vendor (exactly, or sharing a word)
+const VENDOR_POINTS = { match: 40, similar: 20 };
+
+// Most transactions one receipt can be split across (two cards, installments)
+const MAX_SPLIT_PARTS = 3;
+
+// Split parts must add up to the receipt total to the cent
+const SPLIT_TOLERANCE = 0.01;
+
+// Most transactions searched for split parts (busy card days can have hundreds)
+const MAX_SPLIT_CANDIDATES = 30;
+
+// Receipt IDs the uploader writes into a transaction's PrivateNote
+const CLAIM_MARKER_PATTERN = /(?:Matched|Imported) by RLT Receipt Matcher - (\S+)/g;
+
+/**
+ * Maximum-score one-to-one assignment (Hungarian algorithm)
+ * scores[r][t] >= 0; returns assignment[r] = t, or -1 when r is left unassigned
+ */
+function assignMaxScore(scores) {
+  const rows = scores.length;
+  const cols = rows > 0 ? scores[0].length : 0;
+  const n = Math.max(rows, cols);
+
+  if (rows === 0 || cols === 0) {
+    return new Array(rows).fill(-1);
+  }
+
+  // Minimize negated scores over a square matrix padded with zeros
+  const cost = (i, j) => (i < rows && j < cols ? -scores[i][j] : 0);
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const p = new Array(n + 1).fill(0);
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+
+        const reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+
+      j0 = j1;
+    } while (p[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+
+  for (let j = 1; j <= n; j++) {
+    const i = p[j] - 1;
+    if (i >= 0 && i < rows && j - 1 < cols && scores[i][j - 1] > 0) {
+      assignment[i] = j - 1;
+    }
+  }
+
+  return assignment;
+}
+
 class TransactionMatcher {
   constructor() {
     this.vendorCache = new Map();
     this.customerCache = new Map();
     this.accountCache = new Map();
+    this.tagCache = new Map(); // 'Class:name' / 'Department:name' -> QBO entity
   }
 
   /**
    * Find matching credit card transaction for a receipt
    */
   async findMatchingTransaction(receipt) {
-    try {
-      const { transaction, vendor } = receipt;
-
-      // Search for purchases within date range
-      const startDate = dayjs(transaction.date).subtract(3, 'day').format('YYYY-MM-DD');
-      const endDate = dayjs(transaction.date).add(3, 'day').format('YYYY-MM-DD');
+    const candidates = await this.findCandidates(receipt);
+    const best = candidates[0];
 
-      // Query for purchases
-      const query = `SELECT * FROM Purchase WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}'`;
+    if (!this.isConfidentMatch(best)) {
+      return null;
+    }
 
-      const response = await qboClient.makeApiCall('GET', `/query?query=${encodeURIComponent(query)}`);
+    logger.qbo('found matching transaction', {
+      receiptId: receipt.id,
+      transactionId: best.transaction.Id,
+      amount: best.transaction.TotalAmt,
+      score: best.score
+    });
 
-      const purchases = response.QueryResponse?.Purchase || [];
+    return best.transaction;
+  }
 
-      // Find best match
-      const match = this.findBestMatch(purchases, receipt);
+  /**
+   * Find and score candidate transactions around the receipt date
+   * Transactions already claimed by another receipt are left out.
+   * Returns [{ transaction, score, breakdown }] sorted best first
+   */
+  async findCandidates(receipt) {
+    try {
+      const { transaction } = receipt;
 
-      if (match) {
-        logger.qbo('found matching transaction', {
-          receiptId: receipt.id,
-          transactionId: match.Id,
-          amount: match.TotalAmt
-        });
-      }
+      const purchases = await this.fetchPurchases(transaction.date, transaction.date);
+      await cardRegistry.load();
 
-      return match;
+      return this.scoreTransactions(this.excludeClaimed(purchases, receipt), receipt);
     } catch (error) {
       logger.error('Transaction matching failed', { error: error.message });
-      return null;
+      return [];
     }
   }
 
   /**
-   * Find the best matching transaction from a list
+   * Match a batch of receipts against all candidate transactions at once
+   * Each transaction goes to at most one receipt, picked to maximize the total
+   * score, so two similar same-day receipts can't both claim the same purchase.
+   * Returns Map receiptId -> { candidates, excludeTransactionIds } - the
+   * candidates with the assigned transaction first, and the transactions
+   * assigned to other receipts (left out of candidates and split searches)
+   * Transactions default to the QBO Purchases around the receipts' dates;
+   * statement reconciliation passes statement rows shaped like Purchases instead.
    */
-  findBestMatch(transactions, receipt) {
-    const { transaction, payment } = receipt;
-    let bestMatch = null;
-    let bestScore = 0;
-
-    for (const txn of transactions) {
-      let score = 0;
-
-      // Amount match (most important)
-      const amountDiff = Math.abs(txn.TotalAmt - transaction.total);
-      if (amountDiff === 0) {
-        score += 100;
-      } else if (amountDiff < 0.10) {
-        score += 80;
-      } else if (amountDiff < 1.00) {
-        score += 50;
-      } else if (amountDiff < 5.00) {
-        score += 20;
+  async assignBatch(receipts, transactions = null) {
+    const results = new Map();
+    const dated = receipts.filter(receipt => receipt.transaction.date);
+
+    if (dated.length === 0) {
+      return results;
+    }
+
+    const dates = dated.map(receipt => receipt.transaction.date).sort();
+    const purchases = transactions || await this.fetchPurchases(dates[0], dates[dates.length - 1]);
+    await cardRegistry.load();
+
+    const scored = dated.map(receipt =>
+      this.scoreTransactions(this.excludeClaimed(purchases, receipt), receipt));
+
+    // Only transactions someone could plausibly match take part in the assignment
+    const transactionIds = [...new Set(scored.flatMap(candidates => candidates
+      .filter(c => c.score >= NEAR_MATCH_THRESHOLD)
+      .map(c => c.transaction.Id)))];
+
+    const matrix = scored.map(candidates => transactionIds.map(id => {
+      const candidate = candidates.find(c => c.transaction.Id === id);
+      return candidate && candidate.score >= NEAR_MATCH_THRESHOLD ? candidate.score : 0;
+    }));
+
+    const assignment = assignMaxScore(matrix);
+
+    dated.forEach((receipt, index) => {
+      const ownId = assignment[index] >= 0 ? transactionIds[assignment[index]] : null;
+      const taken = new Set(assignment
+        .filter((column, other) => column >= 0 && other !== index)
+        .map(column => transactionIds[column]));
+
+      const candidates = scored[index].filter(c => !taken.has(c.transaction.Id));
+      const own = candidates.findIndex(c => c.transaction.Id === ownId);
+
+      if (own > 0) {
+        candidates.unshift(...candidates.splice(own, 1));
       }
 
-      // Date match
-      if (txn.TxnDate === transaction.date) {
-        score += 30;
-      } else if (dayjs(txn.TxnDate).diff(dayjs(transaction.date), 'day') <= 1) {
-        score += 20;
+      results.set(receipt.id, { candidates, excludeTransactionIds: [...taken] });
+    });
+
+    logger.qbo('assigned batch', {
+      receipts: dated.length,
+      transactions: transactionIds.length,
+      assigned: assignment.filter(column => column >= 0).length
+    });
+
+    return results;
+  }
+
+  /**
+   * Find combinations of 2-3 transactions that add up to the receipt total
+   * (split tender across cards, or installments within the match window)
+   * excludeTransactionIds are left out, e.g. those assigned to other receipts of a batch.
+   * Returns [{ transactions, score, breakdown }] sorted best first
+   */
+  async findSplitCandidates(receipt, excludeTransactionIds = []) {
+    try {
+      const { transaction } = receipt;
+      if (!transaction.date || !transaction.total) return [];
+
+      const excluded = new Set(excludeTransactionIds);
+      const purchases = (await this.fetchPurchases(transaction.date, transaction.date))
+        .filter(txn => !excluded.has(txn.Id));
+      await cardRegistry.load();
+
+      return this.scoreSplits(this.excludeClaimed(purchases, receipt), receipt);
+    } catch (error) {
+      logger.error('Split matching failed', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Score every combination of transactions summing to the receipt total
+   * Ties go to the combination with fewer parts. Charges at another merchant
+   * can't be part of a split, and only the MAX_SPLIT_CANDIDATES likeliest
+   * parts (on the receipt's card, naming the vendor) are searched.
+   */
+  scoreSplits(transactions, receipt) {
+    const total = Math.round(receipt.transaction.total * 100);
+    const tolerance = Math.round(SPLIT_TOLERANCE * 100);
+
+    // Each part is a charge (or a credit, for refunds) smaller than the whole receipt
+    const parts = transactions
+      .filter(txn => (txn.Credit === true) === !!receipt.transaction.isReturn)
+      .map(txn => ({ txn, cents: Math.round(txn.TotalAmt * 100), vendor: this.vendorMatch(txn, receipt) }))
+      .filter(part => part.cents > 0 && part.cents < total && part.vendor !== 'mismatch')
+      .map(part => ({
+        ...part,
+        relevance: this.cardPoints(part.txn, receipt.payment) + (VENDOR_POINTS[part.vendor] || 0) +
+          this.datePoints(part.txn.TxnDate, receipt.transaction.date)
+      }))
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, MAX_SPLIT_CANDIDATES);
+
+    const combinations = [];
+
+    const search = (start, chosen, sum) => {
+      if (chosen.length >= 2 && Math.abs(total - sum) <= tolerance) {
+        combinations.push(chosen.map(part => part.txn));
+        return;
       }
+      if (chosen.length === MAX_SPLIT_PARTS) return;
 
-      // Card last 4 match (if available)
-      if (payment.cardLast4 && txn.Credit?.CCDetail?.CCNumber) {
-        const txnLast4 = txn.Credit.CCDetail.CCNumber.slice(-4);
-        if (txnLast4 === payment.cardLast4) {
-          score += 50;
+      for (let i = start; i < parts.length; i++) {
+        if (sum + parts[i].cents - total <= tolerance) {
+          search(i + 1, [...chosen, parts[i]], sum + parts[i].cents);
         }
       }
+    };
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = txn;
-      }
+    search(0, [], 0);
+
+    return combinations
+      .map(combination => {
+        const breakdown = this.splitBreakdown(combination, receipt);
+        return { transactions: combination, score: breakdown.total, breakdown };
+      })
+      .sort((a, b) => b.score - a.score || a.transactions.length - b.transactions.length);
+  }
+
+  /**
+   * Whether the best split is good enough and no other split fits as well
+   */
+  isConfidentSplit(splits) {
+    const [best, next] = splits;
+
+    return !!best && best.score >= MATCH_THRESHOLD && this.isCorroborated(best.breakdown) &&
+      !(next && next.score === best.score && next.transactions.length === best.transactions.length);
+  }
+
+  /**
+   * Points for a split: the summed amount, the part furthest from the
+   * receipt date, whether any part was on the receipt's card, and the
+   * weakest vendor match (any part at another merchant vetoes the split)
+   */
+  splitBreakdown(transactions, receipt) {
+    const { transaction, payment } = receipt;
+    const sum = transactions.reduce((total, txn) => total + txn.TotalAmt, 0);
+    const vendorMatches = transactions.map(txn => this.vendorMatch(txn, receipt));
+
+    const breakdown = {
+      amount: this.amountPoints(Math.abs(sum - transaction.total)),
+      date: Math.min(...transactions.map(txn => this.datePoints(txn.TxnDate, transaction.date))),
+      card: Math.max(...transactions.map(txn => this.cardPoints(txn, payment))),
+      vendor: Math.min(...vendorMatches.map(match => VENDOR_POINTS[match] || 0)),
+      uncertain: this.getUncertainSignals(receipt),
+      total: 0
+    };
+
+    if (vendorMatches.includes('mismatch')) {
+      breakdown.vendorMismatch = true;
+      return breakdown;
     }
 
+    breakdown.total = breakdown.amount + breakdown.date + breakdown.card + breakdown.vendor;
+    return breakdown;
+  }
+
+  /**
+   * Purchases within the match window around a date range
+   * (windowDays = 0 for exactly the range)
+   */
+  async fetchPurchases(fromDate, toDate, windowDays = MATCH_WINDOW_DAYS) {
+    const startDate = dayjs(fromDate).subtract(windowDays, 'day').format('YYYY-MM-DD');
+    const endDate = dayjs(toDate).add(windowDays, 'day').format('YYYY-MM-DD');
+
+    const query = `SELECT * FROM Purchase WHERE TxnDate >= '${startDate}' AND TxnDate <= '${endDate}'`;
+    const response = await qboClient.query(query);
+
+    return response.QueryResponse?.Purchase || [];
+  }
+
+  /**
+   * Receipt IDs marked on a transaction's PrivateNote
+   */
+  getClaimingReceiptIds(txn) {
+    return [...(txn.PrivateNote || '').matchAll(CLAIM_MARKER_PATTERN)].map(match => match[1]);
+  }
+
+  /**
+   * Drop transactions an earlier receipt already matched or created
+   */
+  excludeClaimed(transactions, receipt) {
+    return transactions.filter(txn =>
+      !this.getClaimingReceiptIds(txn).some(receiptId => receiptId !== receipt.id));
+  }
+
+  /**
+   * Find the best matching transaction from a list
+   */
+  findBestMatch(transactions, receipt) {
+    const [best] = this.scoreTransactions(transactions, receipt);
+
     // Only return if score is good enough
-    return bestScore >= 80 ? bestMatch : null;
+    return this.isConfidentMatch(best) ? best.transaction : null;
+  }
+
+  /**
+   * Whether a scored candidate is good enough to match automatically
+   */
+  isConfidentMatch(candidate) {
+    return !!candidate && candidate.score >= MATCH_THRESHOLD && this.isCorroborated(candidate.breakdown);
+  }
+
+  /**
+   * An amount match on a total the parser wasn't sure of (say, the subtotal
+   * read as the total) only counts when the card or the vendor backs it up
+   */
+  isCorroborated(breakdown) {
+    if (!breakdown || !(breakdown.uncertain || []).includes('total')) {
+      return true;
+    }
+
+    return breakdown.card > 0 || breakdown.vendor === VENDOR_POINTS.match;
+  }
+
+  /**
+   * Candidates that came close but can't be matched automatically
+   */
+  getNearMatches(candidates) {
+    return candidates.filter(c => c.score >= NEAR_MATCH_THRESHOLD && !this.isConfidentMatch(c));
+  }
+
+  /**
+   * Receipt fields behind the score that the parser wasn't sure of
+   */
+  getUncertainSignals(receipt) {
+    return getUncertainFields(receipt, ['total', 'date', 'cardLast4'], config.review.minFieldConfidence);
+  }
+
+  /**
+   * Score every transaction against the receipt, best first
+   */
+  scoreTransactions(transactions, receipt) {
+    return transactions
+      .map(transaction => {
+        const breakdown = this.scoreBreakdown(transaction, receipt);
+        return { transaction, score: breakdown.total, breakdown };
+      })
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Score how well a single transaction matches the receipt
+   */
+  scoreTransaction(txn, receipt) {
+    return this.scoreBreakdown(txn, receipt).total;
+  }
+
+  /**
+   * Points per signal for a transaction: { amount, date, card, vendor, total }
+   * A charge at a clearly different merchant scores 0 (with vendorMismatch set)
+   * however well the amount and date fit.
+   */
+  scoreBreakdown(txn, receipt) {
+    const { transaction, payment } = receipt;
+    const breakdown = { amount: 0, date: 0, card: 0, vendor: 0, total: 0, uncertain: this.getUncertainSignals(receipt) };
+
+    // Refunds only match credit card credits, purchases only match charges
+    if ((txn.Credit === true) !== !!transaction.isReturn) {
+      return breakdown;
+    }
+
+    // Amount match (most important)
+    breakdown.amount = this.amountPoints(Math.abs(txn.TotalAmt - transaction.total));
+    breakdown.date = this.datePoints(txn.TxnDate, transaction.date);
+    breakdown.card = this.cardPoints(txn, payment);
+
+    const vendorMatch = this.vendorMatch(txn, receipt);
+    breakdown.vendor = VENDOR_POINTS[vendorMatch] || 0;
+
+    if (vendorMatch === 'mismatch') {
+      breakdown.vendorMismatch = true;
+      return breakdown;
+    }
+
+    breakdown.total = breakdown.amount + breakdown.date + breakdown.card + breakdown.vendor;
+    return breakdown;
+  }
+
+  amountPoints(amountDiff) {
+    if (amountDiff === 0) return 100;
+    if (amountDiff < 0.10) return 80;
+    if (amountDiff < 1.00) return 50;
+    if (amountDiff < 5.00) return 20;
+    return 0;
+  }
+
+  datePoints(txnDate, receiptDate) {
+    if (txnDate === receiptDate) return 30;
+    if (Math.abs(dayjs(txnDate).diff(dayjs(receiptDate), 'day')) <= 1) return 20;
+    return 0;
+  }
+
+  /**
+   * Card last 4 match (if available)
+   */
+  cardPoints(txn, payment) {
+    return payment.cardLast4 && this.getCardLast4(txn) === payment.cardLast4 ? 50 : 0;
+  }
+
+  /**
+   * How well a transaction's payee and bank-feed memo fit the receipt's vendor
+   * 'match', 'similar', 'mismatch' (charged at another known vendor), or null
+   * when there's nothing to compare or the descriptor can't be placed
+   */
+  vendorMatch(txn, receipt) {
+    const descriptor = this.getDescriptor(txn);
+    const names = this.getVendorNames(receipt);
+
+    if (!descriptor || names.length === 0) {
+      return null;
+    }
+
+    if (names.some(name => matchesMerchantName(descriptor, name))) {
+      return 'match';
+    }
+
+    const descriptorWords = new Set(merchantWords(descriptor));
+    const shared = names.some(name => merchantWords(name).some(word => word.length >= 4 && descriptorWords.has(word)));
+    if (shared) {
+      return 'similar';
+    }
+
+    // Only a descriptor belonging to another vendor we know rules the charge out -
+    // bank feeds often carry a processor or parent company name instead of the vendor's
+    const other = findVendorByDescriptor(descriptor);
+    if (other && other !== receipt.vendor.id) {
+      return 'mismatch';
+    }
+
+    return null;
+  }
+
+  /**
+   * Payee, memo and line descriptions of a transaction (without our own markers)
+   * Bank-fed purchases carry the raw merchant descriptor here, e.g. "THE HOME DEPOT #6201"
+   */
+  getDescriptor(txn) {
+    return [
+      txn.EntityRef?.name,
+      (txn.PrivateNote || '').replace(CLAIM_MARKER_PATTERN, ''),
+      ...(txn.Line || []).map(line => line.Description)
+    ].filter(text => text && text.trim()).join(' ').trim();
+  }
+
+  /**
+   * Every name the receipt's vendor might appear under on a card statement
+   */
+  getVendorNames(receipt) {
+    const vendor = getVendor(receipt.vendor.id);
+
+    return [...new Set([
+      ...(vendor?.merchantDescriptors || []),
+      vendor?.name,
+      vendor?.qboVendorName,
+      receipt.vendor.name,
+      receipt.vendor.displayName
+    ].filter(Boolean))];
+  }
+
+  /**
+   * Last 4 digits of the card a transaction was charged to - statement rows
+   * carry cardLast4, QBO Purchases go by the registered card for their account
+   * (the registry is loaded before scoring)
+   */
+  getCardLast4(txn) {
+    return txn.cardLast4 || cardRegistry.findLoadedByAccount(txn.AccountRef)?.last4 || null;
   }
 
   /**
@@ -109,8 +557,8 @@ class TransactionMatcher {
 
     try {
       // Search for existing vendor
-      const query = `SELECT * FROM Vendor WHERE DisplayName LIKE '%${vendorName}%'`;
-      const response = await qboClient.makeApiCall('GET', `/query?query=${encodeURIComponent(query)}`);
+      const query = `SELECT * FROM Vendor WHERE DisplayName LIKE '%${qboClient.escapeQueryValue(vendorName)}%'`;
+      const response = await qboClient.query(query);
 
       const vendors = response.QueryResponse?.Vendor || [];
 
@@ -121,14 +569,14 @@ class TransactionMatcher {
       }
 
       // Create new vendor
-      const newVendor = await qboClient.makeApiCall('POST', '/vendor', {
+      const newVendor = await qboClient.create('Vendor', {
         DisplayName: vendorName
       });
 
-      this.vendorCache.set(vendorName, newVendor.Vendor);
-      logger.qbo('created vendor', { name: vendorName, id: newVendor.Vendor.Id });
+      this.vendorCache.set(vendorName, newVendor);
+      logger.qbo('created vendor', { name: vendorName, id: newVendor.Id });
 
-      return newVendor.Vendor;
+      return newVendor;
     } catch (error) {
       logger.error('Vendor lookup/create failed', { vendorName, error: error.message });
       return null;
@@ -149,8 +597,8 @@ class TransactionMatcher {
 
     try {
       // Search for customer/project
-      const query = `SELECT * FROM Customer WHERE DisplayName LIKE '%${jobName}%'`;
-      const response = await qboClient.makeApiCall('GET', `/query?query=${encodeURIComponent(query)}`);
+      const query = `SELECT * FROM Customer WHERE DisplayName LIKE '%${qboClient.escapeQueryValue(jobName)}%'`;
+      const response = await qboClient.query(query);
 
       const customers = response.QueryResponse?.Customer || [];
 
@@ -163,7 +611,7 @@ class TransactionMatcher {
       // Customer/Project not found - create a new one
       logger.info(`Job "${jobName}" not found in QuickBooks, creating new project...`);
 
-      const newCustomer = await qboClient.makeApiCall('POST', '/customer', {
+      const newCustomer = await qboClient.create('Customer', {
         DisplayName: jobName,
         CompanyName: jobName,
         Job: true,  // Mark as a job/project
@@ -171,13 +619,13 @@ class TransactionMatcher {
         Notes: `Auto-created by RLT Receipt Matcher on ${new Date().toISOString()}`
       });
 
-      this.customerCache.set(jobName, newCustomer.Customer);
+      this.customerCache.set(jobName, newCustomer);
       logger.qbo('created new project/customer', { 
         name: jobName, 
-        id: newCustomer.Customer.Id 
+        id: newCustomer.Id 
       });
 
-      return newCustomer.Customer;
+      return newCustomer;
     } catch (error) {
       logger.error('Customer lookup/create failed', { jobName, error: error.message });
       return null;
@@ -205,8 +653,8 @@ class TransactionMatcher {
 
     try {
       // Search for account
-      const query = `SELECT * FROM Account WHERE AccountType = 'Expense' AND Name LIKE '%${searchName}%'`;
-      const response = await qboClient.makeApiCall('GET', `/query?query=${encodeURIComponent(query)}`);
+      const query = `SELECT * FROM Account WHERE AccountType = 'Expense' AND Name LIKE '%${qboClient.escapeQueryValue(searchName)}%'`;
+      const response = await qboClient.query(query);
 
       const accounts = response.QueryResponse?.Account || [];
 
@@ -218,7 +666,7 @@ class TransactionMatcher {
 
       // Try broader search
       const broadQuery = "SELECT * FROM Account WHERE AccountType = 'Expense'";
-      const broadResponse = await qboClient.makeApiCall('GET', `/query?query=${encodeURIComponent(broadQuery)}`);
+      const broadResponse = await qboClient.query(broadQuery);
 
       const allAccounts = broadResponse.QueryResponse?.Account || [];
 
@@ -250,21 +698,70 @@ class TransactionMatcher {
 
   /**
    * Find credit card account
+   * With a card registry entry, the card's own account (by ID or name);
+   * otherwise the first credit card account.
    */
-  async findCreditCardAccount() {
+  async findCreditCardAccount(card = null) {
+    let query = "SELECT * FROM Account WHERE AccountType = 'Credit Card'";
+
+    if (card?.qboAccountId) {
+      query += ` AND Id = '${qboClient.escapeQueryValue(card.qboAccountId)}'`;
+    } else if (card?.qboAccountName) {
+      query += ` AND Name = '${qboClient.escapeQueryValue(card.qboAccountName)}'`;
+    }
+
+    const cacheKey = `card:${card?.qboAccountId || card?.qboAccountName || 'default'}`;
+    if (this.accountCache.has(cacheKey)) {
+      return this.accountCache.get(cacheKey);
+    }
+
     try {
-      const query = "SELECT * FROM Account WHERE AccountType = 'Credit Card'";
-      const response = await qboClient.makeApiCall('GET', `/query?query=${encodeURIComponent(query)}`);
+      const response = await qboClient.query(query);
 
       const accounts = response.QueryResponse?.Account || [];
 
-      return accounts.length > 0 ? accounts[0] : null;
+      if (accounts.length > 0) {
+        this.accountCache.set(cacheKey, accounts[0]);
+        return accounts[0];
+      }
+
+      return null;
     } catch (error) {
       logger.error('Credit card account lookup failed', { error: error.message });
       return null;
     }
   }
 
+  /**
+   * Find a Class or Department by name (tags from the card registry)
+   */
+  async findTag(entityType, name) {
+    if (!name) return null;
+
+    const cacheKey = `${entityType}:${name}`;
+    if (this.tagCache.has(cacheKey)) {
+      return this.tagCache.get(cacheKey);
+    }
+
+    try {
+      const query = `SELECT * FROM ${entityType} WHERE Name = '${qboClient.escapeQueryValue(name)}'`;
+      const response = await qboClient.query(query);
+
+      const tag = response.QueryResponse?.[entityType]?.[0] || null;
+
+      if (tag) {
+        this.tagCache.set(cacheKey, tag);
+      } else {
+        logger.warn(`${entityType} not found in QuickBooks`, { name });
+      }
+
+      return tag;
+    } catch (error) {
+      logger.error(`${entityType} lookup failed`, { name, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Clear caches (useful for long-running processes)
    */
@@ -272,6 +769,7 @@ class TransactionMatcher {
     this.vendorCache.clear();
     this.customerCache.clear();
     this.accountCache.clear();
+    this.tagCache.clear();
   }
 }
 
@@ -0,0 +1,242 @@
+/**
+ * Missing Receipt Report
+ * Lists the card Purchases in QuickBooks that no receipt was matched to and
+ * nothing is attached to, grouped by card and vendor, so the crew can dig
+ * out the paper receipts. Optionally texted out through RingCentral.
+ */
+
+const dayjs = require('dayjs');
+const qboClient = require('./client');
+const matcher = require('./matcher');
+const cardRegistry = require('../card-registry');
+const ringcentral = require('../../bot2/ringcentral');
+const { getVendor, findVendorByDescriptor } = require('../../config/vendors');
+const logger = require('../../utils/logger');
+
+// Default report period when no dates are given
+const DEFAULT_PERIOD_DAYS = 30;
+
+// Keep the text to one long SMS; charges past this are summarized
+const SMS_MAX_LENGTH = 1000;
+
+// Purchase IDs per Attachable query (keeps the IN list well inside the query length limit)
+const ATTACHABLE_QUERY_IDS = 50;
+
+class MissingReceiptReport {
+  /**
+   * Card charges between two dates (inclusive) without a receipt
+   */
+  async build({ from, to } = {}) {
+    const period = this.getPeriod(from, to);
+    const purchases = await matcher.fetchPurchases(period.from, period.to, 0);
+
+    // Charges only - refunds don't need a receipt chased down
+    const charges = purchases.filter(txn => txn.PaymentType === 'CreditCard' && !txn.Credit);
+
+    // Anything we matched or created carries a marker; anything else with a
+    // file attached has its receipt in QBO already
+    const unclaimed = charges.filter(txn => matcher.getClaimingReceiptIds(txn).length === 0);
+    const attached = await this.getAttachedPurchaseIds(unclaimed.map(txn => txn.Id));
+    const missing = unclaimed.filter(txn => !attached.has(String(txn.Id)));
+
+    const cards = await this.groupByCard(missing);
+
+    logger.qbo('built missing receipt report', {
+      from: period.from,
+      to: period.to,
+      charges: charges.length,
+      missing: missing.length
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      period,
+      summary: {
+        charges: charges.length,
+        missing: missing.length,
+        missingTotal: this.sum(missing.map(txn => txn.TotalAmt))
+      },
+      cards
+    };
+  }
+
+  /**
+   * Period from the given dates, defaulting to the last DEFAULT_PERIOD_DAYS days
+   */
+  getPeriod(from, to) {
+    const end = to ? dayjs(to) : dayjs();
+    const start = from ? dayjs(from) : end.subtract(DEFAULT_PERIOD_DAYS, 'day');
+
+    if (!start.isValid() || !end.isValid()) {
+      throw new Error('Report dates must be YYYY-MM-DD');
+    }
+    if (start.isAfter(end)) {
+      throw new Error('Report start date is after the end date');
+    }
+
+    return { from: start.format('YYYY-MM-DD'), to: end.format('YYYY-MM-DD') };
+  }
+
+  /**
+   * Which of the given Purchase IDs have at least one Attachable linked to them
+   * Only those Purchases' attachments are looked up, a chunk of IDs per query.
+   */
+  async getAttachedPurchaseIds(purchaseIds) {
+    const wanted = new Set(purchaseIds.map(String));
+    const ids = new Set();
+    const list = Array.from(wanted);
+
+    for (let i = 0; i < list.length; i += ATTACHABLE_QUERY_IDS) {
+      const inList = list.slice(i, i + ATTACHABLE_QUERY_IDS).map(id => `'${qboClient.escapeQueryValue(id)}'`).join(', ');
+      const response = await qboClient.query(
+        `SELECT * FROM Attachable WHERE AttachableRef.EntityRef.Type = 'Purchase' AND AttachableRef.EntityRef.value IN (${inList})`
+      );
+
+      for (const attachable of response.QueryResponse?.Attachable || []) {
+        for (const ref of attachable.AttachableRef || []) {
+          const id = String(ref.EntityRef?.value);
+          if (ref.EntityRef?.type === 'Purchase' && wanted.has(id)) {
+            ids.add(id);
+          }
+        }
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * [{ account, accountId, last4, cardholder, count, total, vendors: [{ vendor, count, total, charges }] }]
+   * Cards with the most missing first; vendors likewise within a card
+   */
+  async groupByCard(purchases) {
+    const cards = new Map();
+
+    for (const txn of purchases) {
+      const accountId = txn.AccountRef?.value ? String(txn.AccountRef.value) : 'unknown';
+
+      if (!cards.has(accountId)) {
+        const card = await cardRegistry.findByAccount(txn.AccountRef);
+        cards.set(accountId, {
+          account: txn.AccountRef?.name || 'Unknown card account',
+          accountId: txn.AccountRef?.value || null,
+          last4: card?.last4 || null,
+          cardholder: card?.cardholder || null,
+          vendors: new Map()
+        });
+      }
+
+      const vendors = cards.get(accountId).vendors;
+      const vendor = this.getVendorName(txn);
+
+      if (!vendors.has(vendor)) {
+        vendors.set(vendor, []);
+      }
+
+      vendors.get(vendor).push({
+        transactionId: txn.Id,
+        date: txn.TxnDate,
+        amount: txn.TotalAmt,
+        description: matcher.getDescriptor(txn) || null
+      });
+    }
+
+    const byCount = (a, b) => b.count - a.count || b.total - a.total;
+
+    return Array.from(cards.values()).map(({ vendors, ...card }) => {
+      const groups = Array.from(vendors.entries()).map(([vendor, charges]) => ({
+        vendor,
+        count: charges.length,
+        total: this.sum(charges.map(charge => charge.amount)),
+        charges: charges.sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+      })).sort(byCount);
+
+      return {
+        ...card,
+        count: groups.reduce((count, group) => count + group.count, 0),
+        total: this.sum(groups.map(group => group.total)),
+        vendors: groups
+      };
+    }).sort(byCount);
+  }
+
+  /**
+   * Known vendor for the bank-feed descriptor, else the QBO payee, else the
+   * descriptor itself
+   */
+  getVendorName(txn) {
+    const descriptor = matcher.getDescriptor(txn);
+    const vendorId = findVendorByDescriptor(descriptor);
+
+    return getVendor(vendorId)?.name || txn.EntityRef?.name || descriptor || 'Unknown vendor';
+  }
+
+  /**
+   * SMS text for a report, cut short (with a count of what's left) past SMS_MAX_LENGTH
+   */
+  formatSms(report) {
+    const { period, summary } = report;
+    const range = `${dayjs(period.from).format('M/D')}–${dayjs(period.to).format('M/D')}`;
+
+    if (summary.missing === 0) {
+      return `🧾 Every card charge ${range} has a receipt. 🎉`;
+    }
+
+    const header = `🧾 ${summary.missing} card charge(s) ${range} have no receipt ($${summary.missingTotal.toFixed(2)}). Please find the paper receipts:`;
+    const lines = [];
+
+    for (const card of report.cards) {
+      const name = [card.cardholder, card.last4 ? `…${card.last4}` : card.account].filter(Boolean).join(' ');
+      lines.push({ text: `\n${name}:`, charges: 0 });
+
+      for (const group of card.vendors) {
+        const charges = group.charges
+          .map(charge => `${dayjs(charge.date).format('M/D')} $${charge.amount.toFixed(2)}`)
+          .join(', ');
+        lines.push({ text: `- ${group.vendor}: ${charges}`, charges: group.count });
+      }
+    }
+
+    let message = header;
+    let shown = 0;
+
+    for (const line of lines) {
+      const remaining = summary.missing - shown - line.charges;
+      const more = remaining > 0 ? `\n…and ${remaining} more not listed` : '';
+
+      if ((message + '\n' + line.text + more).length > SMS_MAX_LENGTH) {
+        return `${message}\n…and ${summary.missing - shown} more not listed`;
+      }
+
+      message += `\n${line.text}`;
+      shown += line.charges;
+    }
+
+    return message;
+  }
+
+  /**
+   * Text a report to one number, or to the group recipients when none is given
+   */
+  async sendSms(report, toNumber = null) {
+    const message = this.formatSms(report);
+
+    if (toNumber) {
+      await ringcentral.sendToNumber(toNumber, message);
+    } else {
+      await ringcentral.sendGroupText(message);
+    }
+
+    logger.info('Sent missing receipt report', { to: toNumber || 'group', missing: report.summary.missing });
+    return message;
+  }
+
+  sum(amounts) {
+    return Math.round(amounts.reduce((total, amount) => total + (amount || 0), 0) * 100) / 100;
+  }
+}
+
+// Singleton instance
+const missingReceiptReport = new MissingReceiptReport();
+
+module.exports = missingReceiptReport;
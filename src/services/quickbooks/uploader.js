@@ -3,17 +3,127 @@
  * Creates expenses, bills, and uploads attachments to QuickBooks
  */
 
+const dayjs = require('dayjs');
 const qboClient = require('./client');
 const matcher = require('./matcher');
-const { updateSyncStatus, addProcessingNote } = require('../../models/receipt');
+const duplicates = require('./duplicates');
+const receiptStore = require('../receipt-store');
+const cardRegistry = require('../card-registry');
+const taxRates = require('../tax-rates');
+const config = require('../../config');
+const { getVendor } = require('../../config/vendors');
+const { updateSyncStatus, addProcessingNote, validateReceipt, getUncertainFields } = require('../../models/receipt');
 const logger = require('../../utils/logger');
 
+const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+// Parsed fields a booking can't go ahead on if the parser wasn't sure of them
+const KEY_FIELD_NAMES = { total: 'total', date: 'date', cardLast4: 'card number' };
+
+// How many scored candidates to keep for the reviewer
+const REVIEW_CANDIDATE_LIMIT = 10;
+
+// Payment methods that put a purchase (or refund) on a card
+const CARD_PAYMENT_PATTERN = /visa|master\s*card|amex|american\s*express|discover|credit/i;
+
+// Payment methods that mean the purchase was charged to a vendor account
+const ACCOUNT_PAYMENT_PATTERN = /account|charge|terms|invoice/i;
+
+// Bill terms when neither the invoice nor the vendor config has any
+const DEFAULT_TERMS_DAYS = 30;
+
 class QuickBooksUploader {
   /**
    * Sync a receipt to QuickBooks
+   * Options (used when a reviewer resolves a receipt or an email is replayed):
+   *   transactionId   - match to this Purchase instead of searching
+   *   splitTransactionIds - match to these Purchases (a receipt paid in parts)
+   *   expenseId       - update this previously created expense instead of creating one
+   *   vendorCreditId  - update this previously created vendor credit (returns on account)
+   *   billId          - update this previously created bill (house account purchases)
+   *   candidates      - scored candidates from a batch assignment (see matchBatch)
+   *   excludeTransactionIds - Purchases the batch assigned to other receipts
+   *   createNew       - skip matching and review, create a new expense
+   *   skipAttachments - files are already attached in QuickBooks, don't upload again
    */
-  async syncReceipt(receipt) {
+  async syncReceipt(receipt, options = {}) {
     try {
+      // Never book the same receipt twice (unless we were told which transaction to update)
+      if (!this.hasBookingTarget(options)) {
+        const duplicate = await duplicates.findDuplicate(receipt);
+
+        if (duplicate && duplicate.receiptId === receipt.id && duplicate.entityId) {
+          // An earlier attempt got as far as QuickBooks - finish that booking instead
+          addProcessingNote(receipt, `Found earlier booking in QuickBooks: ${duplicate.entityType} #${duplicate.entityId}`);
+          options = { ...options, ...this.getResumeOptions(duplicate) };
+        } else if (duplicate && duplicate.review && config.review.enabled) {
+          // A reviewer who approves a new expense has already ruled this out
+          if (!options.createNew) {
+            return await this.sendToReview(receipt, [this.describePossibleDuplicate(duplicate)], []);
+          }
+        } else if (duplicate) {
+          return await this.markDuplicate(receipt, duplicate);
+        }
+      }
+
+      // Returns on account become vendor credits and house account invoices
+      // become bills; card purchases and refunds are matched against the card feed
+      const isVendorCredit = this.isAccountReturn(receipt);
+      const isBill = !receipt.transaction.isReturn && this.getBookingType(receipt) === 'bill';
+
+      // Card purchases post to the account of the card that was used
+      const isCardBooking = this.isCardBooking(receipt);
+      const card = isCardBooking ? await cardRegistry.lookup(receipt.payment.cardLast4) : null;
+      const unknownCard = isCardBooking && !card && await cardRegistry.isEnabled();
+
+      // Try to find matching credit card transaction
+      // (before touching vendors/projects so reviewed receipts leave QBO untouched)
+      let matchingTxn = null;
+      let splitTxns = null;
+      let matchScore = null;
+
+      if (options.transactionId) {
+        matchingTxn = await qboClient.read('Purchase', options.transactionId);
+        matchScore = matcher.scoreBreakdown(matchingTxn, receipt);
+      } else if (options.splitTransactionIds) {
+        splitTxns = await Promise.all(options.splitTransactionIds.map(id => qboClient.read('Purchase', id)));
+        matchScore = matcher.splitBreakdown(splitTxns, receipt);
+      } else if (!options.createNew && !this.hasBookingTarget(options)) {
+        const candidates = !isCardBooking ? [] : options.candidates || await matcher.findCandidates(receipt);
+
+        // No single charge fits - look for the total paid in two or three parts
+        const splits = isCardBooking && !matcher.isConfidentMatch(candidates[0])
+          ? await matcher.findSplitCandidates(receipt, options.excludeTransactionIds)
+          : [];
+
+        if (matcher.isConfidentMatch(candidates[0])) {
+          matchingTxn = candidates[0].transaction;
+          matchScore = candidates[0].breakdown;
+        } else if (matcher.isConfidentSplit(splits)) {
+          splitTxns = splits[0].transactions;
+          matchScore = splits[0].breakdown;
+        } else {
+          const reasons = this.getReviewReasons(receipt, candidates, splits);
+
+          // Never guess which card account a new expense belongs to
+          if (unknownCard) {
+            reasons.unshift(this.describeUnknownCard(receipt));
+          }
+
+          if (reasons.length > 0) {
+            return await this.sendToReview(receipt, reasons, candidates);
+          }
+        }
+      }
+
+      if (unknownCard && !matchingTxn && !splitTxns && !options.expenseId) {
+        throw new Error(`${this.describeUnknownCard(receipt)} - register the card or correct the card number`);
+      }
+
+      if (card) {
+        await this.applyCard(receipt, card);
+      }
+
       // Find or create vendor
       const vendorName = receipt.vendor.qboVendorName || receipt.vendor.displayName || receipt.vendor.name;
       const vendor = await matcher.findOrCreateVendor(vendorName);
@@ -22,6 +132,11 @@ class QuickBooksUploader {
         receipt.vendor.qboVendorId = vendor.Id;
       }
 
+      // Returns go to the same job as the purchase they came from
+      if (receipt.transaction.isReturn && !receipt.job.name) {
+        await this.linkOriginalReceipt(receipt);
+      }
+
       // Find or create customer/project if job specified
       // If job name doesn't exist in QuickBooks, a new project will be auto-created
       if (receipt.job.name) {
@@ -38,26 +153,59 @@ class QuickBooksUploader {
         receipt.category.qboAccountId = account.Id;
       }
 
-      // Try to find matching credit card transaction
-      const matchingTxn = await matcher.findMatchingTransaction(receipt);
+      const expenseKind = receipt.transaction.isReturn ? 'credit card credit' : 'expense';
 
       if (matchingTxn) {
         // Update existing transaction with receipt details
         await this.updateTransaction(receipt, matchingTxn);
-        updateSyncStatus(receipt, 'matched', { transactionId: matchingTxn.Id });
-        addProcessingNote(receipt, `Matched to existing transaction #${matchingTxn.Id}`);
+        updateSyncStatus(receipt, 'matched', { transactionId: matchingTxn.Id, matchScore });
+        addProcessingNote(receipt, `Matched to existing transaction #${matchingTxn.Id} (${this.describeScore(matchScore)})`);
+      } else if (splitTxns) {
+        // Paid in parts - every part gets the receipt's job and its own card's tags
+        const split = await this.updateSplitTransactions(receipt, splitTxns);
+        updateSyncStatus(receipt, 'matched', { transactionId: split[0].transactionId, split, matchScore });
+        addProcessingNote(receipt, `Matched to split payment across ${this.describeSplit(split)} (${this.describeScore(matchScore)})`);
+      } else if (options.vendorCreditId) {
+        // Re-apply receipt details to the vendor credit we created earlier
+        const vendorCredit = await this.updateVendorCredit(receipt, options.vendorCreditId);
+        updateSyncStatus(receipt, 'synced', { vendorCreditId: vendorCredit.Id });
+        addProcessingNote(receipt, `Updated existing vendor credit #${vendorCredit.Id}`);
+      } else if (isVendorCredit) {
+        // Return on account - credit the vendor balance
+        const vendorCredit = await this.createVendorCredit(receipt);
+        updateSyncStatus(receipt, 'synced', { vendorCreditId: vendorCredit.Id });
+        addProcessingNote(receipt, `Created new vendor credit #${vendorCredit.Id}`);
+      } else if (options.billId) {
+        // Re-apply receipt details to the bill we created earlier
+        const bill = await this.updateBill(receipt, options.billId);
+        updateSyncStatus(receipt, 'synced', { billId: bill.Id });
+        addProcessingNote(receipt, `Updated existing bill #${bill.Id}`);
+      } else if (isBill) {
+        // House account purchase on terms
+        const bill = await this.createBill(receipt);
+        updateSyncStatus(receipt, 'synced', { billId: bill.Id });
+        addProcessingNote(receipt, `Created new bill #${bill.Id} (due ${bill.DueDate})`);
+      } else if (options.expenseId) {
+        // Re-apply receipt details to the expense we created earlier
+        const expense = await this.updateExpense(receipt, options.expenseId);
+        updateSyncStatus(receipt, 'synced', { expenseId: expense.Id });
+        addProcessingNote(receipt, `Updated existing ${expenseKind} #${expense.Id}`);
       } else {
-        // Create new expense
+        // Create new expense (a credit card credit for card refunds)
         const expense = await this.createExpense(receipt);
         updateSyncStatus(receipt, 'synced', { expenseId: expense.Id });
-        addProcessingNote(receipt, `Created new expense #${expense.Id}`);
+        addProcessingNote(receipt, `Created new ${expenseKind} #${expense.Id}`);
       }
 
       // Upload attachment if present
-      if (receipt.attachments.length > 0) {
+      if (options.skipAttachments) {
+        addProcessingNote(receipt, 'Kept attachments already in QuickBooks');
+      } else if (receipt.attachments.length > 0) {
         await this.uploadAttachment(receipt);
       }
 
+      await receiptStore.save(receipt);
+
       logger.receipt('synced to QuickBooks', receipt);
       return receipt;
     } catch (error) {
@@ -67,20 +215,359 @@ class QuickBooksUploader {
       });
 
       updateSyncStatus(receipt, 'error', { error: error.message });
+      await receiptStore.save(receipt).catch(() => {});
       throw error;
     }
   }
 
+  /**
+   * Record that a receipt was already booked and skip it
+   */
+  async markDuplicate(receipt, duplicate) {
+    updateSyncStatus(receipt, 'duplicate', { duplicateOf: duplicate });
+
+    const target = duplicate.entityId ? ` (${duplicate.entityType} #${duplicate.entityId})` : '';
+    addProcessingNote(receipt, `Duplicate of ${duplicate.receiptId}${target}: ${duplicate.reason}`);
+
+    await receiptStore.save(receipt);
+
+    logger.receipt('skipped duplicate', receipt);
+    return receipt;
+  }
+
+  /**
+   * Review reason for a receipt that looks like one already booked but might be a second purchase
+   */
+  describePossibleDuplicate(duplicate) {
+    const target = duplicate.entityId ? ` (${duplicate.entityType} #${duplicate.entityId})` : '';
+    return `Possible duplicate of ${duplicate.receiptId}${target}: ${duplicate.reason}`;
+  }
+
+  /**
+   * Reasons a receipt should wait for a person instead of becoming a new expense
+   */
+  getReviewReasons(receipt, candidates, splits = []) {
+    if (!config.review.enabled) {
+      return [];
+    }
+
+    const reasons = [];
+    const confidence = receipt.metadata.confidence;
+
+    if (confidence && CONFIDENCE_RANK[confidence] < CONFIDENCE_RANK[config.review.minConfidence]) {
+      reasons.push(`Parser confidence is ${confidence}`);
+    }
+
+    const { isValid, errors } = validateReceipt(receipt);
+    if (!isValid) {
+      reasons.push(...errors);
+    }
+
+    reasons.push(...this.describeUncertainFields(receipt));
+
+    const nearMatches = matcher.getNearMatches(candidates);
+    if (nearMatches.length > 0) {
+      reasons.push(`${nearMatches.length} possible matching transaction(s) scored below the match threshold`);
+    } else if (splits.length > 0) {
+      const ids = splits.slice(0, 3).map(split => split.transactions.map(txn => `#${txn.Id}`).join(' + '));
+      reasons.push(`Total could be split across several transactions (${ids.join(' or ')})`);
+    } else if (config.review.reviewUnmatched && this.isCardBooking(receipt)) {
+      reasons.push('No matching card transaction found');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * "Unsure of the total (30%): read from "Subtotal: $111.41"" for each key
+   * field the parser wasn't sure of (the card only matters for card bookings)
+   */
+  describeUncertainFields(receipt) {
+    const fields = Object.keys(KEY_FIELD_NAMES)
+      .filter(field => field !== 'cardLast4' || this.isCardBooking(receipt));
+
+    return getUncertainFields(receipt, fields, config.review.minFieldConfidence).map(field => {
+      const { confidence, snippet } = receipt.metadata.provenance[field];
+      const source = snippet ? `: read from "${snippet}"` : '';
+
+      return `Unsure of the ${KEY_FIELD_NAMES[field]} (${Math.round(confidence * 100)}%)${source}`;
+    });
+  }
+
+  /**
+   * Whether the sync options already name the QBO transaction to book to
+   */
+  hasBookingTarget(options) {
+    return Boolean(options.transactionId || options.splitTransactionIds ||
+      options.expenseId || options.vendorCreditId || options.billId);
+  }
+
+  /**
+   * Sync options that finish an earlier booking found by duplicate detection
+   */
+  getResumeOptions(duplicate) {
+    switch (duplicate.entityType) {
+      case 'Bill':
+        return { billId: duplicate.entityId };
+      case 'VendorCredit':
+        return { vendorCreditId: duplicate.entityId };
+      default:
+        return duplicate.matched
+          ? { transactionId: duplicate.entityId }
+          : { expenseId: duplicate.entityId };
+    }
+  }
+
+  /**
+   * Whether the receipt was paid by card
+   */
+  isCardPayment(receipt) {
+    const { method, cardLast4 } = receipt.payment;
+    return Boolean(cardLast4) || CARD_PAYMENT_PATTERN.test(method || '');
+  }
+
+  /**
+   * How a purchase is booked: 'bill' for purchases on a vendor account,
+   * 'purchase' (credit card expense) for everything paid at the time
+   * Card payments always stay purchases; otherwise house-account vendors,
+   * account payment methods and invoices with terms become bills.
+   */
+  getBookingType(receipt) {
+    if (this.isCardPayment(receipt)) {
+      return 'purchase';
+    }
+
+    const vendor = getVendor(receipt.vendor.id);
+
+    if (vendor?.billing?.houseAccount ||
+        ACCOUNT_PAYMENT_PATTERN.test(receipt.payment.method || '') ||
+        receipt.transaction.terms) {
+      return 'bill';
+    }
+
+    return 'purchase';
+  }
+
+  /**
+   * Record the registered card's holder, account and default Class/Department
+   */
+  async applyCard(receipt, card) {
+    const account = await matcher.findCreditCardAccount(card);
+
+    if (!account) {
+      throw new Error(`Credit card account "${card.qboAccountName || card.qboAccountId}" for card ending ${card.last4} not found in QuickBooks`);
+    }
+
+    receipt.payment.cardholder = card.cardholder;
+    receipt.payment.qboAccountId = account.Id;
+
+    const qboClass = await matcher.findTag('Class', card.className);
+    if (qboClass) {
+      receipt.category.qboClassId = qboClass.Id;
+    }
+
+    const department = await matcher.findTag('Department', card.departmentName);
+    if (department) {
+      receipt.category.qboDepartmentId = department.Id;
+    }
+
+    const holder = card.cardholder ? ` (${card.cardholder})` : '';
+    addProcessingNote(receipt, `Card ending ${card.last4}${holder} posts to ${account.Name || `account #${account.Id}`}`);
+  }
+
+  /**
+   * Review reason for a card purchase the registry doesn't know
+   */
+  describeUnknownCard(receipt) {
+    return receipt.payment.cardLast4
+      ? `Card ending ${receipt.payment.cardLast4} is not in the card registry`
+      : 'Receipt does not show which card was used';
+  }
+
+  /**
+   * Whether a receipt is a return on account (vendor credit) rather than a card refund
+   */
+  isAccountReturn(receipt) {
+    return Boolean(receipt.transaction.isReturn) && !this.isCardPayment(receipt);
+  }
+
+  /**
+   * Whether the receipt should turn up in the credit card feed
+   */
+  isCardBooking(receipt) {
+    return receipt.transaction.isReturn
+      ? !this.isAccountReturn(receipt)
+      : this.getBookingType(receipt) === 'purchase';
+  }
+
+  /**
+   * Find the purchase a return was made against and copy its job
+   * Looks up the original order number (or the return's own order number,
+   * which vendors like Amazon reuse) among stored receipts from the same vendor.
+   */
+  async linkOriginalReceipt(receipt) {
+    const orderNumbers = [receipt.reference.originalOrderNumber, receipt.reference.orderNumber].filter(Boolean);
+    if (orderNumbers.length === 0) return null;
+
+    const records = await receiptStore.search({ status: ['matched', 'synced'] });
+
+    const original = records
+      .map(record => record.receipt)
+      .find(candidate => !candidate.transaction.isReturn &&
+        duplicates.sameVendor(candidate, receipt) &&
+        orderNumbers.some(number =>
+          duplicates.sameReference(candidate.reference.orderNumber, number) ||
+          duplicates.sameReference(candidate.reference.invoiceNumber, number)));
+
+    if (!original) {
+      addProcessingNote(receipt, `Original purchase for order ${orderNumbers[0]} not found`);
+      return null;
+    }
+
+    receipt.reference.originalReceiptId = original.id;
+
+    if (original.job.name) {
+      receipt.job.name = original.job.name;
+      addProcessingNote(receipt, `Linked to job "${original.job.name}" from original receipt ${original.id}`);
+    }
+
+    return original;
+  }
+
+  /**
+   * Park a receipt in the review queue with its scored candidates
+   */
+  async sendToReview(receipt, reasons, candidates) {
+    receipt.review = {
+      ...receipt.review,
+      reasons,
+      candidates: candidates.slice(0, REVIEW_CANDIDATE_LIMIT).map(c => this.summarizeCandidate(c)),
+      requestedAt: new Date().toISOString(),
+      resolvedAt: null,
+      resolution: null
+    };
+
+    updateSyncStatus(receipt, 'review');
+    addProcessingNote(receipt, `Sent to review: ${reasons.join('; ')}`);
+
+    await receiptStore.save(receipt);
+
+    logger.receipt('sent to review', receipt);
+    return receipt;
+  }
+
+  /**
+   * Compact view of a scored QBO transaction for the review page
+   */
+  summarizeCandidate({ transaction, score, breakdown }) {
+    return {
+      id: transaction.Id,
+      date: transaction.TxnDate,
+      amount: transaction.TotalAmt,
+      payee: transaction.EntityRef?.name || null,
+      account: transaction.AccountRef?.name || null,
+      memo: transaction.PrivateNote || transaction.Line?.[0]?.Description || null,
+      score,
+      breakdown: breakdown || null
+    };
+  }
+
+  /**
+   * "score 170: amount 100, date 30, vendor 40" for processing notes
+   */
+  describeScore(breakdown) {
+    const parts = Object.entries(breakdown)
+      .filter(([signal, points]) => signal !== 'total' && typeof points === 'number' && points > 0)
+      .map(([signal, points]) => `${signal} ${points}`);
+
+    if (breakdown.vendorMismatch) {
+      parts.push('payee is a different merchant');
+    }
+
+    if (breakdown.uncertain?.length > 0) {
+      parts.push(`uncertain ${breakdown.uncertain.join(', ')}`);
+    }
+
+    return `score ${breakdown.total}${parts.length > 0 ? `: ${parts.join(', ')}` : ''}`;
+  }
+
+  /**
+   * "#101 ($40.00, card 1234) + #102 ($25.50)" for processing notes
+   */
+  describeSplit(split) {
+    return split
+      .map(part => `#${part.transactionId} ($${part.amount.toFixed(2)}${part.cardLast4 ? `, card ${part.cardLast4}` : ''})`)
+      .join(' + ');
+  }
+
+  /**
+   * Match a batch of receipts to card transactions together (one-to-one)
+   * Returns Map receiptId -> { candidates, excludeTransactionIds } to pass to syncReceipt
+   */
+  async matchBatch(receipts) {
+    return matcher.assignBatch(receipts.filter(receipt => this.isCardBooking(receipt)));
+  }
+
   /**
    * Create a new expense/purchase in QuickBooks
    */
   async createExpense(receipt) {
-    // Get credit card account
-    const ccAccount = await matcher.findCreditCardAccount();
+    const expensePayload = await this.buildExpensePayload(receipt);
+
+    try {
+      const purchase = await qboClient.create('Purchase', expensePayload);
+
+      logger.qbo('created expense', {
+        id: purchase.Id,
+        total: purchase.TotalAmt
+      });
+
+      return purchase;
+    } catch (error) {
+      logger.error('Failed to create expense', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an expense this bot created earlier with fresh receipt details
+   */
+  async updateExpense(receipt, expenseId) {
+    const expensePayload = await this.buildExpensePayload(receipt);
 
-    const expensePayload = {
+    try {
+      const purchase = await qboClient.update('Purchase', {
+        ...expensePayload,
+        Id: expenseId
+      });
+
+      logger.qbo('updated expense', {
+        id: purchase.Id,
+        total: purchase.TotalAmt
+      });
+
+      return purchase;
+    } catch (error) {
+      logger.error('Failed to update expense', { expenseId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Purchase payload for an expense created from a receipt
+   */
+  async buildExpensePayload(receipt) {
+    // Registered cards post to their own account; without a registry, the first
+    // credit card account. Updates of an unregistered card keep the existing account.
+    const ccAccount = receipt.payment.qboAccountId
+      ? { Id: receipt.payment.qboAccountId }
+      : await cardRegistry.isEnabled() ? null : await matcher.findCreditCardAccount();
+
+    return {
       PaymentType: 'CreditCard',
       AccountRef: ccAccount ? { value: ccAccount.Id } : undefined,
+      DepartmentRef: receipt.category.qboDepartmentId ? { value: receipt.category.qboDepartmentId } : undefined,
+      Credit: !!receipt.transaction.isReturn, // Card refunds are credit card credits
       TxnDate: receipt.transaction.date,
       TotalAmt: receipt.transaction.total,
       EntityRef: receipt.vendor.qboVendorId ? {
@@ -90,55 +577,117 @@ class QuickBooksUploader {
       Line: this.buildLineItems(receipt),
       PrivateNote: `Imported by RLT Receipt Matcher - ${receipt.id}`
     };
+  }
 
+  /**
+   * Create a bill in QuickBooks (for account purchases)
+   */
+  async createBill(receipt) {
     try {
-      const response = await qboClient.makeApiCall('POST', '/purchase', expensePayload);
+      const bill = await qboClient.create('Bill', this.buildBillPayload(receipt));
 
-      logger.qbo('created expense', {
-        id: response.Purchase.Id,
-        total: response.Purchase.TotalAmt
+      logger.qbo('created bill', {
+        id: bill.Id,
+        total: bill.TotalAmt,
+        dueDate: bill.DueDate
       });
 
-      return response.Purchase;
+      return bill;
     } catch (error) {
-      logger.error('Failed to create expense', { error: error.message });
+      logger.error('Failed to create bill', { error: error.message });
       throw error;
     }
   }
 
   /**
-   * Create a bill in QuickBooks (for account purchases)
+   * Update a bill this bot created earlier with fresh receipt details
    */
-  async createBill(receipt) {
-    const billPayload = {
+  async updateBill(receipt, billId) {
+    try {
+      const bill = await qboClient.update('Bill', {
+        ...this.buildBillPayload(receipt),
+        Id: billId
+      });
+
+      logger.qbo('updated bill', {
+        id: bill.Id,
+        total: bill.TotalAmt
+      });
+
+      return bill;
+    } catch (error) {
+      logger.error('Failed to update bill', { billId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Bill payload for a house account invoice
+   */
+  buildBillPayload(receipt) {
+    return {
       VendorRef: receipt.vendor.qboVendorId ? {
         value: receipt.vendor.qboVendorId
       } : undefined,
       TxnDate: receipt.transaction.date,
-      DueDate: receipt.transaction.date, // Same day for simplicity
+      DueDate: this.getDueDate(receipt),
+      DocNumber: receipt.reference.invoiceNumber || undefined,
       Line: this.buildBillLineItems(receipt),
-      PrivateNote: `Imported by RLT Receipt Matcher - ${receipt.id}`
+      PrivateNote: [
+        `Imported by RLT Receipt Matcher - ${receipt.id}`,
+        receipt.transaction.terms ? `Terms: ${receipt.transaction.terms}` : null
+      ].filter(Boolean).join('\n')
     };
+  }
 
-    try {
-      const response = await qboClient.makeApiCall('POST', '/bill', billPayload);
+  /**
+   * Due date from the invoice, or the invoice date plus the vendor's usual terms
+   */
+  getDueDate(receipt) {
+    if (receipt.transaction.dueDate) {
+      return receipt.transaction.dueDate;
+    }
 
-      logger.qbo('created bill', {
-        id: response.Bill.Id,
-        total: response.Bill.TotalAmt
-      });
+    const termsDays = getVendor(receipt.vendor.id)?.billing?.termsDays ?? DEFAULT_TERMS_DAYS;
+    return dayjs(receipt.transaction.date).add(termsDays, 'day').format('YYYY-MM-DD');
+  }
 
-      return response.Bill;
-    } catch (error) {
-      logger.error('Failed to create bill', { error: error.message });
-      throw error;
+  /**
+   * Apply the receipt to each part of a split payment
+   * Parts charged to a registered card get that card's Class/Department
+   * rather than the receipt card's. Returns the split as recorded on the receipt.
+   */
+  async updateSplitTransactions(receipt, transactions) {
+    const split = [];
+
+    for (const transaction of transactions) {
+      const card = await cardRegistry.findByAccount(transaction.AccountRef);
+
+      const tags = card ? {
+        qboClassId: (await matcher.findTag('Class', card.className))?.Id || null,
+        qboDepartmentId: (await matcher.findTag('Department', card.departmentName))?.Id || null
+      } : receipt.category;
+
+      await this.updateTransaction(receipt, transaction, tags);
+
+      split.push({
+        transactionId: transaction.Id,
+        amount: transaction.TotalAmt,
+        date: transaction.TxnDate,
+        cardLast4: card?.last4 || null,
+        cardholder: card?.cardholder || null,
+        jobName: receipt.job.name || null
+      });
     }
+
+    return split;
   }
 
   /**
    * Update an existing transaction with receipt details
+   * Class/Department come from the receipt's card unless other tags are given.
    */
-  async updateTransaction(receipt, transaction) {
+  async updateTransaction(receipt, transaction, tags = receipt.category) {
     // Build updated line items with billable/taxable/customer info
     const updatedLines = transaction.Line.map((line, index) => {
       const updatedLine = { ...line };
@@ -148,18 +697,27 @@ class QuickBooksUploader {
         updatedLine.AccountBasedExpenseLineDetail = {
           ...line.AccountBasedExpenseLineDetail,
           BillableStatus: receipt.category.isBillable ? 'Billable' : 'NotBillable',
-          TaxCodeRef: receipt.category.isTaxable ? { value: 'TAX' } : { value: 'NON' }
+          TaxCodeRef: taxRates.getLineTaxCode(receipt)
         };
         
         // Add customer reference if job is specified
         if (receipt.job.qboCustomerId) {
           updatedLine.AccountBasedExpenseLineDetail.CustomerRef = { value: receipt.job.qboCustomerId };
         }
+
+        // Card's default class, unless the bookkeeper already set one
+        if (tags.qboClassId && !line.AccountBasedExpenseLineDetail.ClassRef) {
+          updatedLine.AccountBasedExpenseLineDetail.ClassRef = { value: tags.qboClassId };
+        }
       }
 
       return updatedLine;
     });
 
+    // Replays update the same transaction again - only note the match once
+    const marker = `Matched by RLT Receipt Matcher - ${receipt.id}`;
+    const privateNote = transaction.PrivateNote || '';
+
     const updatePayload = {
       ...transaction,
       Line: updatedLines,
@@ -167,17 +725,20 @@ class QuickBooksUploader {
         value: receipt.vendor.qboVendorId,
         type: 'Vendor'
       } : transaction.EntityRef,
-      PrivateNote: `${transaction.PrivateNote || ''}\nMatched by RLT Receipt Matcher - ${receipt.id}`.trim()
+      DepartmentRef: transaction.DepartmentRef || (tags.qboDepartmentId
+        ? { value: tags.qboDepartmentId }
+        : undefined),
+      PrivateNote: privateNote.includes(marker) ? privateNote : `${privateNote}\n${marker}`.trim()
     };
 
     try {
-      const response = await qboClient.makeApiCall('POST', '/purchase', updatePayload);
+      const purchase = await qboClient.update('Purchase', updatePayload, { sparse: false });
 
       logger.qbo('updated transaction', {
-        id: response.Purchase.Id
+        id: purchase.Id
       });
 
-      return response.Purchase;
+      return purchase;
     } catch (error) {
       logger.error('Failed to update transaction', { error: error.message });
       throw error;
@@ -189,7 +750,7 @@ class QuickBooksUploader {
    */
   buildLineItems(receipt) {
     if (receipt.lineItems.length > 0) {
-      return receipt.lineItems.map(item => ({
+      const lines = receipt.lineItems.map(item => ({
         DetailType: 'AccountBasedExpenseLineDetail',
         Amount: item.totalPrice || item.unitPrice * (item.quantity || 1),
         Description: item.description,
@@ -198,12 +759,17 @@ class QuickBooksUploader {
             value: receipt.category.qboAccountId
           } : undefined,
           BillableStatus: receipt.category.isBillable ? 'Billable' : 'NotBillable',
-          TaxCodeRef: receipt.category.isTaxable ? { value: 'TAX' } : { value: 'NON' },
+          TaxCodeRef: taxRates.getLineTaxCode(receipt),
           CustomerRef: receipt.job.qboCustomerId ? {
             value: receipt.job.qboCustomerId
+          } : undefined,
+          ClassRef: receipt.category.qboClassId ? {
+            value: receipt.category.qboClassId
           } : undefined
         }
       }));
+
+      return [...lines, ...this.buildTaxLine(receipt, lines[0])];
     }
 
     // Single line item for total
@@ -216,9 +782,12 @@ class QuickBooksUploader {
           value: receipt.category.qboAccountId
         } : undefined,
         BillableStatus: receipt.category.isBillable ? 'Billable' : 'NotBillable',
-        TaxCodeRef: receipt.category.isTaxable ? { value: 'TAX' } : { value: 'NON' },
+        TaxCodeRef: taxRates.getLineTaxCode(receipt),
         CustomerRef: receipt.job.qboCustomerId ? {
           value: receipt.job.qboCustomerId
+        } : undefined,
+        ClassRef: receipt.category.qboClassId ? {
+          value: receipt.category.qboClassId
         } : undefined
       }
     }];
@@ -229,7 +798,7 @@ class QuickBooksUploader {
    */
   buildBillLineItems(receipt) {
     if (receipt.lineItems.length > 0) {
-      return receipt.lineItems.map(item => ({
+      const lines = receipt.lineItems.map(item => ({
         DetailType: 'AccountBasedExpenseLineDetail',
         Amount: item.totalPrice || item.unitPrice * (item.quantity || 1),
         Description: item.description,
@@ -238,12 +807,14 @@ class QuickBooksUploader {
             value: receipt.category.qboAccountId
           } : undefined,
           BillableStatus: receipt.category.isBillable ? 'Billable' : 'NotBillable',
-          TaxCodeRef: receipt.category.isTaxable ? { value: 'TAX' } : { value: 'NON' },
+          TaxCodeRef: taxRates.getLineTaxCode(receipt),
           CustomerRef: receipt.job.qboCustomerId ? {
             value: receipt.job.qboCustomerId
           } : undefined
         }
       }));
+
+      return [...lines, ...this.buildTaxLine(receipt, lines[0])];
     }
 
     return [{
@@ -255,7 +826,7 @@ class QuickBooksUploader {
           value: receipt.category.qboAccountId
         } : undefined,
         BillableStatus: receipt.category.isBillable ? 'Billable' : 'NotBillable',
-        TaxCodeRef: receipt.category.isTaxable ? { value: 'TAX' } : { value: 'NON' },
+        TaxCodeRef: taxRates.getLineTaxCode(receipt),
         CustomerRef: receipt.job.qboCustomerId ? {
           value: receipt.job.qboCustomerId
         } : undefined
@@ -264,73 +835,183 @@ class QuickBooksUploader {
   }
 
   /**
-   * Upload receipt attachment to QuickBooks
+   * The tax (GET) as its own line when a receipt is booked item by item -
+   * item prices don't include it, and the lines have to add up to the total
+   */
+  buildTaxLine(receipt, itemLine) {
+    if (!(receipt.transaction.tax > 0)) {
+      return [];
+    }
+
+    return [{
+      DetailType: 'AccountBasedExpenseLineDetail',
+      Amount: receipt.transaction.tax,
+      Description: taxRates.describeTax(receipt),
+      AccountBasedExpenseLineDetail: {
+        ...itemLine.AccountBasedExpenseLineDetail,
+        TaxCodeRef: { value: config.tax.qboNonTaxableCode }
+      }
+    }];
+  }
+
+  /**
+   * Upload all receipt attachments to QuickBooks
+   * Each file becomes an Attachable linked to the synced transaction
    */
   async uploadAttachment(receipt) {
-    const attachment = receipt.attachments[0]; // Use first attachment
+    const target = this.getAttachmentTarget(receipt);
 
-    if (!attachment || !attachment.data) {
-      return null;
+    if (!target) {
+      logger.warn('No entity ID for attachment upload', { receiptId: receipt.id });
+      return [];
     }
 
-    try {
-      // Get the entity to attach to
-      const entityType = receipt.qboSync.expenseId ? 'Purchase' : 'Bill';
-      const entityId = receipt.qboSync.expenseId || receipt.qboSync.billId;
+    // A receipt paid in parts is attached to every part
+    const entityIds = receipt.qboSync.split?.length > 0
+      ? receipt.qboSync.split.map(part => part.transactionId)
+      : [target.entityId];
+
+    const uploaded = [];
 
-      if (!entityId) {
-        logger.warn('No entity ID for attachment upload');
-        return null;
+    for (const attachment of receipt.attachments) {
+      if (!attachment.data) {
+        continue;
       }
 
-      // Note: Attachment upload requires multipart form data
-      // This is a placeholder - actual implementation would need
-      // proper multipart handling
-      logger.qbo('attachment upload prepared', {
-        filename: attachment.filename,
-        entityType,
-        entityId
-      });
+      try {
+        const attachable = await qboClient.uploadAttachable({
+          FileName: attachment.filename,
+          ContentType: attachment.mimeType || this.guessContentType(attachment),
+          Note: `Receipt imported by RLT Receipt Matcher - ${receipt.id}`,
+          AttachableRef: entityIds.map(entityId => ({
+            EntityRef: {
+              type: target.entityType,
+              value: entityId
+            },
+            IncludeOnSend: false
+          }))
+        }, Buffer.from(attachment.data, 'base64'));
+
+        receipt.qboSync.attachableIds.push(attachable.Id);
+        uploaded.push(attachable);
+
+        logger.qbo('uploaded attachment', {
+          id: attachable.Id,
+          filename: attachment.filename,
+          entityType: target.entityType,
+          entityIds
+        });
+
+        addProcessingNote(receipt, `Attached ${attachment.filename} to ${target.entityType} ${entityIds.map(id => `#${id}`).join(', ')}`);
+      } catch (error) {
+        logger.error('Attachment upload failed', {
+          receiptId: receipt.id,
+          filename: attachment.filename,
+          error: error.message
+        });
+        addProcessingNote(receipt, `Failed to attach ${attachment.filename}: ${error.message}`);
+      }
+    }
 
-      // In production, you would use:
-      // const response = await qboClient.makeApiCall('POST', '/upload', formData);
+    return uploaded;
+  }
 
-      addProcessingNote(receipt, `Attachment ${attachment.filename} ready for upload`);
+  /**
+   * Work out which QBO transaction the receipt's attachments belong to
+   */
+  getAttachmentTarget(receipt) {
+    const { qboSync } = receipt;
 
-      return true;
-    } catch (error) {
-      logger.error('Attachment upload failed', { error: error.message });
-      return null;
+    if (qboSync.transactionId) {
+      return { entityType: 'Purchase', entityId: qboSync.transactionId };
+    }
+    if (qboSync.expenseId) {
+      return { entityType: 'Purchase', entityId: qboSync.expenseId };
+    }
+    if (qboSync.billId) {
+      return { entityType: 'Bill', entityId: qboSync.billId };
     }
+    if (qboSync.vendorCreditId) {
+      return { entityType: 'VendorCredit', entityId: qboSync.vendorCreditId };
+    }
+
+    return null;
   }
 
   /**
-   * Create vendor credit (for returns)
+   * Fallback content type when the email didn't provide one
    */
-  async createVendorCredit(receipt) {
-    const creditPayload = {
-      VendorRef: receipt.vendor.qboVendorId ? {
-        value: receipt.vendor.qboVendorId
-      } : undefined,
-      TxnDate: receipt.transaction.date,
-      Line: this.buildBillLineItems(receipt),
-      PrivateNote: `Vendor credit imported by RLT Receipt Matcher - ${receipt.id}`
-    };
+  guessContentType(attachment) {
+    const name = (attachment.filename || '').toLowerCase();
 
+    if (name.endsWith('.pdf') || attachment.type === 'pdf') return 'application/pdf';
+    if (name.endsWith('.png')) return 'image/png';
+    if (name.endsWith('.jpg') || name.endsWith('.jpeg')) return 'image/jpeg';
+    if (name.endsWith('.txt')) return 'text/plain';
+
+    return 'application/octet-stream';
+  }
+
+  /**
+   * Create vendor credit (for returns on account)
+   */
+  async createVendorCredit(receipt) {
     try {
-      const response = await qboClient.makeApiCall('POST', '/vendorcredit', creditPayload);
+      const vendorCredit = await qboClient.create('VendorCredit', this.buildVendorCreditPayload(receipt));
 
       logger.qbo('created vendor credit', {
-        id: response.VendorCredit.Id,
-        total: response.VendorCredit.TotalAmt
+        id: vendorCredit.Id,
+        total: vendorCredit.TotalAmt
       });
 
-      return response.VendorCredit;
+      return vendorCredit;
     } catch (error) {
       logger.error('Failed to create vendor credit', { error: error.message });
       throw error;
     }
   }
+
+  /**
+   * Update a vendor credit this bot created earlier with fresh receipt details
+   */
+  async updateVendorCredit(receipt, vendorCreditId) {
+    try {
+      const vendorCredit = await qboClient.update('VendorCredit', {
+        ...this.buildVendorCreditPayload(receipt),
+        Id: vendorCreditId
+      });
+
+      logger.qbo('updated vendor credit', {
+        id: vendorCredit.Id,
+        total: vendorCredit.TotalAmt
+      });
+
+      return vendorCredit;
+    } catch (error) {
+      logger.error('Failed to update vendor credit', { vendorCreditId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * VendorCredit payload for a return receipt
+   */
+  buildVendorCreditPayload(receipt) {
+    const original = receipt.reference.originalOrderNumber || receipt.reference.orderNumber;
+
+    return {
+      VendorRef: receipt.vendor.qboVendorId ? {
+        value: receipt.vendor.qboVendorId
+      } : undefined,
+      TxnDate: receipt.transaction.date,
+      DocNumber: receipt.reference.invoiceNumber || undefined,
+      Line: this.buildBillLineItems(receipt),
+      PrivateNote: [
+        `Imported by RLT Receipt Matcher - ${receipt.id}`,
+        original ? `Return against order ${original}` : null
+      ].filter(Boolean).join('\n')
+    };
+  }
 }
 
 // Singleton instance
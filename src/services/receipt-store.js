@@ -0,0 +1,329 @@
+/**
+ * Receipt Store
+ * File-backed database of every processed receipt and its status history
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class ReceiptStore {
+  constructor() {
+    this.filePath = config.processing.receiptStorePath;
+    // Attachment files of receipts in review, one JSON file per receipt (data/receipts-attachments/)
+    this.attachmentsDir = this.filePath.replace(/\.json$/, '') + '-attachments';
+    this.receipts = new Map(); // receiptId -> stored record
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the store from disk (once - a failed load is retried on the next call)
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.readFile().catch((error) => {
+        this.loaded = null;
+        throw error;
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Read receipts from the JSON file
+   */
+  async readFile() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(data);
+
+      for (const record of Object.values(parsed.receipts || {})) {
+        if (record.receipt.qboSync.status === 'review') {
+          await this.readAttachmentData(record.receipt);
+        }
+        this.receipts.set(record.receipt.id, record);
+      }
+
+      logger.info('Receipt store loaded', { receipts: this.receipts.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load receipt store', { error: error.message });
+        throw error;
+      }
+      logger.info('No existing receipt store, starting fresh');
+    }
+  }
+
+  /**
+   * Write all receipts to disk, without attachment data (see writeAttachmentData)
+   * Writes are queued and go through a temp file so a crash can't truncate the store.
+   * A failed write rejects for the caller; the queue carries on with the next one.
+   */
+  async persist() {
+    const write = this.writeQueue.then(async () => {
+      const dir = path.dirname(this.filePath);
+      await fs.mkdir(dir, { recursive: true });
+
+      const receipts = {};
+      for (const [id, record] of this.receipts) {
+        receipts[id] = {
+          ...record,
+          receipt: { ...record.receipt, attachments: record.receipt.attachments.map(({ data, ...attachment }) => attachment) }
+        };
+      }
+
+      const data = JSON.stringify({
+        version: 1,
+        savedAt: new Date().toISOString(),
+        receipts
+      });
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, this.filePath);
+    });
+
+    this.writeQueue = write.catch((error) => {
+      logger.error('Failed to save receipt store', { error: error.message });
+    });
+
+    return write;
+  }
+
+  /**
+   * Keep a review receipt's attachment data in its own file, written once
+   * The files are uploaded when the review is resolved, and dropped after.
+   */
+  async writeAttachmentData(receipt) {
+    const filePath = this.getAttachmentDataPath(receipt.id);
+
+    try {
+      await fs.access(filePath);
+      return;
+    } catch (error) {
+      // Not written yet
+    }
+
+    await fs.mkdir(this.attachmentsDir, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(receipt.attachments.map(attachment => attachment.data || null)));
+  }
+
+  /**
+   * Put a review receipt's attachment data back after loading
+   * (stores written before attachment files existed still have it inline)
+   */
+  async readAttachmentData(receipt) {
+    try {
+      const data = JSON.parse(await fs.readFile(this.getAttachmentDataPath(receipt.id), 'utf8'));
+      receipt.attachments.forEach((attachment, index) => {
+        attachment.data = data[index] || attachment.data || null;
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load receipt attachments', { receiptId: receipt.id, error: error.message });
+      }
+    }
+  }
+
+  async removeAttachmentData(receiptId) {
+    try {
+      await fs.unlink(this.getAttachmentDataPath(receiptId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to remove receipt attachments', { receiptId, error: error.message });
+      }
+    }
+  }
+
+  getAttachmentDataPath(receiptId) {
+    return path.join(this.attachmentsDir, `${receiptId}.json`);
+  }
+
+  /**
+   * Save (insert or update) a receipt
+   * A history entry is added whenever the sync status changes.
+   */
+  async save(receipt, note = null) {
+    await this.load();
+
+    const now = new Date().toISOString();
+    const existing = this.receipts.get(receipt.id);
+    const history = existing ? existing.history : [];
+    const lastStatus = history.length > 0 ? history[history.length - 1].status : null;
+    const status = receipt.qboSync.status;
+
+    if (status !== lastStatus || note) {
+      history.push({
+        status,
+        at: now,
+        note: note || null,
+        details: this.getStatusDetails(receipt)
+      });
+    }
+
+    const record = {
+      receipt: this.serialize(receipt),
+      history,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    if (status === 'review') {
+      await this.writeAttachmentData(record.receipt);
+    } else if (existing && existing.receipt.qboSync.status === 'review') {
+      await this.removeAttachmentData(receipt.id);
+    }
+
+    this.receipts.set(receipt.id, record);
+    await this.persist();
+
+    return record;
+  }
+
+  /**
+   * Strip attachment contents - QuickBooks keeps the files, we keep the metadata
+   * Receipts waiting in review keep their files until they are synced.
+   */
+  serialize(receipt) {
+    const keepData = receipt.qboSync.status === 'review';
+    const copy = JSON.parse(JSON.stringify({ ...receipt, attachments: [] }));
+
+    copy.attachments = (receipt.attachments || []).map(attachment => ({
+      type: attachment.type,
+      filename: attachment.filename,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      ...(keepData ? { data: attachment.data } : {})
+    }));
+
+    return copy;
+  }
+
+  /**
+   * Sync details worth keeping alongside a status change
+   */
+  getStatusDetails(receipt) {
+    const { qboSync } = receipt;
+    const details = {};
+
+    for (const key of ['transactionId', 'expenseId', 'billId', 'vendorCreditId', 'billPaymentId', 'duplicateOf', 'error']) {
+      if (qboSync[key]) {
+        details[key] = qboSync[key];
+      }
+    }
+
+    return details;
+  }
+
+  /**
+   * Get a stored record by receipt ID
+   */
+  async get(receiptId) {
+    await this.load();
+    return this.receipts.get(receiptId) || null;
+  }
+
+  /**
+   * Get all stored records for a Gmail message
+   */
+  async findByEmailId(emailId) {
+    await this.load();
+    return this.all().filter(record => record.receipt.source.emailId === emailId);
+  }
+
+  /**
+   * Latest receipt for each document of a Gmail message, in document order
+   * (retries and replays may have left older records behind)
+   */
+  async findLatestByEmailId(emailId) {
+    const latest = new Map();
+
+    for (const { receipt } of await this.findByEmailId(emailId)) {
+      const index = receipt.source.documentIndex || 0;
+      if (!latest.has(index)) {
+        latest.set(index, receipt);
+      }
+    }
+
+    return Array.from(latest.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([, receipt]) => receipt);
+  }
+
+  /**
+   * Get the status history for a receipt
+   */
+  async getHistory(receiptId) {
+    const record = await this.get(receiptId);
+    return record ? record.history : [];
+  }
+
+  /**
+   * All stored records, newest first
+   * Call load() before using this synchronously.
+   */
+  all() {
+    return Array.from(this.receipts.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Search stored receipts
+   * Filters: vendor, job (case-insensitive substring), status (one or a list),
+   * emailId, dateFrom/dateTo (YYYY-MM-DD, transaction date), minAmount/maxAmount
+   */
+  async search(filters = {}) {
+    await this.load();
+
+    const vendor = filters.vendor ? filters.vendor.toLowerCase() : null;
+    const job = filters.job ? filters.job.toLowerCase() : null;
+    const statuses = filters.status
+      ? (Array.isArray(filters.status) ? filters.status : [filters.status])
+      : null;
+
+    return this.all().filter(({ receipt }) => {
+      const { transaction } = receipt;
+
+      if (vendor) {
+        const names = [receipt.vendor.id, receipt.vendor.name, receipt.vendor.displayName]
+          .filter(Boolean)
+          .map(name => name.toLowerCase());
+        if (!names.some(name => name.includes(vendor))) return false;
+      }
+
+      if (job && !(receipt.job.name || '').toLowerCase().includes(job)) return false;
+      if (statuses && !statuses.includes(receipt.qboSync.status)) return false;
+      if (filters.emailId && receipt.source.emailId !== filters.emailId) return false;
+
+      if (filters.dateFrom && (!transaction.date || transaction.date < filters.dateFrom)) return false;
+      if (filters.dateTo && (!transaction.date || transaction.date > filters.dateTo)) return false;
+
+      if (filters.minAmount !== undefined && !(transaction.total >= filters.minAmount)) return false;
+      if (filters.maxAmount !== undefined && !(transaction.total <= filters.maxAmount)) return false;
+
+      return true;
+    });
+  }
+
+  /**
+   * Count of receipts by sync status
+   */
+  async getStatusCounts() {
+    await this.load();
+
+    const counts = {};
+    for (const record of this.receipts.values()) {
+      const status = record.receipt.qboSync.status;
+      counts[status] = (counts[status] || 0) + 1;
+    }
+
+    return counts;
+  }
+}
+
+// Singleton instance
+const receiptStore = new ReceiptStore();
+
+module.exports = receiptStore;
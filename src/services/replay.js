@@ -0,0 +1,208 @@
+/**
+ * Receipt Replay
+ * Re-runs already processed Gmail messages through the pipeline,
+ * e.g. after a parser fix, updating what was booked instead of duplicating it
+ */
+
+const dayjs = require('dayjs');
+const receiptStore = require('./receipt-store');
+const { updateSyncStatus, addProcessingNote } = require('../models/receipt');
+const { client: gmailClient, fetcher: gmailFetcher, processor: gmailProcessor } = require('./gmail');
+const { client: qboClient, uploader } = require('./quickbooks');
+const logger = require('../utils/logger');
+
+const MAX_REPLAY_MESSAGES = 200;
+
+// Decisions a replay keeps rather than syncing the receipt again
+const KEPT_STATUSES = ['dismissed', 'duplicate'];
+
+class ReplayService {
+  /**
+   * Reprocess a single Gmail message by ID
+   */
+  async replayMessage(messageId) {
+    await this.ensureServices();
+
+    const email = await gmailFetcher.fetchMessage(messageId);
+    if (!email) {
+      throw new Error(`Gmail message ${messageId} not found`);
+    }
+
+    // Earlier receipts by document index, so each split receipt updates its own booking
+    const previous = await receiptStore.findLatestByEmailId(messageId);
+    const previousByIndex = new Map(previous.map(receipt => [receipt.source.documentIndex || 0, receipt]));
+
+    const receiptIds = [];
+    for (const [index, receipt] of previousByIndex) {
+      receiptIds[index] = receipt.id;
+    }
+
+    const receipts = await gmailProcessor.processEmail(email, {
+      receiptIds,
+      note: 'Reprocessed from email'
+    });
+
+    if (receipts.length === 0) {
+      logger.warn('Replay could not parse message', { messageId });
+      return { messageId, status: 'unparsed', receipts: [] };
+    }
+
+    for (const receipt of receipts) {
+      const earlier = previousByIndex.get(receipt.source.documentIndex) || null;
+
+      if (earlier && KEPT_STATUSES.includes(earlier.qboSync.status)) {
+        await this.keepOutcome(receipt, earlier);
+        continue;
+      }
+
+      if (earlier) {
+        receipt.qboSync.attachableIds = [...(earlier.qboSync.attachableIds || [])];
+      }
+
+      await uploader.syncReceipt(receipt, this.getSyncOptions(earlier));
+    }
+
+    await gmailProcessor.completeEmail(messageId, receipts);
+
+    logger.info('Replayed message', {
+      messageId,
+      receipts: receipts.map(receipt => `${receipt.id}:${receipt.qboSync.status}`)
+    });
+
+    return {
+      messageId,
+      status: 'replayed',
+      receipts: receipts.map(receipt => ({
+        receiptId: receipt.id,
+        status: receipt.qboSync.status,
+        transactionId: receipt.qboSync.transactionId,
+        expenseId: receipt.qboSync.expenseId,
+        vendorCreditId: receipt.qboSync.vendorCreditId,
+        billId: receipt.qboSync.billId
+      }))
+    };
+  }
+
+  /**
+   * Reprocess every message in a date range and/or with a label
+   * Filters: after, before (YYYY-MM-DD), label, maxResults
+   */
+  async replaySearch(filters = {}) {
+    await this.ensureServices();
+
+    const query = this.buildQuery(filters);
+    const maxResults = Math.min(filters.maxResults || MAX_REPLAY_MESSAGES, MAX_REPLAY_MESSAGES);
+    const messageIds = await gmailFetcher.searchMessageIds(query, maxResults);
+
+    logger.info('Replaying messages', { query, count: messageIds.length });
+
+    const results = [];
+
+    // One at a time - each replay may touch QuickBooks
+    for (const messageId of messageIds) {
+      try {
+        results.push(await this.replayMessage(messageId));
+      } catch (error) {
+        logger.error('Replay failed', { messageId, error: error.message });
+        results.push({ messageId, status: 'error', error: error.message });
+      }
+    }
+
+    return { query, results };
+  }
+
+  /**
+   * Build a Gmail search query from replay filters
+   */
+  buildQuery({ after, before, label } = {}) {
+    const terms = [];
+
+    for (const [key, value] of [['after', after], ['before', before]]) {
+      if (!value) continue;
+
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !dayjs(value).isValid()) {
+        throw new Error(`${key} must be a date in YYYY-MM-DD format`);
+      }
+      terms.push(`${key}:${value.replace(/-/g, '/')}`);
+    }
+
+    if (label) {
+      terms.push(`label:"${label}"`);
+    }
+
+    if (terms.length === 0) {
+      throw new Error('A date range or label is required to replay messages');
+    }
+
+    return terms.join(' ');
+  }
+
+  /**
+   * Carry over a receipt that was dismissed in review or found to be a duplicate
+   * (nothing was booked for it, and replaying must not book it now)
+   */
+  async keepOutcome(receipt, earlier) {
+    const { status, duplicateOf } = earlier.qboSync;
+
+    updateSyncStatus(receipt, status, duplicateOf ? { duplicateOf } : {});
+    if (earlier.review) {
+      receipt.review = { ...earlier.review };
+    }
+    addProcessingNote(receipt, `Kept earlier outcome: ${status}`);
+
+    await receiptStore.save(receipt);
+    logger.receipt(`kept ${status}`, receipt);
+  }
+
+  /**
+   * Point the sync at whatever the earlier run booked
+   */
+  getSyncOptions(previous) {
+    if (!previous) {
+      return {};
+    }
+
+    const { qboSync } = previous;
+    const skipAttachments = (qboSync.attachableIds || []).length > 0;
+
+    if (qboSync.split?.length > 0) {
+      return { splitTransactionIds: qboSync.split.map(part => part.transactionId), skipAttachments };
+    }
+
+    if (qboSync.transactionId) {
+      return { transactionId: qboSync.transactionId, skipAttachments };
+    }
+
+    if (qboSync.expenseId) {
+      return { expenseId: qboSync.expenseId, skipAttachments };
+    }
+
+    if (qboSync.vendorCreditId) {
+      return { vendorCreditId: qboSync.vendorCreditId, skipAttachments };
+    }
+
+    if (qboSync.billId) {
+      return { billId: qboSync.billId, skipAttachments };
+    }
+
+    return {};
+  }
+
+  /**
+   * Replays are triggered outside the scheduler, so authenticate on demand
+   */
+  async ensureServices() {
+    if (!gmailClient.checkAuth() && !(await gmailClient.authenticate())) {
+      throw new Error('Gmail not authenticated. Please visit /auth/gmail');
+    }
+
+    if (!qboClient.checkAuth() && !(await qboClient.authenticate())) {
+      throw new Error('QuickBooks not authenticated. Please visit /auth/quickbooks');
+    }
+  }
+}
+
+// Singleton instance
+const replayService = new ReplayService();
+
+module.exports = replayService;
@@ -0,0 +1,207 @@
+/**
+ * Review Queue
+ * Receipts the bot won't book on its own, waiting for a person to decide
+ */
+
+const receiptStore = require('./receipt-store');
+const { client: qboClient, uploader } = require('./quickbooks');
+const { processor: gmailProcessor } = require('./gmail');
+const { updateSyncStatus, addProcessingNote } = require('../models/receipt');
+const { parseCurrency, parseDate } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Fields a reviewer can correct: form field -> [receipt section, key, parser]
+const EDITABLE_FIELDS = {
+  vendorName: ['vendor', 'qboVendorName', String],
+  date: ['transaction', 'date', parseDate],
+  total: ['transaction', 'total', parseCurrency],
+  subtotal: ['transaction', 'subtotal', parseCurrency],
+  tax: ['transaction', 'tax', parseCurrency],
+  cardLast4: ['payment', 'cardLast4', String],
+  orderNumber: ['reference', 'orderNumber', String],
+  invoiceNumber: ['reference', 'invoiceNumber', String],
+  jobName: ['job', 'name', String],
+  categoryName: ['category', 'name', String]
+};
+
+class ReviewQueue {
+  /**
+   * All receipts waiting for review, newest first
+   */
+  async list() {
+    return receiptStore.search({ status: 'review' });
+  }
+
+  /**
+   * Number of receipts waiting for review
+   */
+  async count() {
+    const records = await this.list();
+    return records.length;
+  }
+
+  /**
+   * Load a receipt that is currently in review
+   */
+  async getReceipt(receiptId) {
+    const record = await receiptStore.get(receiptId);
+
+    if (!record) {
+      throw new Error(`Receipt ${receiptId} not found`);
+    }
+
+    if (record.receipt.qboSync.status !== 'review') {
+      throw new Error(`Receipt ${receiptId} is not waiting for review`);
+    }
+
+    // Work on a copy so a failed sync doesn't leave the stored record half-updated
+    return JSON.parse(JSON.stringify(record.receipt));
+  }
+
+  /**
+   * Apply a reviewer's corrections to the parsed fields
+   */
+  async correctFields(receiptId, fields) {
+    const receipt = await this.getReceipt(receiptId);
+    const changed = [];
+
+    for (const [field, [section, key, parse]] of Object.entries(EDITABLE_FIELDS)) {
+      if (fields[field] === undefined) continue;
+
+      const raw = String(fields[field]).trim();
+      const value = raw === '' ? null : parse(raw);
+
+      if (raw !== '' && value === null) {
+        throw new Error(`Invalid value for ${field}: ${raw}`);
+      }
+
+      if (receipt[section][key] !== value) {
+        receipt[section][key] = value;
+        changed.push(field);
+      }
+    }
+
+    if (changed.length === 0) {
+      return receipt;
+    }
+
+    receipt.metadata.confidence = 'high';
+    this.recordCorrections(receipt, changed);
+    addProcessingNote(receipt, `Corrected in review: ${changed.join(', ')}`);
+
+    await receiptStore.save(receipt, `Fields corrected: ${changed.join(', ')}`);
+    logger.info('Review fields corrected', { receiptId, fields: changed });
+
+    return receipt;
+  }
+
+  /**
+   * A reviewer's value is certain: replace the parser's provenance for the
+   * fields they changed (vendor and category aren't parsed)
+   */
+  recordCorrections(receipt, changed) {
+    const provenance = receipt.metadata.provenance;
+    if (!provenance) return;
+
+    for (const field of changed) {
+      if (field === 'vendorName' || field === 'categoryName') continue;
+
+      const [section, key] = EDITABLE_FIELDS[field];
+      const value = receipt[section][key];
+
+      if (value === null) {
+        delete provenance[field];
+      } else {
+        provenance[field] = { value, confidence: 1, source: 'review', method: 'corrected', snippet: null };
+      }
+    }
+  }
+
+  /**
+   * Match the receipt to a QBO Purchase picked by the reviewer
+   */
+  async approveMatch(receiptId, transactionId) {
+    const receipt = await this.getReceipt(receiptId);
+
+    if (!transactionId) {
+      throw new Error('A transaction ID is required to approve a match');
+    }
+
+    await this.ensureQuickBooks();
+    this.resolve(receipt, 'matched');
+    addProcessingNote(receipt, `Reviewer matched to transaction #${transactionId}`);
+
+    await uploader.syncReceipt(receipt, { transactionId });
+    await this.completeEmail(receipt);
+
+    return receipt;
+  }
+
+  /**
+   * Create a new expense for the receipt
+   */
+  async approveNew(receiptId) {
+    const receipt = await this.getReceipt(receiptId);
+
+    await this.ensureQuickBooks();
+    this.resolve(receipt, 'created');
+    addProcessingNote(receipt, 'Reviewer approved creating a new expense');
+
+    await uploader.syncReceipt(receipt, { createNew: true });
+    await this.completeEmail(receipt);
+
+    return receipt;
+  }
+
+  /**
+   * Drop the receipt without booking anything (duplicates, personal purchases)
+   */
+  async dismiss(receiptId, reason = null) {
+    const receipt = await this.getReceipt(receiptId);
+
+    this.resolve(receipt, 'dismissed');
+    updateSyncStatus(receipt, 'dismissed');
+    addProcessingNote(receipt, `Dismissed in review${reason ? `: ${reason}` : ''}`);
+
+    await receiptStore.save(receipt);
+    await this.completeEmail(receipt);
+    logger.info('Review receipt dismissed', { receiptId, reason });
+
+    return receipt;
+  }
+
+  /**
+   * Label the source email once none of its receipts still need a decision
+   */
+  async completeEmail(receipt) {
+    const emailId = receipt.source.emailId;
+    if (!emailId) return;
+
+    await gmailProcessor.completeEmail(emailId, await receiptStore.findLatestByEmailId(emailId));
+  }
+
+  /**
+   * Record how the review was resolved
+   */
+  resolve(receipt, resolution) {
+    receipt.review.resolution = resolution;
+    receipt.review.resolvedAt = new Date().toISOString();
+  }
+
+  /**
+   * Approvals can come in between scheduler runs, so authenticate on demand
+   */
+  async ensureQuickBooks() {
+    if (qboClient.checkAuth()) return;
+
+    const authenticated = await qboClient.authenticate();
+    if (!authenticated) {
+      throw new Error('QuickBooks not authenticated. Please visit /auth/quickbooks');
+    }
+  }
+}
+
+// Singleton instance
+const reviewQueue = new ReviewQueue();
+
+module.exports = reviewQueue;
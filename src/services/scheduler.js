@@ -6,18 +6,23 @@
 const cron = require('node-cron');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { client: gmailClient, processor: gmailProcessor } = require('./gmail');
-const { client: qboClient, uploader } = require('./quickbooks');
+const { client: gmailClient, processor: gmailProcessor, watcher: gmailWatcher } = require('./gmail');
+const { client: qboClient, uploader, billPayments } = require('./quickbooks');
+const { reconciler: statementReconciler } = require('./statements');
 
 class Scheduler {
   constructor() {
     this.job = null;
     this.isRunning = false;
     this.lastRun = null;
+    this.lastPushAt = null;
+    this.pushPending = false;
     this.stats = {
       totalRuns: 0,
       totalProcessed: 0,
       totalSynced: 0,
+      totalReview: 0,
+      totalDuplicates: 0,
       totalErrors: 0
     };
   }
@@ -36,17 +41,20 @@ class Scheduler {
       return;
     }
 
+    // With push notifications, polling only runs occasionally to catch missed ones
+    const schedule = this.getCron();
+
     // Validate cron expression
-    if (!cron.validate(config.scheduler.cron)) {
-      logger.error('Invalid cron expression', { cron: config.scheduler.cron });
+    if (!cron.validate(schedule)) {
+      logger.error('Invalid cron expression', { cron: schedule });
       return;
     }
 
-    this.job = cron.schedule(config.scheduler.cron, async () => {
+    this.job = cron.schedule(schedule, async () => {
       await this.runPipeline();
     });
 
-    logger.info('Scheduler started', { cron: config.scheduler.cron });
+    logger.info('Scheduler started', { cron: schedule, push: config.gmail.push.enabled });
 
     // Run immediately on start
     this.runPipeline();
@@ -63,12 +71,27 @@ class Scheduler {
     }
   }
 
+  /**
+   * Polling schedule in effect
+   */
+  getCron() {
+    return config.gmail.push.enabled ? config.gmail.push.fallbackCron : config.scheduler.cron;
+  }
+
   /**
    * Run the processing pipeline once
+   * trigger: 'poll' (cron/manual) or 'push' (Gmail notification) - both run
+   * the same incremental sync from the stored checkpoint
    */
-  async runPipeline() {
+  async runPipeline(trigger = 'poll') {
     if (this.isRunning) {
-      logger.warn('Pipeline already running, skipping this cycle');
+      if (trigger === 'push') {
+        // Pick up the new mail as soon as the current run finishes
+        this.pushPending = true;
+        logger.info('Pipeline already running, queued push notification');
+      } else {
+        logger.warn('Pipeline already running, skipping this cycle');
+      }
       return;
     }
 
@@ -76,7 +99,7 @@ class Scheduler {
     this.lastRun = new Date();
     this.stats.totalRuns++;
 
-    logger.info('=== Starting receipt processing pipeline ===');
+    logger.info('=== Starting receipt processing pipeline ===', { trigger });
 
     try {
       // Step 1: Authenticate services
@@ -93,35 +116,71 @@ class Scheduler {
         return;
       }
 
+      // Keep the push subscription alive (renewed from the polling runs)
+      if (config.gmail.push.enabled) {
+        await gmailWatcher.ensureWatch().catch(() => {});
+      }
+
       // Step 2: Fetch and process new emails
       const result = await gmailProcessor.processNewEmails();
 
       logger.info(`Processed ${result.processed} emails, extracted ${result.receipts.length} receipts`);
       this.stats.totalProcessed += result.receipts.length;
 
+      // Step 3: Link paid house account bills to their bill payments
+      await this.matchBillPayments();
+
+      // ...and import any card statements dropped in the inbox folder
+      await this.importStatements();
+
       if (result.receipts.length === 0) {
         logger.info('No new receipts to sync');
         return;
       }
 
-      // Step 3: Sync receipts to QuickBooks
-      for (const receipt of result.receipts) {
-        try {
-          await uploader.syncReceipt(receipt);
-          this.stats.totalSynced++;
-        } catch (error) {
-          this.stats.totalErrors++;
-          logger.error('Failed to sync receipt', {
-            receiptId: receipt.id,
-            vendor: receipt.vendor.name,
-            error: error.message
-          });
+      // Step 4: Match the whole batch to card transactions at once (one-to-one)
+      const matchesByReceipt = await this.matchBatch(result.receipts);
+
+      // Step 5: Sync receipts to QuickBooks, one email at a time so its
+      // label reflects every receipt split from it
+      for (const [emailId, receipts] of this.groupByEmail(result.receipts)) {
+        let failure = null;
+
+        for (const receipt of receipts) {
+          try {
+            await uploader.syncReceipt(receipt, matchesByReceipt.get(receipt.id));
+
+            if (receipt.qboSync.status === 'review') {
+              this.stats.totalReview++;
+            } else if (receipt.qboSync.status === 'duplicate') {
+              this.stats.totalDuplicates++;
+            } else {
+              this.stats.totalSynced++;
+            }
+          } catch (error) {
+            this.stats.totalErrors++;
+            failure = failure || error.message;
+            logger.error('Failed to sync receipt', {
+              receiptId: receipt.id,
+              vendor: receipt.vendor.name,
+              error: error.message
+            });
+          }
+        }
+
+        // On retry, receipts that did sync are caught by duplicate detection
+        if (failure) {
+          await gmailProcessor.handleFailure(emailId, failure);
+        } else {
+          await gmailProcessor.completeEmail(emailId, receipts);
         }
       }
 
       logger.info('=== Pipeline complete ===', {
         processed: result.receipts.length,
         synced: this.stats.totalSynced,
+        review: this.stats.totalReview,
+        duplicates: this.stats.totalDuplicates,
         errors: this.stats.totalErrors
       });
 
@@ -130,9 +189,73 @@ class Scheduler {
       this.stats.totalErrors++;
     } finally {
       this.isRunning = false;
+
+      if (this.pushPending) {
+        this.pushPending = false;
+        this.runPipeline('push');
+      }
+    }
+  }
+
+  /**
+   * Record payments against bills booked from earlier receipts
+   * A failure here shouldn't stop new receipts from syncing.
+   */
+  async matchBillPayments() {
+    try {
+      const matched = await billPayments.matchPaidBills();
+      if (matched.length > 0) {
+        logger.info(`Matched ${matched.length} bills to bill payments`);
+      }
+    } catch (error) {
+      logger.error('Bill payment matching failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Import and reconcile statement files waiting in the inbox folder
+   */
+  async importStatements() {
+    try {
+      const imported = await statementReconciler.importInbox();
+      if (imported.length > 0) {
+        logger.info(`Imported ${imported.length} card statements`);
+      }
+    } catch (error) {
+      logger.error('Statement import failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Assign card transactions across the batch
+   * If this fails each receipt falls back to matching on its own.
+   */
+  async matchBatch(receipts) {
+    try {
+      return await uploader.matchBatch(receipts);
+    } catch (error) {
+      logger.error('Batch matching failed', { error: error.message });
+      return new Map();
     }
   }
 
+  /**
+   * Group receipts by source email, keeping their order
+   */
+  groupByEmail(receipts) {
+    const groups = new Map();
+
+    for (const receipt of receipts) {
+      const emailId = receipt.source.emailId;
+      if (!groups.has(emailId)) {
+        groups.set(emailId, []);
+      }
+      groups.get(emailId).push(receipt);
+    }
+
+    return groups;
+  }
+
   /**
    * Get scheduler status
    */
@@ -141,7 +264,9 @@ class Scheduler {
       running: this.job !== null,
       processing: this.isRunning,
       lastRun: this.lastRun,
-      cron: config.scheduler.cron,
+      lastPushAt: this.lastPushAt,
+      push: config.gmail.push.enabled,
+      cron: this.getCron(),
       stats: this.stats
     };
   }
@@ -153,6 +278,15 @@ class Scheduler {
     logger.info('Manual pipeline run triggered');
     await this.runPipeline();
   }
+
+  /**
+   * Run the pipeline for a Gmail push notification
+   */
+  async triggerPush(notification) {
+    this.lastPushAt = new Date();
+    logger.info('Gmail push notification received', notification);
+    await this.runPipeline('push');
+  }
 }
 
 // Singleton instance
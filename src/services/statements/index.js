@@ -0,0 +1,14 @@
+/**
+ * Card Statement Module
+ * Exports statement import and reconciliation functionality
+ */
+
+const parser = require('./parser');
+const store = require('./store');
+const reconciler = require('./reconciler');
+
+module.exports = {
+  parser,
+  store,
+  reconciler
+};
@@ -0,0 +1,282 @@
+/**
+ * Card Statement Parser
+ * Reads credit card statement exports (CSV, OFX, QFX) into a common shape:
+ * { format, account: { last4, name }, period: { from, to },
+ *   transactions: [{ id, date, amount, isCredit, description, cardLast4 }] }
+ * Amounts are positive; isCredit marks refunds. Payments to the card are left out.
+ */
+
+const path = require('path');
+const dayjs = require('dayjs');
+const { parseDate, parseCurrency } = require('../../utils/helpers');
+
+const SUPPORTED_FORMATS = ['csv', 'ofx', 'qfx'];
+
+// Header names each column goes by in the banks' CSV exports (first match wins)
+const CSV_COLUMNS = {
+  date: ['transaction date', 'trans date', 'trans. date', 'date', 'posted date', 'post date', 'posting date'],
+  description: ['description', 'merchant', 'merchant name', 'payee', 'name', 'details'],
+  amount: ['amount', 'transaction amount'],
+  debit: ['debit', 'charges', 'charge'],
+  credit: ['credit', 'credits', 'payments'],
+  type: ['type', 'transaction type'],
+  card: ['card no.', 'card no', 'card number', 'card', 'account number', 'account #']
+};
+
+// Rows that pay the card off rather than spend on it
+const CARD_PAYMENT_PATTERN = /^(?:payment|autopay|online payment|mobile payment)|payment\s*(?:-\s*)?thank\s*you|payment\s*received/i;
+
+// Type column values for charges and for refunds
+const CHARGE_TYPES = ['sale', 'purchase'];
+const CREDIT_TYPES = ['return', 'refund', 'credit'];
+
+class StatementParser {
+  /**
+   * Format from the file name ('csv', 'ofx', 'qfx'), or null if unsupported
+   */
+  detectFormat(filename) {
+    const extension = path.extname(filename || '').slice(1).toLowerCase();
+    return SUPPORTED_FORMATS.includes(extension) ? extension : null;
+  }
+
+  /**
+   * Parse a statement file's contents
+   */
+  parse(content, filename) {
+    const format = this.detectFormat(filename) || this.sniffFormat(content);
+
+    if (!format) {
+      throw new Error(`Unsupported statement file "${filename}" - expected ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+
+    const statement = format === 'csv'
+      ? this.parseCsvStatement(content)
+      : this.parseOfxStatement(content);
+
+    if (statement.transactions.length === 0) {
+      throw new Error(`No card transactions found in "${filename}"`);
+    }
+
+    // Chase and friends put the card's last 4 in the export's file name
+    if (!statement.account.last4) {
+      const fromName = (path.basename(filename || '').match(/(?:^|\D)(\d{4})(?:\D|$)/) || [])[1];
+      const cards = [...new Set(statement.transactions.map(txn => txn.cardLast4).filter(Boolean))];
+      statement.account.last4 = cards.length === 1 ? cards[0] : fromName || null;
+    }
+
+    const dates = statement.transactions.map(txn => txn.date).sort();
+    statement.period = {
+      from: statement.period.from || dates[0],
+      to: statement.period.to || dates[dates.length - 1]
+    };
+
+    return { format, ...statement };
+  }
+
+  /**
+   * Guess the format from the contents (uploads without a file name)
+   */
+  sniffFormat(content) {
+    if (/<OFX>/i.test(content) || /^OFXHEADER:/m.test(content)) return 'ofx';
+    if (content.includes(',')) return 'csv';
+    return null;
+  }
+
+  /**
+   * OFX / QFX (QFX is OFX with Quicken's tags added)
+   * Handles both the SGML flavour (no closing tags on values) and XML.
+   */
+  parseOfxStatement(content) {
+    const value = (block, tag) => {
+      const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+      return match ? match[1].trim() : null;
+    };
+
+    const transactions = [];
+    const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+    for (const block of blocks) {
+      const amount = parseFloat(value(block, 'TRNAMT'));
+      const type = (value(block, 'TRNTYPE') || '').toUpperCase();
+      const description = [value(block, 'NAME'), value(block, 'MEMO')].filter(Boolean).join(' ');
+
+      if (isNaN(amount) || amount === 0) continue;
+      if (type === 'PAYMENT' || (amount > 0 && CARD_PAYMENT_PATTERN.test(description))) continue;
+
+      transactions.push({
+        id: value(block, 'FITID') || `row-${transactions.length + 1}`,
+        date: this.parseOfxDate(value(block, 'DTPOSTED')),
+        // Charges are negative in OFX, refunds positive
+        amount: Math.abs(amount),
+        isCredit: amount > 0,
+        description,
+        cardLast4: null
+      });
+    }
+
+    const accountId = value(content, 'ACCTID');
+
+    return {
+      account: {
+        last4: accountId ? accountId.replace(/\D/g, '').slice(-4) || null : null,
+        name: value(content, 'ORG') || null
+      },
+      period: {
+        from: this.parseOfxDate(value(content, 'DTSTART')),
+        to: this.parseOfxDate(value(content, 'DTEND'))
+      },
+      transactions: transactions.filter(txn => txn.date)
+    };
+  }
+
+  /**
+   * OFX dates: YYYYMMDD[HHMMSS[.XXX]][[-5:EST]]
+   */
+  parseOfxDate(raw) {
+    if (!raw) return null;
+    const parsed = dayjs(raw.slice(0, 8), 'YYYYMMDD', true);
+    return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+  }
+
+  /**
+   * CSV exports - columns found by header name, sign convention worked out
+   * from the file (some banks show charges as negative, others as positive)
+   */
+  parseCsvStatement(content) {
+    const rows = this.parseCsv(content);
+    const headerIndex = rows.findIndex(row => this.findColumn(row, 'date') >= 0 &&
+      (this.findColumn(row, 'amount') >= 0 || this.findColumn(row, 'debit') >= 0));
+
+    if (headerIndex < 0) {
+      throw new Error('Statement CSV has no header row with a date and an amount column');
+    }
+
+    const header = rows[headerIndex];
+    const columns = {};
+    for (const name of Object.keys(CSV_COLUMNS)) {
+      columns[name] = this.findColumn(header, name);
+    }
+
+    const cell = (row, name) => (columns[name] >= 0 ? (row[columns[name]] || '').trim() : '');
+    const entries = [];
+
+    for (const row of rows.slice(headerIndex + 1)) {
+      const date = parseDate(cell(row, 'date'));
+      if (!date) continue;
+
+      let signed;
+      if (columns.amount >= 0) {
+        signed = parseCurrency(cell(row, 'amount').replace(/^\((.*)\)$/, '-$1'));
+      } else {
+        const debit = parseCurrency(cell(row, 'debit'));
+        const credit = parseCurrency(cell(row, 'credit'));
+        signed = debit ? Math.abs(debit) : credit ? -Math.abs(credit) : null;
+      }
+
+      if (!signed) continue;
+
+      entries.push({
+        date,
+        signed,
+        type: cell(row, 'type').toLowerCase(),
+        description: cell(row, 'description'),
+        cardLast4: (cell(row, 'card').replace(/\D/g, '').match(/(\d{4})$/) || [])[1] || null
+      });
+    }
+
+    const spending = entries.filter(entry => entry.type !== 'payment' && !CARD_PAYMENT_PATTERN.test(entry.description));
+
+    // Debit/credit columns are already charges-positive; with one amount column,
+    // charges are whichever sign most rows typed as sales have (most rows when
+    // there's no Type column). Payments are left out - they'd outvote the sales.
+    const typedCharges = spending.filter(entry => CHARGE_TYPES.includes(entry.type));
+    const voters = typedCharges.length > 0 ? typedCharges : spending;
+    const negatives = voters.filter(entry => entry.signed < 0).length;
+    const chargesNegative = columns.amount >= 0 && negatives > voters.length / 2;
+
+    const transactions = spending
+      .map((entry, index) => {
+        const isCharge = CHARGE_TYPES.includes(entry.type) ||
+          (!CREDIT_TYPES.includes(entry.type) && (chargesNegative ? entry.signed < 0 : entry.signed > 0));
+
+        return {
+          id: `row-${index + 1}`,
+          date: entry.date,
+          amount: Math.abs(entry.signed),
+          isCredit: !isCharge,
+          description: entry.description,
+          cardLast4: entry.cardLast4
+        };
+      });
+
+    return {
+      account: { last4: null, name: null },
+      period: { from: null, to: null },
+      transactions
+    };
+  }
+
+  /**
+   * Index of a column in the header row, or -1
+   */
+  findColumn(header, name) {
+    const normalized = header.map(title => (title || '').trim().toLowerCase());
+
+    for (const candidate of CSV_COLUMNS[name]) {
+      const index = normalized.indexOf(candidate);
+      if (index >= 0) return index;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Split CSV text into rows of cells (quoted cells may hold commas, quotes and newlines)
+   */
+  parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let cellText = '';
+    let quoted = false;
+
+    const text = content.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cellText += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cellText += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cellText);
+        cellText = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cellText);
+        if (row.some(value => value.trim())) rows.push(row);
+        row = [];
+        cellText = '';
+      } else {
+        cellText += char;
+      }
+    }
+
+    row.push(cellText);
+    if (row.some(value => value.trim())) rows.push(row);
+
+    return rows;
+  }
+}
+
+// Singleton instance
+const statementParser = new StatementParser();
+
+module.exports = statementParser;
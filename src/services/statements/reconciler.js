@@ -0,0 +1,253 @@
+/**
+ * Statement Reconciler
+ * Imports card statements (uploaded on the dashboard or dropped in the inbox
+ * folder) and runs their charges through the QuickBooks matcher against stored
+ * receipts: which charges have no receipt, and which receipts never hit the card
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const dayjs = require('dayjs');
+const parser = require('./parser');
+const statementStore = require('./store');
+const receiptStore = require('../receipt-store');
+const { matcher, uploader } = require('../quickbooks');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Receipts in these states are purchases that should show up on a statement
+const RECONCILED_STATUSES = ['pending', 'review', 'matched', 'synced', 'error'];
+
+// Receipts dated just outside the period can still match a charge posted inside it
+const PERIOD_SLACK_DAYS = 3;
+
+class StatementReconciler {
+  /**
+   * Parse, store and reconcile a statement file
+   * Importing the same card and period again replaces the earlier import.
+   */
+  async importFile(content, filename) {
+    const parsed = parser.parse(content, filename);
+
+    const statement = {
+      id: this.getStatementId(parsed),
+      filename,
+      format: parsed.format,
+      account: parsed.account,
+      period: parsed.period,
+      transactions: parsed.transactions,
+      importedAt: new Date().toISOString(),
+      report: null
+    };
+
+    statement.report = await this.buildReport(statement);
+    await statementStore.save(statement);
+
+    logger.info('Imported card statement', {
+      statementId: statement.id,
+      filename,
+      transactions: statement.transactions.length,
+      matched: statement.report.summary.matched,
+      chargesWithoutReceipt: statement.report.summary.chargesWithoutReceipt
+    });
+
+    return statement;
+  }
+
+  /**
+   * "1234-2025-03-01-2025-03-31" - one statement per card and period
+   */
+  getStatementId({ account, period }) {
+    return `${account.last4 || 'card'}-${period.from}-${period.to}`;
+  }
+
+  /**
+   * Rebuild a stored statement's report (receipts keep arriving after the import)
+   */
+  async reconcile(statementId) {
+    const statement = await statementStore.get(statementId);
+
+    if (!statement) {
+      throw new Error(`Statement ${statementId} not found`);
+    }
+
+    statement.report = await this.buildReport(statement);
+    await statementStore.save(statement);
+
+    return statement;
+  }
+
+  /**
+   * Match receipts to statement charges one-to-one (or one receipt to a split
+   * of charges) and list what's left over on each side
+   */
+  async buildReport(statement) {
+    const receipts = await this.getReceipts(statement);
+    const rows = statement.transactions.map(txn => this.toTransaction(txn));
+    const candidatesByReceipt = await matcher.assignBatch(receipts, rows);
+
+    const used = new Set();
+    const matched = [];
+    const unmatched = [];
+
+    for (const receipt of receipts) {
+      const candidates = (candidatesByReceipt.get(receipt.id)?.candidates || [])
+        .filter(c => !used.has(c.transaction.Id));
+
+      if (matcher.isConfidentMatch(candidates[0])) {
+        used.add(candidates[0].transaction.Id);
+        matched.push(this.summarizeMatch(receipt, [candidates[0].transaction], candidates[0].score));
+      } else {
+        unmatched.push({ receipt, candidates });
+      }
+    }
+
+    const receiptsWithoutCharge = [];
+
+    for (const { receipt, candidates } of unmatched) {
+      const splits = matcher.scoreSplits(rows.filter(row => !used.has(row.Id)), receipt);
+
+      if (matcher.isConfidentSplit(splits)) {
+        splits[0].transactions.forEach(row => used.add(row.Id));
+        matched.push(this.summarizeMatch(receipt, splits[0].transactions, splits[0].score));
+      } else if (this.inPeriod(receipt.transaction.date, statement.period)) {
+        receiptsWithoutCharge.push({
+          ...this.summarizeReceipt(receipt),
+          possibleMatches: matcher.getNearMatches(candidates).map(c => c.transaction.Id)
+        });
+      }
+    }
+
+    // Refunds are reported on their own - they aren't receipts to chase down
+    const chargesWithoutReceipt = statement.transactions.filter(txn => !used.has(txn.id) && !txn.isCredit);
+    const creditsWithoutReceipt = statement.transactions.filter(txn => !used.has(txn.id) && txn.isCredit);
+    const charges = statement.transactions.filter(txn => !txn.isCredit);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      summary: {
+        charges: charges.length,
+        chargeTotal: this.sum(charges),
+        credits: statement.transactions.length - charges.length,
+        receipts: receipts.length,
+        matched: matched.length,
+        chargesWithoutReceipt: chargesWithoutReceipt.length,
+        missingTotal: this.sum(chargesWithoutReceipt),
+        creditsWithoutReceipt: creditsWithoutReceipt.length,
+        receiptsWithoutCharge: receiptsWithoutCharge.length
+      },
+      matched,
+      chargesWithoutReceipt,
+      creditsWithoutReceipt,
+      receiptsWithoutCharge
+    };
+  }
+
+  /**
+   * Stored card receipts around the statement period, on the statement's card
+   * (receipts that don't show a card are included)
+   */
+  async getReceipts(statement) {
+    const { period, account } = statement;
+    const cards = new Set([account.last4, ...statement.transactions.map(txn => txn.cardLast4)].filter(Boolean));
+
+    const records = await receiptStore.search({
+      status: RECONCILED_STATUSES,
+      dateFrom: dayjs(period.from).subtract(PERIOD_SLACK_DAYS, 'day').format('YYYY-MM-DD'),
+      dateTo: dayjs(period.to).add(PERIOD_SLACK_DAYS, 'day').format('YYYY-MM-DD')
+    });
+
+    return records
+      .map(record => record.receipt)
+      .filter(receipt => uploader.isCardBooking(receipt))
+      .filter(receipt => !receipt.payment.cardLast4 || cards.size === 0 || cards.has(receipt.payment.cardLast4));
+  }
+
+  /**
+   * Statement row in the shape the matcher scores (a QBO Purchase)
+   */
+  toTransaction(txn) {
+    return {
+      Id: txn.id,
+      TxnDate: txn.date,
+      TotalAmt: txn.amount,
+      Credit: txn.isCredit,
+      PrivateNote: txn.description,
+      cardLast4: txn.cardLast4
+    };
+  }
+
+  summarizeMatch(receipt, transactions, score) {
+    return {
+      ...this.summarizeReceipt(receipt),
+      transactionIds: transactions.map(txn => txn.Id),
+      score
+    };
+  }
+
+  summarizeReceipt(receipt) {
+    return {
+      receiptId: receipt.id,
+      vendor: receipt.vendor.qboVendorName || receipt.vendor.displayName || receipt.vendor.name,
+      date: receipt.transaction.date,
+      total: receipt.transaction.total,
+      isReturn: !!receipt.transaction.isReturn,
+      cardLast4: receipt.payment.cardLast4,
+      status: receipt.qboSync.status
+    };
+  }
+
+  inPeriod(date, period) {
+    return Boolean(date) && date >= period.from && date <= period.to;
+  }
+
+  sum(transactions) {
+    return Math.round(transactions.reduce((total, txn) => total + txn.amount, 0) * 100) / 100;
+  }
+
+  /**
+   * Import every statement file dropped in the inbox folder
+   * Imported files move to processed/, unreadable ones to failed/.
+   */
+  async importInbox() {
+    const dir = config.statements.inboxDir;
+    let entries;
+
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const imported = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || !parser.detectFormat(entry.name)) continue;
+
+      const filePath = path.join(dir, entry.name);
+
+      try {
+        const statement = await this.importFile(await fs.readFile(filePath, 'utf8'), entry.name);
+        await this.moveFile(filePath, 'processed');
+        imported.push(statement);
+      } catch (error) {
+        logger.error('Statement import failed', { file: entry.name, error: error.message });
+        await this.moveFile(filePath, 'failed').catch(() => {});
+      }
+    }
+
+    return imported;
+  }
+
+  async moveFile(filePath, folder) {
+    const target = path.join(path.dirname(filePath), folder);
+    await fs.mkdir(target, { recursive: true });
+    await fs.rename(filePath, path.join(target, `${dayjs().format('YYYYMMDD-HHmmss')}-${path.basename(filePath)}`));
+  }
+}
+
+// Singleton instance
+const statementReconciler = new StatementReconciler();
+
+module.exports = statementReconciler;
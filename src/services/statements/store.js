@@ -0,0 +1,105 @@
+/**
+ * Statement Store
+ * File-backed list of imported card statements and their latest reconciliation report
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class StatementStore {
+  constructor() {
+    this.filePath = config.statements.storePath;
+    this.statements = new Map(); // statementId -> { id, filename, format, account, period, transactions, importedAt, report }
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Load statements from disk (once - a failed load is retried on the next call)
+   */
+  async load() {
+    if (!this.loaded) {
+      this.loaded = this.readFile().catch((error) => {
+        this.loaded = null;
+        throw error;
+      });
+    }
+    return this.loaded;
+  }
+
+  async readFile() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(data);
+
+      for (const statement of Object.values(parsed.statements || {})) {
+        this.statements.set(statement.id, statement);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load statement store', { error: error.message });
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Write statements to disk (queued, via temp file)
+   * A failed write rejects for the caller; the queue carries on with the next one.
+   */
+  async persist() {
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+      const data = JSON.stringify({
+        version: 1,
+        savedAt: new Date().toISOString(),
+        statements: Object.fromEntries(this.statements)
+      }, null, 2);
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, this.filePath);
+    });
+
+    this.writeQueue = write.catch((error) => {
+      logger.error('Failed to save statement store', { error: error.message });
+    });
+
+    return write;
+  }
+
+  /**
+   * Save (insert or replace) a statement
+   */
+  async save(statement) {
+    await this.load();
+
+    this.statements.set(statement.id, statement);
+    await this.persist();
+
+    return statement;
+  }
+
+  async get(statementId) {
+    await this.load();
+    return this.statements.get(statementId) || null;
+  }
+
+  /**
+   * All statements, latest period first
+   */
+  async list() {
+    await this.load();
+
+    return Array.from(this.statements.values())
+      .sort((a, b) => (b.period.to || '').localeCompare(a.period.to || ''));
+  }
+}
+
+// Singleton instance
+const statementStore = new StatementStore();
+
+module.exports = statementStore;
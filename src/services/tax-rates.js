@@ -0,0 +1,130 @@
+/**
+ * Tax Rates
+ * Hawaii General Excise Tax (GET) by county (config.tax.counties). A receipt's
+ * tax is matched to a county by the rate printed next to it, or by its share
+ * of the subtotal - at the county rate or the pass-through rate sellers may
+ * charge, rate / (1 - rate). The county decides the QuickBooks tax code the
+ * purchase is booked under, and our own invoices pass GET on at our county's
+ * pass-through rate.
+ */
+
+const config = require('../config');
+
+// Slack when the rate is printed ("4.17%" for 4.1666%)
+const PRINTED_RATE_TOLERANCE = 0.00005;
+
+// Slack when the rate is worked out from the amounts (tax is rounded to the cent)
+const ROUNDING_TOLERANCE = 0.015;
+
+class TaxRates {
+  /**
+   * A county's rates: { key, name, rate, passThroughRate, qboTaxCodeId }
+   * Defaults to the county we work in.
+   */
+  getCounty(key = config.tax.county) {
+    const county = config.tax.counties[key];
+    if (!county) return null;
+
+    return { key, ...county, passThroughRate: passThroughRate(county.rate) };
+  }
+
+  /**
+   * Every county, ours first (so an ambiguous rate is read as ours)
+   */
+  listCounties() {
+    const keys = Object.keys(config.tax.counties);
+    const ordered = [config.tax.county, ...keys.filter(key => key !== config.tax.county)];
+
+    return ordered.map(key => this.getCounty(key)).filter(Boolean);
+  }
+
+  /**
+   * The county and rate a receipt's tax was charged at
+   * Takes a receipt's transaction ({ subtotal, total, tax, taxRate }).
+   * Returns { county, rate, passThrough } or null when the tax fits no county.
+   */
+  identify({ subtotal, total, tax, taxRate }) {
+    if (!(tax > 0)) return null;
+
+    const base = typeof subtotal === 'number' ? subtotal : (typeof total === 'number' ? total - tax : null);
+
+    for (const county of this.listCounties()) {
+      for (const [rate, passThrough] of [[county.rate, false], [county.passThroughRate, true]]) {
+        const fits = taxRate
+          ? Math.abs(taxRate - rate) <= PRINTED_RATE_TOLERANCE
+          : base > 0 && Math.abs(base * rate - tax) <= ROUNDING_TOLERANCE;
+
+        if (fits) {
+          return { county, rate, passThrough };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * QuickBooks TaxCodeRef for a receipt's expense or bill lines
+   * Untaxed categories and receipts that show no tax are non-taxable. Otherwise
+   * the code of the county the tax fits (ours when the receipt shows no tax
+   * amount), falling back to the generic taxable code - also used for tax that
+   * fits no Hawaii county, like a mainland seller's sales tax.
+   */
+  getLineTaxCode(receipt) {
+    const { tax } = receipt.transaction;
+
+    if (!receipt.category.isTaxable || tax === 0) {
+      return { value: config.tax.qboNonTaxableCode };
+    }
+
+    const county = typeof tax === 'number'
+      ? this.identify(receipt.transaction)?.county
+      : this.getCounty();
+
+    return { value: county?.qboTaxCodeId || config.tax.qboTaxableCode };
+  }
+
+  /**
+   * How a receipt's tax reads on a QuickBooks line, e.g. "Hawaii GET 4.712% (Honolulu)"
+   */
+  describeTax(receipt) {
+    const match = this.identify(receipt.transaction);
+    if (!match) return 'Sales tax';
+
+    return `Hawaii GET ${this.formatRate(match.rate)} (${match.county.name})`;
+  }
+
+  /**
+   * 0.04712 -> "4.712%"
+   */
+  formatRate(rate) {
+    return `${parseFloat((rate * 100).toFixed(4))}%`;
+  }
+
+  /**
+   * GET to pass on to a customer on an amount: { county, rate, amount }
+   */
+  passThrough(amount, countyKey = config.tax.county) {
+    const county = this.getCounty(countyKey);
+    if (!county) return null;
+
+    return {
+      county,
+      rate: county.passThroughRate,
+      amount: Math.round(amount * county.passThroughRate * 100) / 100
+    };
+  }
+}
+
+/**
+ * Highest rate GET may be passed on at: 4.5% -> 4.712%, 4% -> 4.1666%
+ * (rounded down, so it never charges more than allowed)
+ */
+function passThroughRate(rate) {
+  return Math.floor((rate / (1 - rate)) * 1000000) / 1000000;
+}
+
+// Singleton instance
+const taxRates = new TaxRates();
+
+module.exports = taxRates;
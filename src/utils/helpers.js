@@ -92,6 +92,46 @@ function normalizeVendorName(name) {
     .replace(/[^\w\s\-']/g, '');
 }
 
+// Card descriptor words that say nothing about who the merchant is
+const MERCHANT_NOISE_WORDS = new Set(['the', 'inc', 'llc', 'co', 'corp', 'store', 'com', 'www', 'sq', 'tst', 'pos', 'purchase', 'debit', 'online']);
+
+/**
+ * Identifying words of a merchant name or card descriptor
+ * "THE HOME DEPOT #6201" -> ['home', 'depot'], "Lowe's" -> ['lowes']
+ */
+function merchantWords(text) {
+  if (!text) return [];
+
+  return String(text)
+    .toLowerCase()
+    .replace(/'/g, '')
+    .split(/[^a-z]+/)
+    .filter(word => word.length > 1 && !MERCHANT_NOISE_WORDS.has(word));
+}
+
+/**
+ * Whether a card descriptor names a merchant
+ * The merchant's words must appear together, run together or not
+ * ("HOMEDEPOT.COM" and "THE HOME DEPOT #6201" both name "Home Depot").
+ */
+function matchesMerchantName(descriptor, name) {
+  const target = merchantWords(name).join('');
+  if (target.length < 3) return false;
+
+  const words = merchantWords(descriptor);
+
+  for (let start = 0; start < words.length; start++) {
+    let run = '';
+    for (let end = start; end < words.length && run.length < target.length; end++) {
+      run += words[end];
+      if (run === target) return true;
+    }
+  }
+
+  // Long names can also hide inside a longer token ("HOMEDEPOTCOM")
+  return target.length >= 6 && words.join('').includes(target);
+}
+
 /**
  * Extract job name from email subject or body
  * Looks for patterns like "Job: Kitchen Remodel" or "Project: Smith House"
@@ -114,6 +154,196 @@ function extractJobName(text) {
   return null;
 }
 
+/**
+ * Extract payment terms and due date from an invoice
+ * Understands "Due Date: 01/31/2025", "Net 30", "Terms: 30 Days",
+ * "Due on receipt" and "10th Prox" (due the 10th of the following month).
+ * Returns { terms, dueDate } - an explicit due date beats one worked out from terms.
+ */
+function extractTerms(text, invoiceDate) {
+  const result = { terms: null, dueDate: null };
+  if (!text) return result;
+
+  const date = invoiceDate ? dayjs(invoiceDate) : null;
+
+  const proxMatch = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s*prox(?:imo)?\b/i);
+  const netMatch = text.match(/\bnet\s*(\d{1,3})\b/i) || text.match(/\bterms[:\s]*(\d{1,3})\s*days\b/i);
+
+  if (proxMatch) {
+    const day = parseInt(proxMatch[1], 10);
+    result.terms = `Prox ${day}`;
+    if (date) {
+      const nextMonth = date.add(1, 'month').startOf('month');
+      result.dueDate = nextMonth.date(Math.min(day, nextMonth.daysInMonth())).format('YYYY-MM-DD');
+    }
+  } else if (netMatch) {
+    const days = parseInt(netMatch[1], 10);
+    result.terms = `Net ${days}`;
+    if (date) {
+      result.dueDate = date.add(days, 'day').format('YYYY-MM-DD');
+    }
+  } else if (/\bdue\s*(?:on|upon)\s*receipt\b/i.test(text)) {
+    result.terms = 'Due on receipt';
+    result.dueDate = date ? date.format('YYYY-MM-DD') : null;
+  }
+
+  const dueMatch = text.match(/\bdue\s*date[:\s]*(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/i);
+  if (dueMatch && parseDate(dueMatch[1])) {
+    result.dueDate = parseDate(dueMatch[1]);
+  }
+
+  return result;
+}
+
+// A tax line: sales tax or Hawaii General Excise Tax (GET), with an optional
+// rate before the amount ("Sales Tax: $8.35", "GET 4.712%: $5.23", "General Excise Tax (4.5%) 4.50")
+const TAX_LINE_PATTERN = /(\bgeneral\s*excise(?:\s*tax)?|\bG\.?E\.?T\b\.?|(?:sales\s*)?tax)[^\S\n]*(?:\(?\s*(\d{1,2}(?:\.\d+)?)\s*%\s*\)?)?[:\s]*\$?([\d,]+\.?\d*)/gi;
+
+/**
+ * Extract the tax from receipt text
+ * Returns { amount, rate, isGet } for the first tax line - rate is the one
+ * printed next to it (4.712% -> 0.04712), or null - or null when there's none.
+ */
+function extractTax(text) {
+  if (!text) return null;
+
+  for (const match of text.matchAll(TAX_LINE_PATTERN)) {
+    const [, label, rate, amount] = match;
+    const isGet = /excise|^G\.?E\.?T/i.test(label);
+
+    // GET only in capitals - "Get it by Friday" isn't a tax line
+    if (isGet && !/excise/i.test(label) && !/^G\.?E\.?T/.test(label)) continue;
+
+    const value = parseCurrency(amount);
+    if (value === null) continue;
+
+    return { amount: value, rate: rate ? Math.round(parseFloat(rate) * 1000) / 100000 : null, isGet };
+  }
+
+  return null;
+}
+
+/**
+ * Detect return/refund receipts and credit memos
+ * Returns { isReturn, originalOrderNumber, total } - total is the amount of a
+ * negative total line ("Total: -$12.34", "($12.34)", "12.34 CR"), as a positive number.
+ */
+function detectReturn(text) {
+  const result = { isReturn: false, originalOrderNumber: null, total: null };
+  if (!text) return result;
+
+  const patterns = [
+    /\brefund(?:ed)?\s+(?:total|amount|summary|issued|processed|has\s+been)\b/i,
+    /\byour\s+refund\b/i,
+    /\breturn(?:ed)?\s+(?:receipt|total|amount|summary|confirmation|authorization|merchandise)\b/i,
+    /\b(?:merchandise|items?)\s+returned\b/i,
+    /\bcredit\s*memo\b/i
+  ];
+
+  const negativeTotal = text.match(
+    /\b(?:order\s*|grand\s*|invoice\s*|refund\s*)?total\b\s*:?\s*(?:-\s*\$?\s*|\$\s*-\s*|\(\s*\$?\s*)(\d[\d,]*\.\d{2})/i
+  ) || text.match(/\b(?:order\s*|grand\s*|invoice\s*|refund\s*)?total\b\s*:?\s*\$?\s*(\d[\d,]*\.\d{2})(?:-(?![\d$])|\s*CR\b)/i);
+
+  if (negativeTotal) {
+    result.total = parseCurrency(negativeTotal[1]);
+  }
+
+  result.isReturn = !!negativeTotal || patterns.some(pattern => pattern.test(text));
+
+  if (result.isReturn) {
+    const originalMatch = text.match(
+      /\b(?:original|orig\.?)\s*(?:order|invoice|receipt|transaction|trans)\s*(?:#|number|no\.?)?\s*:?\s*([A-Z0-9][\w\-]*\d[\w\-]*)/i
+    );
+    if (originalMatch) {
+      result.originalOrderNumber = originalMatch[1];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Flag a parser result as a return and make its amounts positive
+ * (QuickBooks credits carry positive amounts; the entity type says it's a credit)
+ */
+function applyReturnDetection(result, text) {
+  const detected = detectReturn(text);
+  if (!detected.isReturn) return result;
+
+  result.isReturn = true;
+  result.originalOrderNumber = detected.originalOrderNumber;
+
+  // A negative total line beats whatever the vendor pattern found
+  if (detected.total) {
+    result.total = detected.total;
+  }
+
+  const makePositive = (target, keys) => {
+    for (const key of keys) {
+      if (typeof target[key] === 'number') {
+        target[key] = Math.abs(target[key]);
+      }
+    }
+  };
+
+  makePositive(result, ['total', 'subtotal', 'tax', 'shipping']);
+  (result.lineItems || []).forEach(item => makePositive(item, ['unitPrice', 'totalPrice']));
+
+  return result;
+}
+
+// Slack for rounding when amounts are added up
+const AMOUNT_TOLERANCE = 0.02;
+
+/**
+ * Check that a receipt's amounts add up
+ * Returns the failed checks as [{ check, expected, actual, message }]:
+ *   'total'     - subtotal + tax + shipping - discount isn't the total
+ *   'lineItems' - the line items don't add up to the subtotal (the total when there's no subtotal)
+ * A check is skipped when its amounts are missing; pass lineItems: null to skip the items.
+ */
+function checkAmounts({ total, subtotal, tax, shipping, discount, lineItems }) {
+  const problems = [];
+  const money = amount => `$${amount.toFixed(2)}`;
+
+  if (typeof total === 'number' && typeof subtotal === 'number') {
+    const expected = subtotal + (tax || 0) + (shipping || 0) - Math.abs(discount || 0);
+
+    if (Math.abs(expected - total) > AMOUNT_TOLERANCE) {
+      const parts = [`subtotal ${money(subtotal)}`];
+      if (tax) parts.push(`tax ${money(tax)}`);
+      if (shipping) parts.push(`shipping ${money(shipping)}`);
+      const sum = parts.join(' + ') + (discount ? ` - discount ${money(Math.abs(discount))}` : '');
+
+      problems.push({
+        check: 'total',
+        expected: Math.round(expected * 100) / 100,
+        actual: total,
+        message: `${sum} is ${money(expected)}, not the ${money(total)} total`
+      });
+    }
+  }
+
+  const items = lineItems || [];
+  const itemTarget = typeof subtotal === 'number' ? subtotal
+    : (!tax && !shipping && !discount ? total : null);
+
+  if (items.length > 0 && typeof itemTarget === 'number' && items.every(item => typeof item.totalPrice === 'number')) {
+    const itemSum = items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+    if (Math.abs(itemSum - itemTarget) > AMOUNT_TOLERANCE) {
+      problems.push({
+        check: 'lineItems',
+        expected: itemTarget,
+        actual: Math.round(itemSum * 100) / 100,
+        message: `line items add up to ${money(itemSum)}, not the ${money(itemTarget)} ${typeof subtotal === 'number' ? 'subtotal' : 'total'}`
+      });
+    }
+  }
+
+  return problems;
+}
+
 /**
  * Generate a unique receipt ID
  */
@@ -123,6 +353,20 @@ function generateReceiptId() {
   return `RLT-${timestamp}-${random}`.toUpperCase();
 }
 
+/**
+ * Escape text for safe inclusion in HTML pages
+ */
+function escapeHtml(str) {
+  if (str === null || str === undefined) return '';
+
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Safely parse JSON with fallback
  */
@@ -174,8 +418,16 @@ module.exports = {
   parseCurrency,
   extractCardLast4,
   normalizeVendorName,
+  merchantWords,
+  matchesMerchantName,
   extractJobName,
+  extractTerms,
+  extractTax,
+  detectReturn,
+  applyReturnDetection,
+  checkAmounts,
   generateReceiptId,
+  escapeHtml,
   safeJsonParse,
   sleep,
   retry
@@ -0,0 +1,160 @@
+/**
+ * MIME Message Parsing
+ * Turns a raw RFC 822 message (an .eml file) into the same payload tree the
+ * Gmail API returns, so saved emails go through the fetcher like fetched ones:
+ * { mimeType, filename, headers: [{ name, value }], body: { data, size }, parts }
+ * Part bodies are decoded and stored as base64 in body.data.
+ */
+
+/**
+ * Parse a whole message (or one MIME part)
+ */
+function parseMimeMessage(raw) {
+  const text = Buffer.isBuffer(raw) ? raw.toString('latin1') : raw;
+  const split = text.search(/\r?\n\r?\n/);
+  const headerText = split >= 0 ? text.slice(0, split) : text;
+  const bodyText = split >= 0 ? text.slice(split).replace(/^\r?\n\r?\n/, '') : '';
+
+  const headers = parseHeaderLines(headerText);
+  const header = (name) => (headers.find(h => h.name.toLowerCase() === name) || {}).value || '';
+
+  const contentType = header('content-type') || 'text/plain';
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  const filename = getParam(header('content-disposition'), 'filename') || getParam(contentType, 'name') || '';
+
+  if (mimeType.startsWith('multipart/')) {
+    const boundary = getParam(contentType, 'boundary');
+
+    return {
+      mimeType,
+      filename,
+      headers,
+      body: { size: 0 },
+      parts: boundary ? splitParts(bodyText, boundary).map(part => parseMimeMessage(part)) : []
+    };
+  }
+
+  const data = decodeBody(bodyText, header('content-transfer-encoding'));
+
+  return {
+    mimeType,
+    filename,
+    headers,
+    body: { data: data.toString('base64'), size: data.length }
+  };
+}
+
+/**
+ * Header lines (folded lines joined) as [{ name, value }], encoded words decoded
+ */
+function parseHeaderLines(headerText) {
+  const headers = [];
+
+  for (const line of headerText.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      headers[headers.length - 1].value += ` ${line.trim()}`;
+      continue;
+    }
+
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+
+    headers.push({
+      name: canonicalHeaderName(line.slice(0, colon).trim()),
+      value: line.slice(colon + 1).trim()
+    });
+  }
+
+  return headers.map(h => ({ ...h, value: decodeEncodedWords(h.value) }));
+}
+
+/**
+ * "content-type" -> "Content-Type" (the Gmail API's spelling)
+ */
+function canonicalHeaderName(name) {
+  return name.toLowerCase().replace(/(^|-)([a-z])/g, (match, dash, letter) => dash + letter.toUpperCase());
+}
+
+/**
+ * Parameter from a structured header, e.g. boundary from Content-Type
+ */
+function getParam(value, name) {
+  const match = (value || '').match(new RegExp(`(?:^|;)\\s*${name}\\*?=\\s*(?:"([^"]*)"|([^;\\s]*))`, 'i'));
+  if (!match) return null;
+
+  const param = match[1] ?? match[2];
+
+  // RFC 2231 form: utf-8''file%20name.pdf
+  const extended = param.match(/^[\w-]*'[\w-]*'(.*)$/);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1]);
+    } catch {
+      return extended[1];
+    }
+  }
+
+  return decodeEncodedWords(param);
+}
+
+/**
+ * Parts between boundary lines (preamble and epilogue dropped)
+ */
+function splitParts(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+
+  for (const chunk of body.split(delimiter).slice(1)) {
+    if (chunk.startsWith('--')) break;
+    parts.push(chunk.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, ''));
+  }
+
+  return parts;
+}
+
+/**
+ * Decode a part body by its Content-Transfer-Encoding
+ */
+function decodeBody(body, encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+function decodeQuotedPrintable(body) {
+  const bytes = [];
+  const text = body.replace(/=\r?\n/g, '');
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-F]{2}$/i.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * "=?UTF-8?B?...?=" / "=?UTF-8?Q?...?=" header words to text
+ */
+function decodeEncodedWords(value) {
+  return (value || '').replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+    const data = encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : decodeQuotedPrintable(text.replace(/_/g, ' '));
+
+    return data.toString(/utf-?8/i.test(charset) ? 'utf8' : 'latin1');
+  });
+}
+
+module.exports = {
+  parseMimeMessage
+};